@@ -1,15 +1,33 @@
 import { app, h } from "./packages/hyperapp/index.js";
-import { STATE_SAVE_PATH, MEDIA_SAVE_PATH } from "./constants.js";
+import { DEFAULT_MAX_IMAGE_BLOCK_SIZE, STATE_SAVE_PATH } from "./constants.js";
 import { createMementoManager } from "./memento.js";
 import { viewport, onkeydown } from "./viewport.js";
 import { panelsContainer } from "./panels.js";
-import {
-  notification,
-  saveApplication,
-  saveApplicationAndNotify,
-} from "./utils.js";
+import { notification, saveApplication } from "./utils.js";
 import { defaultPage, getCurrentPage, updateCurrentPage } from "./pages.js";
-import { addBlock } from "./block.js";
+import {
+  clipboardImportSubscription,
+  defaultClipboardImport,
+} from "./clipboard-import.js";
+import { defaultImageExportOptions, exportCurrentPage } from "./export.js";
+import { referencesView } from "./references.js";
+import { mediaLibraryView } from "./media.js";
+import {
+  documentLoaded,
+  documentSubscriptions,
+  getDocumentName,
+  markDocumentChanges,
+  readDocumentFile,
+  resolveUnsavedChanges,
+  showDocumentRepairs,
+} from "./documents.js";
+import { formatRepairs, loadSessionData, showLoadProblem } from "./schema.js";
+import {
+  autosaveSubscription,
+  deleteRecoveryFile,
+  recoverAutosave,
+  stopAutosave,
+} from "./autosave.js";
 
 initialize();
 
@@ -80,11 +98,16 @@ const KeyDown = (state, event) => {
         ...state,
         isOptionPressed: true,
       };
-    case "s":
-      // Handle save shortcut (Ctrl+S or Cmd+S)
-      if (event.ctrlKey || event.metaKey) {
+    case "e":
+    case "E":
+      // Handle export shortcut (Ctrl+Shift+E or Cmd+Shift+E)
+      if (
+        (event.ctrlKey || event.metaKey) &&
+        event.shiftKey &&
+        !getCurrentPage(state)?.isTextEditorFocused
+      ) {
         event.preventDefault();
-        return [state, (dispatch) => saveApplicationAndNotify(dispatch, state)];
+        return exportCurrentPage(state);
       }
       return state;
     default:
@@ -137,7 +160,13 @@ function main(state) {
         "dark-mode": state.isDarkMode,
       },
     },
-    [viewport(state), ...panelsContainer(state), notification(state)],
+    [
+      viewport(state),
+      ...panelsContainer(state),
+      referencesView(state),
+      mediaLibraryView(state),
+      notification(state),
+    ],
   );
 }
 
@@ -151,12 +180,24 @@ function initialState() {
     panelsVisible: true,
     programsPanelWidth: 300,
     clipboard: null,
+    clipboardGroups: [],
     programFilter: "",
     notification: null,
     notificationVisible: false,
     editingPageId: null,
     isShiftPressed: false,
     isOptionPressed: false,
+    isCaptureMode: false,
+    captureBox: null,
+    clipboardImport: defaultClipboardImport,
+    maxImageBlockSize: DEFAULT_MAX_IMAGE_BLOCK_SIZE,
+    imageExportOptions: defaultImageExportOptions,
+    citationStyle: "mla",
+    referencesView: null,
+    documentPath: null,
+    isDirty: false,
+    savedPages: [],
+    mediaLibrary: null,
   };
 
   // Set currentPageId to the first page
@@ -202,91 +243,6 @@ function safeToEmitState(state) {
   );
 }
 
-/**
- * Clipboard monitoring subscription that checks for image changes
- * @param {import("hyperapp").Dispatch<State>} dispatch Hyperapp dispatch function
- * @returns {() => void} Cleanup function
- */
-const ClipboardMonitor = (dispatch) => {
-  /** @type {string | null} */
-  let lastImage = null;
-
-  const checkClipboard = async () => {
-    try {
-      const clipboardItems = await navigator.clipboard.read();
-      const item = clipboardItems[0];
-      if (!item) return;
-      if (
-        item.types.includes("image/png") ||
-        item.types.includes("image/jpeg")
-      ) {
-        const imageType = item.types.find((type) => type.startsWith("image/"));
-        if (!imageType) return;
-
-        const blob = await item.getType(imageType);
-        const dataUrl = await new Promise((resolve) => {
-          const reader = new FileReader();
-          reader.onload = (e) => {
-            if (e.target) {
-              resolve(/** @type {string} */ (e.target.result));
-            }
-          };
-          reader.readAsDataURL(blob);
-        });
-
-        if (dataUrl !== lastImage) {
-          lastImage = /** @type {string} */ (dataUrl);
-
-          // Save the image to user data file
-          const arrayBuffer = await blob.arrayBuffer();
-          try {
-            // @ts-ignore
-            const result = await window.fileAPI.saveImageFromBuffer(
-              arrayBuffer,
-              imageType,
-              MEDIA_SAVE_PATH,
-            );
-            if (result.success) {
-              dispatch((state) => {
-                const currentPage = getCurrentPage(state);
-                if (!currentPage) return state;
-                console.log(currentPage.wikiPage);
-
-                // Get the current scroll position from the wiki viewer
-                const wikiViewer = document.querySelector("wiki-viewer");
-                const viewportPosition = wikiViewer
-                  ? wikiViewer.saveViewportPosition()
-                  : null;
-
-                const newState = addBlock(
-                  state,
-                  result.path,
-                  currentPage.wikiPage,
-                  null,
-                  null,
-                  200,
-                  200,
-                  viewportPosition,
-                );
-                return newState;
-              });
-            }
-          } catch (error) {
-            console.error("Failed to save clipboard image:", error);
-          }
-        }
-      } else {
-      }
-    } catch (err) {
-      // error happens if user loses focus on document
-      console.log("No clipboard access or no image in clipboard", err);
-    }
-  };
-
-  const interval = setInterval(checkClipboard, 200);
-  return () => clearInterval(interval);
-};
-
 /** @type{import("hyperapp").Action<State> | null} */
 let prevDispatchAction = null;
 /** @type{any} */
@@ -308,9 +264,13 @@ const dispatchMiddleware = (dispatch) => (action, payload) => {
   }
   if (Array.isArray(action) && typeof action[0] !== "function") {
     // [state: S, ...effects: MaybeEffect<S, P>[]]
+    const [state, ...effects] = action;
+    action = [markDocumentChanges(/** @type {State} */ (state)), ...effects];
   } else if (!Array.isArray(action) && typeof action !== "function") {
     // state
-    const state = action;
+    // Every state change passes through here, so this is where unsaved changes are noticed
+    const state = markDocumentChanges(/** @type {State} */ (action));
+    action = state;
     if (prevDispatchAction !== null && prevDispatchAction.name) {
       /** @type {AppDispatchEventDetail} */
       const detail = {
@@ -333,24 +293,124 @@ const dispatchMiddleware = (dispatch) => (action, payload) => {
   dispatch(action, payload);
 };
 
+/**
+ * Keeps a copy of the damaged session file, which would otherwise be overwritten on quit,
+ * and tells the user what happened to it
+ * @param {string} message - What happened to the session
+ * @param {string} detail - Error, or list of repairs
+ * @returns {Promise<void>}
+ */
+async function reportDamagedSession(message, detail) {
+  const backupPath = STATE_SAVE_PATH.replace(
+    /\.json$/,
+    `.damaged-${Date.now()}.json`,
+  );
+  // @ts-ignore
+  const original = await window.fileAPI.readFile(STATE_SAVE_PATH, "binary");
+  const backup = original.success
+    ? // @ts-ignore
+      await window.fileAPI.writeFile(backupPath, original.data, "binary")
+    : original;
+  if (!backup.success) {
+    console.error("Failed to back up session:", backup.error);
+  }
+
+  await showLoadProblem(
+    message,
+    backup.success
+      ? `${detail}\n\nThe original was kept at ${backup.path}`
+      : detail,
+  );
+}
+
+/**
+ * Restores the saved session over the initial state, upgrading it to the current schema.
+ * Damaged sessions are repaired where possible, and the user is told what was lost.
+ * @param {State} state - Initial state
+ * @param {any} saved - Parsed session file
+ * @returns {Promise<State>} Restored state
+ */
+async function restoreSession(state, saved) {
+  const result = loadSessionData(saved);
+  if (!result.success) {
+    console.error("Failed to restore session:", result.error);
+    await reportDamagedSession(
+      "Your last session couldn't be restored",
+      result.error,
+    );
+    return state;
+  }
+  if (result.repairs.length > 0) {
+    console.warn("Repaired session:", result.repairs);
+    await reportDamagedSession(
+      "Your last session was damaged and has been repaired",
+      formatRepairs(result.repairs),
+    );
+  }
+
+  const session = result.data;
+  // Defaults fill in settings added since the session was saved
+  return {
+    ...state,
+    ...session,
+    mementoManager: createMementoManager(),
+    clipboardImport: {
+      ...defaultClipboardImport,
+      ...session.clipboardImport,
+    },
+    imageExportOptions: {
+      ...defaultImageExportOptions,
+      ...session.imageExportOptions,
+    },
+  };
+}
+
 /**
  * Initializes the application with saved state and starts the Hyperapp
  * @returns {Promise<void>}
  */
 async function initialize() {
   /** @type {State} */
-  let state;
-  try {
-    // @ts-ignore
-    state = await window.fileAPI.readFile(STATE_SAVE_PATH); // uncomment to have retained state
-    if (!state) {
-      state = initialState();
+  let state = initialState();
+  // @ts-ignore
+  const saved = await window.fileAPI.readFile(STATE_SAVE_PATH, "json");
+  if (saved.success) {
+    state = await restoreSession(state, saved.data);
+  } else if (saved.code !== "NOT_FOUND") {
+    console.error("Failed to read session:", saved.error);
+    await reportDamagedSession(
+      "Your last session couldn't be restored",
+      saved.error,
+    );
+  }
+
+  // Pages restored from the session are where unsaved changes are counted from
+  state = { ...state, savedPages: state.pages };
+
+  // Reopen the document that was open when the app quit
+  if (state.documentPath) {
+    const path = state.documentPath;
+    const result = await readDocumentFile(path);
+    if (result.success) {
+      const isRepaired = result.repairs.length > 0;
+      if (isRepaired) {
+        console.warn(`Repaired document ${path}:`, result.repairs);
+        await showDocumentRepairs(getDocumentName(state), result.repairs);
+      }
+      state = documentLoaded(state, { path, data: result.data, isRepaired });
+    } else {
+      console.warn("Failed to reopen document:", result.error);
+      await showLoadProblem(
+        `Couldn't reopen "${getDocumentName(state)}"`,
+        result.error,
+      );
+      state = { ...state, documentPath: null };
     }
-    state.mementoManager = createMementoManager();
-  } catch {
-    state = initialState();
   }
 
+  // Offer to restore changes that weren't saved before a crash
+  state = await recoverAutosave(state);
+
   // Initialize dark mode based on system theme
   try {
     // @ts-ignore
@@ -363,7 +423,23 @@ async function initialize() {
   // Listen for quit signal from main process
   //@ts-ignore
   window.electronAPI.onAppWillQuit(async () => {
-    await saveApplication(currentState || state);
+    const quitState = currentState || state;
+
+    // Untitled documents are kept in the session, saved documents need saving to their file
+    if (quitState.documentPath) {
+      try {
+        const saved = await resolveUnsavedChanges(quitState);
+        if (saved === false) return;
+      } catch (error) {
+        console.error("Failed to save document:", error);
+        return;
+      }
+    }
+    await saveApplication(quitState);
+    // Everything is either saved or was deliberately discarded, so a pending autosave mustn't
+    // write the recovery file again once it's deleted
+    await stopAutosave();
+    await deleteRecoveryFile();
 
     // Tell main process we're done
     //@ts-ignore
@@ -378,7 +454,9 @@ async function initialize() {
       [themeChangeSubscription, {}],
       onKeyDown(KeyDown),
       onKeyUp(KeyUp),
-      [ClipboardMonitor, {}],
+      clipboardImportSubscription(state),
+      ...documentSubscriptions(state),
+      autosaveSubscription(() => currentState),
     ],
     dispatch: dispatchMiddleware,
   });
@@ -0,0 +1,194 @@
+//@ts-nocheck
+// Minimal ZIP reader and writer for .wikicollage bundles, so no archive dependency is needed.
+// Supports stored and deflated entries without ZIP64, which covers bundles under 4GB.
+
+const zlib = require("node:zlib");
+
+const LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const UTF8_FLAG = 0x0800;
+// Most a whole archive may unpack to, so a small crafted archive can't use up memory
+const MAX_UNCOMPRESSED_SIZE = 1024 * 1024 * 1024;
+
+// Helper function to encode a date in MS-DOS time and date format
+function toDosDateTime(date) {
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    date:
+      ((date.getFullYear() - 1980) << 9) |
+      ((date.getMonth() + 1) << 5) |
+      date.getDate(),
+  };
+}
+
+// Create a ZIP archive from entries of { name, data, compress }.
+// Already-compressed media should be stored with compress: false.
+function createZip(entries) {
+  const { time, date } = toDosDateTime(new Date());
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, "utf8");
+    const data = Buffer.from(entry.data);
+    const method = entry.compress === false ? METHOD_STORE : METHOD_DEFLATE;
+    const compressed =
+      method === METHOD_DEFLATE ? zlib.deflateRawSync(data) : data;
+    const crc = zlib.crc32(data);
+
+    const localHeader = Buffer.alloc(30);
+    localHeader.writeUInt32LE(LOCAL_FILE_HEADER_SIGNATURE, 0);
+    localHeader.writeUInt16LE(20, 4); // Version needed to extract
+    localHeader.writeUInt16LE(UTF8_FLAG, 6);
+    localHeader.writeUInt16LE(method, 8);
+    localHeader.writeUInt16LE(time, 10);
+    localHeader.writeUInt16LE(date, 12);
+    localHeader.writeUInt32LE(crc, 14);
+    localHeader.writeUInt32LE(compressed.length, 18);
+    localHeader.writeUInt32LE(data.length, 22);
+    localHeader.writeUInt16LE(name.length, 26);
+    localHeader.writeUInt16LE(0, 28); // Extra field length
+
+    const centralHeader = Buffer.alloc(46);
+    centralHeader.writeUInt32LE(CENTRAL_DIRECTORY_SIGNATURE, 0);
+    centralHeader.writeUInt16LE(20, 4); // Version made by
+    centralHeader.writeUInt16LE(20, 6); // Version needed to extract
+    centralHeader.writeUInt16LE(UTF8_FLAG, 8);
+    centralHeader.writeUInt16LE(method, 10);
+    centralHeader.writeUInt16LE(time, 12);
+    centralHeader.writeUInt16LE(date, 14);
+    centralHeader.writeUInt32LE(crc, 16);
+    centralHeader.writeUInt32LE(compressed.length, 20);
+    centralHeader.writeUInt32LE(data.length, 24);
+    centralHeader.writeUInt16LE(name.length, 28);
+    // Extra field, comment, disk number and attributes are all zero
+    centralHeader.writeUInt32LE(offset, 42);
+
+    localParts.push(localHeader, name, compressed);
+    centralParts.push(centralHeader, name);
+    offset += localHeader.length + name.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(END_OF_CENTRAL_DIRECTORY_SIZE);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY_SIGNATURE, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+// Helper function to throw unless a range lies within the archive, so truncated or
+// crafted offsets give a clear error instead of reading past the end
+function checkBounds(buffer, start, length, description) {
+  if (start + length > buffer.length) {
+    throw new Error(`Truncated ZIP archive: ${description} is cut off`);
+  }
+}
+
+// Read a ZIP archive into a Map of entry name to data. Throws if the archive is malformed,
+// or if it unpacks to more than maxUncompressedSize bytes.
+function readZip(buffer, { maxUncompressedSize = MAX_UNCOMPRESSED_SIZE } = {}) {
+  // The end of central directory record is followed by a comment of up to 64KB
+  let endOffset = -1;
+  const searchStart = Math.max(
+    0,
+    buffer.length - END_OF_CENTRAL_DIRECTORY_SIZE - 0xffff,
+  );
+  for (
+    let i = buffer.length - END_OF_CENTRAL_DIRECTORY_SIZE;
+    i >= searchStart;
+    i--
+  ) {
+    if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset === -1) {
+    throw new Error("Not a ZIP archive");
+  }
+
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  const entries = new Map();
+  let totalSize = 0;
+
+  for (let i = 0; i < entryCount; i++) {
+    checkBounds(buffer, offset, 46, "central directory");
+    if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_SIGNATURE) {
+      throw new Error("Corrupt ZIP central directory");
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const crc = buffer.readUInt32LE(offset + 16);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const uncompressedSize = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    checkBounds(buffer, offset + 46, nameLength, "central directory");
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    totalSize += uncompressedSize;
+    if (totalSize > maxUncompressedSize) {
+      throw new Error("ZIP archive is too large to open");
+    }
+
+    // The local header's name and extra field lengths can differ from the central directory's
+    checkBounds(buffer, localOffset, 30, `entry ${name}`);
+    if (buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER_SIGNATURE) {
+      throw new Error(`Corrupt ZIP entry ${name}`);
+    }
+    const dataStart =
+      localOffset +
+      30 +
+      buffer.readUInt16LE(localOffset + 26) +
+      buffer.readUInt16LE(localOffset + 28);
+    checkBounds(buffer, dataStart, compressedSize, `entry ${name}`);
+    const compressed = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    let data;
+    if (method === METHOD_STORE) {
+      data = Buffer.from(compressed);
+    } else if (method === METHOD_DEFLATE) {
+      // Inflate no more than the size the central directory gives, so the entry can't
+      // unpack to more than it claims
+      try {
+        data = zlib.inflateRawSync(compressed, {
+          maxOutputLength: Math.max(uncompressedSize, 1),
+        });
+      } catch {
+        throw new Error(`Corrupt ZIP entry ${name}`);
+      }
+    } else {
+      throw new Error(`Unsupported ZIP compression method ${method}`);
+    }
+    if (data.length !== uncompressedSize) {
+      throw new Error(`Size mismatch in ZIP entry ${name}`);
+    }
+    if (zlib.crc32(data) !== crc) {
+      throw new Error(`Checksum mismatch in ZIP entry ${name}`);
+    }
+
+    // Directory entries carry no data
+    if (!name.endsWith("/")) {
+      entries.set(name, data);
+    }
+  }
+
+  return entries;
+}
+
+module.exports = { createZip, readZip };
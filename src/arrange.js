@@ -0,0 +1,301 @@
+import { h, text } from "./packages/hyperapp/index.js";
+import { TIDY_GAP } from "./constants.js";
+import { getBlockType } from "./block.js";
+import { getSelectedUnitBlocks } from "./groups.js";
+import { saveMementoAndReturn } from "./memento.js";
+import { getCurrentPage, updateCurrentPage } from "./pages.js";
+import {
+  getBlocksBoundingBox,
+  getSelectedBlocks,
+  getSelectionBoundingBox,
+} from "./selection.js";
+import { routeConnectors } from "./shapes.js";
+
+/**
+ * Where a box goes to be aligned with the selection's bounding box
+ * @type {Record<Alignment, (box: ArrangeItem["box"], bounds: ArrangeItem["box"]) => {x: number, y: number}>}
+ */
+const ALIGNMENTS = {
+  left: (box, bounds) => ({ x: bounds.x, y: box.y }),
+  center: (box, bounds) => ({
+    x: bounds.x + (bounds.width - box.width) / 2,
+    y: box.y,
+  }),
+  right: (box, bounds) => ({
+    x: bounds.x + bounds.width - box.width,
+    y: box.y,
+  }),
+  top: (box, bounds) => ({ x: box.x, y: bounds.y }),
+  middle: (box, bounds) => ({
+    x: box.x,
+    y: bounds.y + (bounds.height - box.height) / 2,
+  }),
+  bottom: (box, bounds) => ({
+    x: box.x,
+    y: bounds.y + bounds.height - box.height,
+  }),
+};
+
+/**
+ * Gets what's arranged in the selection: each selected group as a whole, and each other selected block.
+ * Connectors follow the blocks they connect rather than being arranged.
+ * @param {Page} page - Current page
+ * @returns {ArrangeItem[]} Items to arrange
+ */
+function getArrangeItems(page) {
+  return getSelectedUnitBlocks(page)
+    .map((blocks) =>
+      blocks.filter((block) => getBlockType(block) !== "connector"),
+    )
+    .filter((blocks) => blocks.length > 0)
+    .map((blocks) => ({
+      blocks,
+      box: /** @type {ArrangeItem["box"]} */ (getBlocksBoundingBox(blocks)),
+    }));
+}
+
+/**
+ * Moves the selected items to new positions as one undo step
+ * @param {State} state - Current application state
+ * @param {(items: ArrangeItem[], bounds: ArrangeItem["box"]) => Array<{x: number, y: number}>} layout - New top left corner of each item, given the selection's bounding box
+ * @returns {State} Updated state
+ */
+function moveSelection(state, layout) {
+  const currentPage = getCurrentPage(state);
+  const bounds = getSelectionBoundingBox(state);
+  if (!currentPage || !bounds) return state;
+
+  const items = getArrangeItems(currentPage);
+  if (items.length < 2) return state;
+
+  /** @type {Map<number, {dx: number, dy: number}>} */
+  const offsets = new Map();
+  layout(items, bounds).forEach((position, index) => {
+    const { blocks, box } = items[index];
+    blocks.forEach((block) =>
+      offsets.set(block.id, { dx: position.x - box.x, dy: position.y - box.y }),
+    );
+  });
+
+  // Connectors follow the blocks they connect
+  const newState = updateCurrentPage(state, {
+    blocks: routeConnectors(
+      currentPage.blocks.map((block) => {
+        const offset = offsets.get(block.id);
+        return offset
+          ? { ...block, x: block.x + offset.dx, y: block.y + offset.dy }
+          : block;
+      }),
+    ),
+  });
+  return saveMementoAndReturn(state, newState);
+}
+
+/**
+ * Aligns the selected blocks and groups to an edge or center line of the selection's bounding box
+ * @param {State} state - Current application state
+ * @param {Alignment} alignment - Edge or center line to align to
+ * @returns {State} Updated state
+ */
+export function alignSelection(state, alignment) {
+  return moveSelection(state, (items, bounds) =>
+    items.map(({ box }) => ALIGNMENTS[alignment](box, bounds)),
+  );
+}
+
+/**
+ * Spaces the selected blocks and groups evenly between the first and last along an axis,
+ * which stay where they are
+ * @param {State} state - Current application state
+ * @param {"horizontal"|"vertical"} axis - Axis to space along
+ * @returns {State} Updated state
+ */
+export function distributeSelection(state, axis) {
+  const position = axis === "horizontal" ? "x" : "y";
+  const size = axis === "horizontal" ? "width" : "height";
+
+  return moveSelection(state, (items) => {
+    const order = [...items].sort((a, b) => a.box[position] - b.box[position]);
+    const first = order[0].box;
+    const last = order[order.length - 1].box;
+    const totalSize = order.reduce((sum, item) => sum + item.box[size], 0);
+    const gap =
+      (last[position] + last[size] - first[position] - totalSize) /
+      (order.length - 1);
+
+    /** @type {Map<ArrangeItem, number>} */
+    const positions = new Map();
+    let next = first[position];
+    for (const item of order) {
+      positions.set(item, next);
+      next += item.box[size] + gap;
+    }
+    return items.map((item) => ({
+      ...item.box,
+      [position]: /** @type {number} */ (positions.get(item)),
+    }));
+  });
+}
+
+/**
+ * Gives the selected blocks the width or height of the first selected block, as one undo step
+ * @param {State} state - Current application state
+ * @param {"width"|"height"} dimension - Dimension to match
+ * @returns {State} Updated state
+ */
+export function matchSelectionSize(state, dimension) {
+  const currentPage = getCurrentPage(state);
+  if (!currentPage) return state;
+
+  // Connectors are sized by the blocks they connect
+  const selectedBlocks = getSelectedBlocks(state).filter(
+    (block) => getBlockType(block) !== "connector",
+  );
+  const reference =
+    selectedBlocks.find((block) => block.id === currentPage.selectedIds[0]) ??
+    selectedBlocks[0];
+  if (!reference || selectedBlocks.length < 2) return state;
+
+  const newState = updateCurrentPage(state, {
+    blocks: routeConnectors(
+      currentPage.blocks.map((block) =>
+        selectedBlocks.includes(block)
+          ? { ...block, [dimension]: reference[dimension] }
+          : block,
+      ),
+    ),
+  });
+  return saveMementoAndReturn(state, newState);
+}
+
+/**
+ * Lays out the selected blocks and groups in reading order from the top left of the selection,
+ * either in a grid of rows and columns or in masonry columns each packed from the top
+ * @param {State} state - Current application state
+ * @param {"grid"|"masonry"} tidyLayout - Layout to tidy into
+ * @returns {State} Updated state
+ */
+export function tidySelection(state, tidyLayout) {
+  return moveSelection(state, (items, bounds) => {
+    const order = [...items].sort(
+      (a, b) => a.box.y - b.box.y || a.box.x - b.box.x,
+    );
+    const columns = Math.ceil(Math.sqrt(order.length));
+
+    /** @type {Map<ArrangeItem, {x: number, y: number}>} */
+    const positions = new Map();
+    if (tidyLayout === "grid") {
+      // Each column is as wide as its widest item and each row as tall as its tallest
+      const columnWidths = Array(columns).fill(0);
+      const rowHeights = Array(Math.ceil(order.length / columns)).fill(0);
+      order.forEach(({ box }, index) => {
+        const column = index % columns;
+        const row = Math.floor(index / columns);
+        columnWidths[column] = Math.max(columnWidths[column], box.width);
+        rowHeights[row] = Math.max(rowHeights[row], box.height);
+      });
+      order.forEach((item, index) => {
+        const column = index % columns;
+        const row = Math.floor(index / columns);
+        positions.set(item, {
+          x:
+            bounds.x +
+            columnWidths
+              .slice(0, column)
+              .reduce((sum, width) => sum + width + TIDY_GAP, 0),
+          y:
+            bounds.y +
+            rowHeights
+              .slice(0, row)
+              .reduce((sum, height) => sum + height + TIDY_GAP, 0),
+        });
+      });
+    } else {
+      // Each item goes at the bottom of the shortest column
+      const columnWidth = Math.max(...order.map(({ box }) => box.width));
+      const columnHeights = Array(columns).fill(0);
+      for (const item of order) {
+        const column = columnHeights.indexOf(Math.min(...columnHeights));
+        positions.set(item, {
+          x: bounds.x + column * (columnWidth + TIDY_GAP),
+          y: bounds.y + columnHeights[column],
+        });
+        columnHeights[column] += item.box.height + TIDY_GAP;
+      }
+    }
+    return items.map(
+      (item) => /** @type {{x: number, y: number}} */ (positions.get(item)),
+    );
+  });
+}
+
+/**
+ * Creates a button that arranges the selection
+ * @param {string} label - Button text
+ * @param {string} title - Button tooltip
+ * @param {(state: State) => State} arrange - Action arranging the selection
+ * @returns {import("hyperapp").ElementVNode<State>} Arrange button
+ */
+function arrangeButton(label, title, arrange) {
+  return h(
+    "button",
+    {
+      title,
+      onclick: (state, event) => {
+        event.stopPropagation();
+        return arrange(state);
+      },
+    },
+    text(label),
+  );
+}
+
+/**
+ * Creates the controls that align, distribute, match the size of and tidy the selection
+ * @param {State} state - Current application state
+ * @returns {import("hyperapp").ElementVNode<State> | null} Arrange controls element, or null unless several blocks or groups are selected
+ */
+export function arrangeControls(state) {
+  const currentPage = getCurrentPage(state);
+  if (!currentPage || getArrangeItems(currentPage).length < 2) return null;
+
+  return h("div", { class: "arrange-controls" }, [
+    h("span", {}, text("Align")),
+    .../** @type {Alignment[]} */ (Object.keys(ALIGNMENTS)).map((alignment) =>
+      arrangeButton(
+        alignment,
+        `Align to the ${alignment} of the selection`,
+        (state) => alignSelection(state, alignment),
+      ),
+    ),
+    h("span", {}, text("Arrange")),
+    arrangeButton(
+      "distribute horizontally",
+      "Space evenly between the leftmost and rightmost",
+      (state) => distributeSelection(state, "horizontal"),
+    ),
+    arrangeButton(
+      "distribute vertically",
+      "Space evenly between the topmost and bottommost",
+      (state) => distributeSelection(state, "vertical"),
+    ),
+    arrangeButton(
+      "match width",
+      "Give every block the width of the first selected block",
+      (state) => matchSelectionSize(state, "width"),
+    ),
+    arrangeButton(
+      "match height",
+      "Give every block the height of the first selected block",
+      (state) => matchSelectionSize(state, "height"),
+    ),
+    arrangeButton("tidy into grid", "Lay out in rows and columns", (state) =>
+      tidySelection(state, "grid"),
+    ),
+    arrangeButton(
+      "tidy into masonry",
+      "Lay out in columns, each packed from the top",
+      (state) => tidySelection(state, "masonry"),
+    ),
+  ]);
+}
@@ -0,0 +1,178 @@
+import { AUTOSAVE_DELAY_MS, RECOVERY_SAVE_PATH } from "./constants.js";
+import {
+  documentRecovered,
+  getDocumentData,
+  getDocumentName,
+} from "./documents.js";
+import { loadDocumentData } from "./schema.js";
+
+/**
+ * Stops the running autosave subscription, set while it's running
+ * @type {(() => Promise<void>) | null}
+ */
+let stopRunningAutosave = null;
+
+/**
+ * Writes the document to the recovery file
+ * @param {State} state - State to autosave
+ * @returns {Promise<void>}
+ */
+async function writeRecoveryFile(state) {
+  /** @type {RecoveryFile} */
+  const recovery = {
+    savedAt: Date.now(),
+    documentPath: state.documentPath,
+    document: getDocumentData(state),
+  };
+  // @ts-ignore
+  const result = await window.fileAPI.writeFile(
+    RECOVERY_SAVE_PATH,
+    recovery,
+    "json",
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+}
+
+/**
+ * Deletes the recovery file, once its changes are saved or discarded
+ * @returns {Promise<void>}
+ */
+export async function deleteRecoveryFile() {
+  // @ts-ignore
+  const result = await window.fileAPI.deleteFile(RECOVERY_SAVE_PATH);
+  if (!result.success) {
+    console.error("Failed to delete recovery file:", result.error);
+  }
+}
+
+/**
+ * Subscription that autosaves unsaved changes to a recovery file a short while after the
+ * last `appDispatch` event, and deletes it once the document is saved
+ * @param {import("hyperapp").Dispatch<State>} dispatch - Function to dispatch actions
+ * @param {{getState: () => State|null}} props - Gets the latest state
+ * @returns {() => void} Cleanup function
+ */
+function autosaveSubscriber(dispatch, { getState }) {
+  /** @type {ReturnType<typeof setTimeout> | null} */
+  let timeout = null;
+  // A recovery file may be left over from before the app was restarted
+  let hasRecoveryFile = true;
+  /** @type {Promise<void>} */
+  let running = Promise.resolve();
+
+  const autosave = async () => {
+    timeout = null;
+    const state = getState();
+    if (!state) return;
+
+    try {
+      if (state.isDirty) {
+        await writeRecoveryFile(state);
+        hasRecoveryFile = true;
+      } else if (hasRecoveryFile) {
+        await deleteRecoveryFile();
+        hasRecoveryFile = false;
+      }
+    } catch (error) {
+      console.error("Failed to autosave:", error);
+    }
+  };
+
+  const handleAppDispatch = () => {
+    if (timeout) clearTimeout(timeout);
+    timeout = setTimeout(() => {
+      running = autosave();
+    }, AUTOSAVE_DELAY_MS);
+  };
+
+  const stop = async () => {
+    if (timeout) clearTimeout(timeout);
+    timeout = null;
+    removeEventListener("appDispatch", handleAppDispatch);
+    await running;
+  };
+
+  addEventListener("appDispatch", handleAppDispatch);
+  stopRunningAutosave = stop;
+  return () => {
+    if (stopRunningAutosave === stop) stopRunningAutosave = null;
+    stop();
+  };
+}
+
+/**
+ * Stops autosaving, cancelling a pending autosave and waiting for one being written, so the
+ * recovery file can be deleted without an autosave writing it again afterwards
+ * @returns {Promise<void>}
+ */
+export async function stopAutosave() {
+  await stopRunningAutosave?.();
+}
+
+/**
+ * Gets the autosave subscription
+ * @param {() => State|null} getState - Gets the latest state, which `appDispatch` events don't fully include
+ * @returns {import("hyperapp").Subscription<State>} Autosave subscription
+ */
+export function autosaveSubscription(getState) {
+  return [autosaveSubscriber, { getState }];
+}
+
+/**
+ * Offers to restore changes autosaved after the last explicit save, e.g. after a crash
+ * @param {State} state - State loaded from the session
+ * @returns {Promise<State>} Recovered state, or the given state if there's nothing to recover
+ */
+export async function recoverAutosave(state) {
+  // @ts-ignore
+  const saved = await window.fileAPI.readFile(RECOVERY_SAVE_PATH, "json");
+  if (!saved.success) {
+    if (saved.code !== "NOT_FOUND") {
+      console.error("Failed to read recovery file:", saved.error);
+    }
+    return state;
+  }
+  /** @type {RecoveryFile} */
+  const recovery = saved.data;
+
+  const result = loadDocumentData(recovery?.document);
+  if (!result.success) {
+    console.warn("Discarding unreadable recovery file:", result.error);
+    await deleteRecoveryFile();
+    return state;
+  }
+
+  // The document may have been saved after the autosave, e.g. from another window
+  if (recovery.documentPath) {
+    // @ts-ignore
+    const modifiedAt = await window.fileAPI.getDocumentModifiedTime(
+      recovery.documentPath,
+    );
+    if (modifiedAt !== null && modifiedAt >= recovery.savedAt) {
+      await deleteRecoveryFile();
+      return state;
+    }
+  }
+
+  const name = getDocumentName({
+    ...state,
+    documentPath: recovery.documentPath,
+  });
+  // @ts-ignore
+  const response = await window.fileAPI.showMessageBox({
+    type: "question",
+    message: `Recover unsaved changes to "${name}"?`,
+    detail: `Wiki Collage didn't quit properly. Changes autosaved at ${new Date(recovery.savedAt).toLocaleString()} weren't saved.`,
+    buttons: ["Recover", "Discard"],
+    defaultId: 0,
+    cancelId: 1,
+  });
+
+  if (response === 0) {
+    return documentRecovered(state, { ...recovery, document: result.data });
+  }
+  await deleteRecoveryFile();
+  return state;
+}
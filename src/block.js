@@ -5,11 +5,13 @@ import {
   OUTLINE_COLORS,
   OUTLINE_WIDTHS,
   BLOCK_CONTENTS_CLASS_NAME,
+  MIN_SIZE,
+  DEFAULT_WIKI_SOURCE,
 } from "./constants.js";
 import { saveMementoAndReturn } from "./memento.js";
 import { RESIZE_HANDLERS, ResizeHandle } from "./resize.js";
 import { getViewportCenterCoordinates } from "./viewport.js";
-import { clearUserClipboardEffect } from "./utils.js";
+import { clearUserClipboardEffect, showNotification } from "./utils.js";
 import {
   getCurrentBlocks,
   updateCurrentPage,
@@ -24,6 +26,54 @@ import {
   getSelectedBlocks,
   toggleBlockSelection,
 } from "./selection.js";
+import { focusNoteEditorEffect, noteContents } from "./note.js";
+import { isLineBlock, routeConnectors, shapeContents } from "./shapes.js";
+import { snippetContents } from "./snippet.js";
+import {
+  getCopiedGroups,
+  getSelectableGroupId,
+  pasteGroups,
+  removeEmptyGroups,
+} from "./groups.js";
+
+/**
+ * Gets the kind of a block. Blocks saved before there were other kinds are images.
+ * @param {Block} block - Block to check
+ * @returns {BlockType} Block type
+ */
+export function getBlockType(block) {
+  return block.type ?? "image";
+}
+
+/**
+ * Creates the contents of a block for its type
+ * @param {Block} block - Block to render
+ * @param {boolean} isEditing - Whether the block is in edit mode
+ * @param {WikiSource} wikiSource - Wiki source of the page the block is on, which snippets load their article from
+ * @returns {import("hyperapp").ElementVNode<State>} Block contents element
+ */
+function blockContents(block, isEditing, wikiSource) {
+  switch (getBlockType(block)) {
+    case "text":
+      return noteContents(block, isEditing);
+    case "shape":
+    case "connector":
+      return shapeContents(block);
+    case "snippet":
+      return snippetContents(block, isEditing, wikiSource);
+    default: {
+      const imageSrc = block.imageSrc ?? "";
+      return h("img", {
+        src: imageSrc.startsWith("file://") ? imageSrc : `file://${imageSrc}`,
+        style: {
+          width: "100%",
+          height: "100%",
+          pointerEvents: "none",
+        },
+      });
+    }
+  }
+}
 
 /**
  * Creates a block component renderer
@@ -84,7 +134,7 @@ export function block(state) {
 
       // Set cursor based on current mode (global option cursor will override)
       let cursorStyle;
-      if (isMultiSelect) {
+      if (isMultiSelect || block.isLocked) {
         cursorStyle = "default";
       } else if (
         currentPage.editingId === block.id ||
@@ -99,12 +149,14 @@ export function block(state) {
       console.log(block.pageSrc);
 
       // Only update wiki page when option key is held
+      /** @type {Partial<Page>} */
       let updateData = {
         hoveringId: block.id,
         cursorStyle: cursorStyle,
       };
 
-      if (state.isOptionPressed) {
+      // Notes aren't from an article, so there's no page to show
+      if (state.isOptionPressed && block.pageSrc) {
         // Get current viewport position before changing to block's page
         const wikiViewer = document.querySelector("wiki-viewer");
         const currentViewportPosition = wikiViewer
@@ -113,6 +165,9 @@ export function block(state) {
 
         updateData.wikiPage = block.pageSrc;
         updateData.wikiViewportPosition = currentViewportPosition;
+        updateData.wikiRevision = block.pageRevision ?? null;
+        updateData.wikiRevisionMode = "pinned";
+        updateData.wikiHighlight = block.sourceRegion ?? null;
       }
 
       return updateCurrentPage(state, updateData);
@@ -147,7 +202,10 @@ export function block(state) {
     function onpointerdown(state, event) {
       const currentPage = getCurrentPage(state);
       if (!currentPage) return state;
-      if (isMultiSelect) return state;
+      // Dragging a multi-selection is handled by the viewport, another block or group is picked straight away
+      if (isMultiSelect && isSelected) return state;
+      // Locked blocks are clicked through, e.g. to start a selection box over them
+      if (block.isLocked) return state;
 
       event.stopPropagation();
 
@@ -182,16 +240,37 @@ export function block(state) {
 
       const currentPage = getCurrentPage(state);
       if (!currentPage) return state;
-      if (currentPage.isInteractMode || currentPage.isTextEditorFocused) {
+      if (
+        currentPage.isInteractMode ||
+        currentPage.isTextEditorFocused ||
+        block.isLocked
+      ) {
         return state;
       }
 
+      // Double-click on a grouped block enters its group, selecting the block on its own
+      const groupId = getSelectableGroupId(currentPage, block);
+      if (groupId !== null) {
+        return selectBlock(
+          updateCurrentPage(state, {
+            enteredGroupId: groupId,
+            dragStart: null,
+          }),
+          block.id,
+        );
+      }
+
       // Double-click enters edit mode
       const selectedState = selectBlock(state, block.id);
-      return updateCurrentPage(selectedState, {
+      const editingState = updateCurrentPage(selectedState, {
         editingId: block.id,
         dragStart: null,
       });
+
+      // Notes are typed into as soon as they're edited
+      return getBlockType(block) === "text"
+        ? [editingState, [focusNoteEditorEffect, block.id]]
+        : editingState;
     }
 
     return h(
@@ -208,24 +287,23 @@ export function block(state) {
           height: `${block.height}px`,
           zIndex: `${block.zIndex}`,
         },
-        class: { block: true },
+        class: { block: true, "line-block": isLineBlock(block) },
         onpointerover,
         onpointerleave,
         onpointerdown,
         ondblclick,
       },
       [
-        h("img", {
-          src: block.imageSrc.startsWith("file://")
-            ? block.imageSrc
-            : `file://${block.imageSrc}`,
-          style: {
-            width: "100%",
-            height: "100%",
-            pointerEvents: "none",
-          },
-        }),
-        ...(isSelected && !isEditing && !isMultiSelect
+        blockContents(
+          block,
+          isEditing,
+          currentPage.wikiSource ?? DEFAULT_WIKI_SOURCE,
+        ),
+        // Connectors are sized by the blocks they connect
+        ...(isSelected &&
+        !isEditing &&
+        !isMultiSelect &&
+        getBlockType(block) !== "connector"
           ? Object.keys(RESIZE_HANDLERS).map((handle) =>
               ResizeHandle({
                 handle: /** @type{ResizeString} */ (handle),
@@ -320,56 +398,6 @@ function getBlockOutline(blockState, state) {
 // ## Components
 // -----------------------------
 
-/**
- * Sends a block to the front (highest z-index)
- * @param {State} currentState - Current application state
- * @param {number} blockId - ID of block to bring to front
- * @returns {import("hyperapp").Dispatchable<State>} Updated state
- */
-export function sendToFront(currentState, blockId) {
-  const blocks = getCurrentBlocks(currentState);
-  const block = blocks.find((b) => b.id === blockId);
-  if (!block) return currentState;
-
-  // Find the highest z-index among all blocks
-  const maxZIndex = Math.max(...blocks.map((b) => b.zIndex));
-
-  const newState = {
-    ...updateCurrentPage(currentState, {
-      blocks: blocks.map((b) =>
-        b.id === blockId ? { ...b, zIndex: maxZIndex + 1 } : b,
-      ),
-    }),
-  };
-
-  return saveMementoAndReturn(currentState, newState);
-}
-
-/**
- * Sends a block to the back (lowest z-index)
- * @param {State} currentState - Current application state
- * @param {number} blockId - ID of block to send to back
- * @returns {import("hyperapp").Dispatchable<State>} Updated state
- */
-export function sendToBack(currentState, blockId) {
-  const blocks = getCurrentBlocks(currentState);
-  const block = blocks.find((b) => b.id === blockId);
-  if (!block) return currentState;
-
-  // Find the lowest z-index among all blocks
-  const minZIndex = Math.min(...blocks.map((b) => b.zIndex));
-
-  const newState = {
-    ...updateCurrentPage(currentState, {
-      blocks: blocks.map((b) =>
-        b.id === blockId ? { ...b, zIndex: minZIndex - 1 } : b,
-      ),
-    }),
-  };
-
-  return saveMementoAndReturn(currentState, newState);
-}
-
 /**
  * Deletes a block from the state
  * @param {State} state - Current application state
@@ -379,11 +407,22 @@ export function deleteSelectedBlocks(state) {
   const currentPage = getCurrentPage(state);
   if (!currentPage) return state;
 
-  const newState = updateCurrentPage(state, {
-    blocks: currentPage.blocks.filter(
+  // Connectors to deleted blocks are deleted with them, and groups left empty are removed
+  const blocks = routeConnectors(
+    currentPage.blocks.filter(
       (block) => !currentPage.selectedIds.includes(block.id),
     ),
+  );
+  const groups = removeEmptyGroups(currentPage.groups ?? [], blocks);
+  const newState = updateCurrentPage(state, {
+    blocks,
+    groups,
     selectedIds: [],
+    enteredGroupId: groups.some(
+      (group) => group.id === currentPage.enteredGroupId,
+    )
+      ? currentPage.enteredGroupId
+      : null,
   });
 
   return saveMementoAndReturn(state, newState);
@@ -398,7 +437,9 @@ export function deleteSelectedBlocks(state) {
  * @param {number | null} y - Y position on canvas. If null, uses viewport's center X coordinate
  * @param {number} width - Block width in pixels
  * @param {number} height - Block height in pixels
- * @param {Object|null} viewportPosition - Viewport position when block was captured
+ * @param {ViewportAnchor|null} viewportPosition - Viewport position when block was captured
+ * @param {PageRevision|null} pageRevision - Article revision when block was captured
+ * @param {SourceRegion|null} sourceRegion - Passage of the article the block was captured from
  * @returns {State} Updated state with new block */
 export function addBlock(
   state,
@@ -409,6 +450,8 @@ export function addBlock(
   width = 200,
   height = 200,
   viewportPosition = null,
+  pageRevision = null,
+  sourceRegion = null,
 ) {
   // If no coordinates provided, use viewport center
   if (x === null || y === null) {
@@ -416,6 +459,27 @@ export function addBlock(
     x = x ?? viewportCenter.x - width / 2; // Center the block
     y = y ?? viewportCenter.y - height / 2; // Center the block
   }
+
+  return insertBlock(state, {
+    width,
+    height,
+    x,
+    y,
+    imageSrc,
+    pageSrc,
+    viewportPosition,
+    pageRevision,
+    sourceRegion,
+  });
+}
+
+/**
+ * Adds a block of any type to the current page in front of the other blocks, and selects it
+ * @param {State} state - Current application state
+ * @param {Omit<Block, "id"|"zIndex">} blockData - Block without an ID or stacking order
+ * @returns {State} Updated state with new block
+ */
+export function insertBlock(state, blockData) {
   const currentPage = getCurrentPage(state);
   if (!currentPage) return state;
   const globalBlocks = getGlobalBlocks(state);
@@ -423,14 +487,8 @@ export function addBlock(
   /** @type {Block} */
   const newBlock = {
     id: Math.max(...globalBlocks.map((block) => block.id), 0) + 1,
-    width: width,
-    height: height,
-    x: x,
-    y: y,
+    ...blockData,
     zIndex: Math.max(...globalBlocks.map((block) => block.zIndex), 0) + 1,
-    imageSrc,
-    pageSrc,
-    viewportPosition,
   };
 
   const currentBlocks = getCurrentBlocks(state);
@@ -443,13 +501,124 @@ export function addBlock(
   return saveMementoAndReturn(state, selectedState);
 }
 
+/**
+ * Gets the size of a new block for an image, scaling it down to fit the maximum image block
+ * size on screen at the current page's zoom while keeping its aspect ratio
+ * @param {State} state - Current application state
+ * @param {number} imageWidth - Natural image width in pixels
+ * @param {number} imageHeight - Natural image height in pixels
+ * @returns {{width: number, height: number}} Block size in canvas pixels
+ */
+export function getImageBlockSize(state, imageWidth, imageHeight) {
+  const zoom = getCurrentPage(state)?.zoom ?? 1;
+  const maxSize = state.maxImageBlockSize / zoom;
+  const scale = Math.min(1, maxSize / Math.max(imageWidth, imageHeight));
+  // Tiny or very thin images are enlarged to the minimum block size so they stay grabbable
+  return {
+    width: Math.max(MIN_SIZE, Math.round(imageWidth * scale)),
+    height: Math.max(MIN_SIZE, Math.round(imageHeight * scale)),
+  };
+}
+
+/**
+ * Resizes blocks to the natural size or aspect ratio of their images, keeping their centers in place
+ * @param {State} state - Current application state
+ * @param {{blockIds: number[], sizes: Record<string, {width: number, height: number}>, mode: ImageSizeReset}} payload - Blocks to resize and the natural size of each image
+ * @returns {import("hyperapp").Dispatchable<State>} Updated state
+ */
+function applyNaturalImageSizes(state, { blockIds, sizes, mode }) {
+  const currentPage = getCurrentPage(state);
+  if (!currentPage) return state;
+
+  let hasChanged = false;
+  const blocks = currentPage.blocks.map((block) => {
+    const size = block.imageSrc ? sizes[block.imageSrc] : undefined;
+    if (!blockIds.includes(block.id) || !size) return block;
+
+    const width = mode === "size" ? size.width : block.width;
+    const height =
+      mode === "size" ? size.height : (block.width * size.height) / size.width;
+    if (width === block.width && height === block.height) return block;
+
+    hasChanged = true;
+    return {
+      ...block,
+      x: block.x + (block.width - width) / 2,
+      y: block.y + (block.height - height) / 2,
+      width,
+      height,
+    };
+  });
+  if (!hasChanged) return state;
+
+  return saveMementoAndReturn(
+    state,
+    updateCurrentPage(state, { blocks: routeConnectors(blocks) }),
+  );
+}
+
+/**
+ * Effect that reads the natural size of blocks' images and resizes the blocks to it
+ * @param {import("hyperapp").Dispatch<State>} dispatch
+ * @param {{blockIds: number[], imageSrcs: string[], mode: ImageSizeReset}} props - Blocks to resize, their images and what to reset
+ */
+async function resetImageSizeEffect(dispatch, { blockIds, imageSrcs, mode }) {
+  /** @type {Record<string, {width: number, height: number}>} */
+  const sizes = {};
+  await Promise.all(
+    imageSrcs.map(async (imageSrc) => {
+      try {
+        // @ts-ignore
+        const result = await window.fileAPI.getImageDimensions(imageSrc);
+        if (result.success) {
+          sizes[imageSrc] = { width: result.width, height: result.height };
+        }
+      } catch (error) {
+        console.error("Failed to read image size:", error);
+      }
+    }),
+  );
+
+  if (Object.keys(sizes).length < imageSrcs.length) {
+    showNotification(dispatch, "Couldn't read the size of some images");
+  }
+  dispatch(applyNaturalImageSizes, { blockIds, sizes, mode });
+}
+
+/**
+ * Resets the selected blocks to the natural size or aspect ratio of their images
+ * @param {State} state - Current application state
+ * @param {ImageSizeReset} mode - Whether to reset the size or only the aspect ratio
+ * @returns {import("hyperapp").Dispatchable<State>} State with effect reading the image sizes
+ */
+export function resetSelectedBlocksImageSize(state, mode) {
+  const selectedBlocks = getSelectedBlocks(state).filter(
+    (block) => getBlockType(block) === "image",
+  );
+  if (selectedBlocks.length === 0) return state;
+
+  return [
+    state,
+    [
+      resetImageSizeEffect,
+      {
+        blockIds: selectedBlocks.map((block) => block.id),
+        imageSrcs: [
+          ...new Set(selectedBlocks.map((block) => block.imageSrc ?? "")),
+        ],
+        mode,
+      },
+    ],
+  ];
+}
+
 /**
  * Adds multiple blocks to the state
  * @param {State} state - Current application state
- * @param {Array<{imageSrc: string, pageSrc: string, programState?: Object|null, x?: number|null, y?: number|null, width?: number, height?: number, viewportPosition?: Object|null}>} blockConfigs - Array of block configurations
+ * @param {Array<Omit<Block, "id"|"zIndex">>} blockConfigs - Array of blocks without IDs or stacking order
  * @returns {{state: State, blockIds: number[]}} Updated state with new blocks and array of new block IDs
  */
-function addBlocks(state, blockConfigs) {
+export function addBlocks(state, blockConfigs) {
   if (!Array.isArray(blockConfigs) || blockConfigs.length === 0) {
     return { state, blockIds: [] };
   }
@@ -459,27 +628,8 @@ function addBlocks(state, blockConfigs) {
 
   // Add each block sequentially
   for (const config of blockConfigs) {
-    const {
-      imageSrc,
-      pageSrc,
-      x = null,
-      y = null,
-      width = 200,
-      height = 200,
-      viewportPosition = null,
-    } = config;
-
     //BUG: fix
-    currentState = addBlock(
-      currentState,
-      imageSrc,
-      pageSrc,
-      x,
-      y,
-      width,
-      height,
-      viewportPosition,
-    );
+    currentState = insertBlock(currentState, config);
 
     // Get the ID of the newly added block
     const currentBlocks = getCurrentBlocks(currentState);
@@ -502,24 +652,57 @@ export function pasteClipboardBlocks(state) {
   if (clipboardData === null) {
     return state;
   }
-
-  // Transform clipboard data into block configurations for addBlocks
-  const blockConfigs = clipboardData.map((blockData) => ({
-    x: blockData.x + PASTE_OFFSET_X,
-    y: blockData.y + PASTE_OFFSET_Y,
-    width: blockData.width,
-    height: blockData.height,
-    imageSrc: blockData.imageSrc,
-    pageSrc: blockData.pageSrc,
-    viewportPosition: blockData.viewportPosition,
-  }));
+  // Blocks are pasted into the entered group, which adding them would leave
+  const enteredGroupId = getCurrentPage(state)?.enteredGroupId ?? null;
+
+  // Transform clipboard data into block configurations for addBlocks,
+  // keeping every property so blocks of each type are copied whole
+  const blockConfigs = clipboardData.map(
+    ({ id, zIndex, groupId, ...blockData }) => ({
+      ...blockData,
+      x: blockData.x + PASTE_OFFSET_X,
+      y: blockData.y + PASTE_OFFSET_Y,
+    }),
+  );
 
   const { state: newState, blockIds } = addBlocks(state, blockConfigs);
 
-  // Select all pasted blocks
+  // Attach pasted connectors to the pasted copies of their blocks, put the copies in copies
+  // of their groups, and select all pasted blocks
   if (blockIds.length > 0) {
+    const pastedIds = new Map(
+      clipboardData.map((block, index) => [block.id, blockIds[index]]),
+    );
+    const copiedGroupIds = new Map(
+      clipboardData.map((block, index) => [blockIds[index], block.groupId]),
+    );
+    const { groups, pastedGroupIds } = pasteGroups(
+      getCurrentPage(newState)?.groups ?? [],
+      state.clipboardGroups,
+      enteredGroupId,
+    );
     return updateCurrentPage(newState, {
+      blocks: routeConnectors(
+        getCurrentBlocks(newState).map((block) => {
+          if (!blockIds.includes(block.id)) return block;
+          const copiedGroupId = copiedGroupIds.get(block.id);
+          const groupId =
+            copiedGroupId != null && pastedGroupIds.has(copiedGroupId)
+              ? /** @type {number} */ (pastedGroupIds.get(copiedGroupId))
+              : enteredGroupId;
+          return getBlockType(block) === "connector"
+            ? {
+                ...block,
+                groupId,
+                fromId: pastedIds.get(/** @type {number} */ (block.fromId)),
+                toId: pastedIds.get(/** @type {number} */ (block.toId)),
+              }
+            : { ...block, groupId };
+        }),
+      ),
+      groups,
       selectedIds: blockIds,
+      enteredGroupId,
     });
   }
 
@@ -535,19 +718,29 @@ export function copySelectedBlocks(state) {
   const selectedBlocks = getSelectedBlocks(state);
   if (selectedBlocks.length === 0) return state;
 
-  // Create copies of the block data for clipboard, capturing current state
+  // Create copies of the block data for clipboard, capturing current state.
+  // Blocks keep their IDs so pasted connectors can find the copies of their blocks,
+  // and connectors are only copied along with both of their blocks.
+  const selectedIds = new Set(selectedBlocks.map((block) => block.id));
   /** @type {Block[]} */
   const blocksData = selectedBlocks
+    .filter(
+      (block) =>
+        getBlockType(block) !== "connector" ||
+        (selectedIds.has(/** @type {number} */ (block.fromId)) &&
+          selectedIds.has(/** @type {number} */ (block.toId))),
+    )
     .sort((a, b) => a.zIndex - b.zIndex)
-    .map((block) => ({
-      ...block,
-      id: -1, // not a "real" block
-    }));
+    .map((block) => ({ ...block }));
 
   return [
     {
       ...state,
       clipboard: blocksData,
+      clipboardGroups: getCopiedGroups(
+        /** @type {Page} */ (getCurrentPage(state)),
+        blocksData,
+      ),
     },
     clearUserClipboardEffect,
   ];
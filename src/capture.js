@@ -0,0 +1,194 @@
+import { h, text } from "./packages/hyperapp/index.js";
+import { MEDIA_SAVE_PATH, MIN_SIZE } from "./constants.js";
+import { addBlock, getImageBlockSize } from "./block.js";
+import { getCurrentPage } from "./pages.js";
+
+/**
+ * Toggles region capture mode
+ * @param {State} state - Current application state
+ * @returns {State} Updated state
+ */
+export function toggleCaptureMode(state) {
+  return {
+    ...state,
+    isCaptureMode: !state.isCaptureMode,
+    captureBox: null,
+  };
+}
+
+/**
+ * Exits region capture mode
+ * @param {State} state - Current application state
+ * @returns {State} Updated state
+ */
+export function exitCaptureMode(state) {
+  return {
+    ...state,
+    isCaptureMode: false,
+    captureBox: null,
+  };
+}
+
+/**
+ * Gets the rectangle of a capture box in client coordinates
+ * @param {SelectionBoxState} captureBox - Capture box state
+ * @returns {{x: number, y: number, width: number, height: number}} Capture rectangle
+ */
+function getCaptureRect(captureBox) {
+  return {
+    x: Math.min(captureBox.startX, captureBox.currentX),
+    y: Math.min(captureBox.startY, captureBox.currentY),
+    width: Math.abs(captureBox.currentX - captureBox.startX),
+    height: Math.abs(captureBox.currentY - captureBox.startY),
+  };
+}
+
+/**
+ * Effect that captures a region of the window and adds it as a block sourced from the wiki viewer
+ * @param {import("hyperapp").Dispatch<State>} dispatch
+ * @param {{x: number, y: number, width: number, height: number}} rect - Region in client coordinates
+ */
+async function captureRegionEffect(dispatch, rect) {
+  // Wait for the capture overlay to be removed from the screen so it isn't in the capture
+  await new Promise((resolve) =>
+    requestAnimationFrame(() => requestAnimationFrame(resolve)),
+  );
+
+  // Record the source before anything can scroll the viewer
+  const wikiViewer =
+    /** @type {import("./wiki-viewer.js").WikiViewer | null} */ (
+      document.querySelector("wiki-viewer")
+    );
+  const viewportPosition = wikiViewer
+    ? wikiViewer.saveViewportPosition()
+    : null;
+  const pageRevision = wikiViewer ? wikiViewer.getPageRevision() : null;
+  const sourceRegion = wikiViewer
+    ? wikiViewer.saveSourceRegion({
+        top: rect.y,
+        bottom: rect.y + rect.height,
+      })
+    : null;
+
+  try {
+    // @ts-ignore
+    const result = await window.fileAPI.captureRegion(rect, MEDIA_SAVE_PATH);
+    if (!result.success) return;
+
+    dispatch((state) => {
+      const currentPage = getCurrentPage(state);
+      if (!currentPage) return state;
+
+      const { width, height } = getImageBlockSize(
+        state,
+        rect.width,
+        rect.height,
+      );
+      return addBlock(
+        state,
+        result.path,
+        currentPage.wikiPage,
+        null,
+        null,
+        width,
+        height,
+        viewportPosition,
+        pageRevision,
+        sourceRegion,
+      );
+    });
+  } catch (error) {
+    console.error("Failed to capture region:", error);
+  }
+}
+
+/**
+ * Creates the capture mode toggle button
+ * @param {State} state - Current application state
+ * @returns {import("hyperapp").ElementVNode<State>} Capture button element
+ */
+export function captureButton(state) {
+  return h(
+    "button",
+    {
+      class: { active: state.isCaptureMode },
+      title: "Drag a rectangle over the article to capture it as a block",
+      onclick: (state) => toggleCaptureMode(state),
+    },
+    text("Capture"),
+  );
+}
+
+/**
+ * Creates the overlay a capture rectangle is dragged on, covering the wiki viewer it is rendered over.
+ * The rectangle is kept within the overlay so only the article is captured.
+ * @param {State} state - Current application state
+ * @returns {import("hyperapp").ElementVNode<State> | null} Capture overlay element or null
+ */
+export function captureOverlay(state) {
+  if (!state.isCaptureMode) return null;
+
+  const rect = state.captureBox ? getCaptureRect(state.captureBox) : null;
+
+  return h(
+    "div",
+    {
+      id: "capture-overlay",
+      onpointerdown: (state, event) => {
+        event.stopPropagation();
+        const target = /** @type {HTMLElement} */ (event.currentTarget);
+        target.setPointerCapture(event.pointerId);
+        return {
+          ...state,
+          captureBox: {
+            startX: event.clientX,
+            startY: event.clientY,
+            currentX: event.clientX,
+            currentY: event.clientY,
+          },
+        };
+      },
+      onpointermove: (state, event) => {
+        if (!state.captureBox) return state;
+        const bounds = /** @type {HTMLElement} */ (
+          event.currentTarget
+        ).getBoundingClientRect();
+        return {
+          ...state,
+          captureBox: {
+            ...state.captureBox,
+            currentX: Math.min(
+              Math.max(event.clientX, bounds.left),
+              bounds.right,
+            ),
+            currentY: Math.min(
+              Math.max(event.clientY, bounds.top),
+              bounds.bottom,
+            ),
+          },
+        };
+      },
+      onpointerup: (state) => {
+        if (!state.captureBox) return state;
+
+        const rect = getCaptureRect(state.captureBox);
+        const newState = exitCaptureMode(state);
+        if (rect.width < MIN_SIZE || rect.height < MIN_SIZE) {
+          return { ...state, captureBox: null };
+        }
+        return [newState, [captureRegionEffect, rect]];
+      },
+    },
+    rect
+      ? h("div", {
+          class: "capture-box",
+          style: {
+            left: `${rect.x}px`,
+            top: `${rect.y}px`,
+            width: `${rect.width}px`,
+            height: `${rect.height}px`,
+          },
+        })
+      : h("div", { class: "capture-hint" }, text("Drag to capture a region")),
+  );
+}
@@ -0,0 +1,218 @@
+import { h, text } from "./packages/hyperapp/index.js";
+import {
+  DEFAULT_MAX_IMAGE_BLOCK_SIZE,
+  MEDIA_SAVE_PATH,
+  MIN_SIZE,
+} from "./constants.js";
+import { addBlock, getImageBlockSize } from "./block.js";
+import { defaultPage, getCurrentPage } from "./pages.js";
+
+const INBOX_PAGE_NAME = "Inbox";
+
+/** @type {ClipboardImportSettings} */
+export const defaultClipboardImport = {
+  isPaused: false,
+  target: "current",
+  inboxPageId: null,
+};
+
+/**
+ * Gets the inbox page, creating it without switching to it if it doesn't exist yet
+ * @param {State} state - Current application state
+ * @returns {{state: State, pageId: string}} State containing the inbox page and its ID
+ */
+function ensureInboxPage(state) {
+  const { inboxPageId } = state.clipboardImport;
+  if (inboxPageId && state.pages.some((page) => page.id === inboxPageId)) {
+    return { state, pageId: inboxPageId };
+  }
+
+  /** @type {Page} */
+  const inboxPage = {
+    ...defaultPage,
+    id: crypto.randomUUID(),
+    name: INBOX_PAGE_NAME,
+    state: {},
+  };
+
+  return {
+    state: {
+      ...state,
+      pages: [...state.pages, inboxPage],
+      clipboardImport: { ...state.clipboardImport, inboxPageId: inboxPage.id },
+    },
+    pageId: inboxPage.id,
+  };
+}
+
+/**
+ * Adds an image imported from the clipboard as a block on the current page or the inbox page
+ * @param {State} state - Current application state
+ * @param {ClipboardImportPayload} payload - Saved image and where it was copied from
+ * @returns {State} Updated state
+ */
+function importClipboardImage(state, payload) {
+  const currentPage = getCurrentPage(state);
+  if (!currentPage) return state;
+
+  /**
+   * @param {State} state
+   * @returns {State}
+   */
+  const addImageBlock = (state) => {
+    const { width, height } = getImageBlockSize(
+      state,
+      payload.width,
+      payload.height,
+    );
+    return addBlock(
+      state,
+      payload.path,
+      currentPage.wikiPage,
+      null,
+      null,
+      width,
+      height,
+      payload.viewportPosition,
+      payload.pageRevision,
+      payload.sourceRegion,
+    );
+  };
+
+  if (state.clipboardImport.target !== "inbox") {
+    return addImageBlock(state);
+  }
+
+  // Add the block as if the inbox were the current page, then switch back
+  const inbox = ensureInboxPage(state);
+  const newState = addImageBlock({
+    ...inbox.state,
+    currentPageId: inbox.pageId,
+  });
+  return { ...newState, currentPageId: state.currentPageId };
+}
+
+/**
+ * Subscription that imports images the main process sees copied to the clipboard
+ * @param {import("hyperapp").Dispatch<State>} dispatch Hyperapp dispatch function
+ * @returns {() => void} Cleanup function
+ */
+function clipboardImageSubscription(dispatch) {
+  /**
+   * @param {{path: string, width: number, height: number}} image - Image saved by the main process
+   */
+  const handleClipboardImage = (image) => {
+    // Record where the image was copied from while the viewer still shows it
+    const wikiViewer =
+      /** @type {import("./wiki-viewer.js").WikiViewer | null} */ (
+        document.querySelector("wiki-viewer")
+      );
+    /** @type {ClipboardImportPayload} */
+    const payload = {
+      path: image.path,
+      width: image.width,
+      height: image.height,
+      viewportPosition: wikiViewer ? wikiViewer.saveViewportPosition() : null,
+      pageRevision: wikiViewer ? wikiViewer.getPageRevision() : null,
+      sourceRegion: wikiViewer ? wikiViewer.saveSourceRegion() : null,
+    };
+    dispatch(importClipboardImage, payload);
+  };
+
+  // @ts-ignore
+  const listener = window.electronAPI.onClipboardImage(handleClipboardImage);
+  // @ts-ignore
+  window.electronAPI.watchClipboard(MEDIA_SAVE_PATH);
+
+  return () => {
+    // @ts-ignore
+    window.electronAPI.unwatchClipboard();
+    // @ts-ignore
+    window.electronAPI.removeClipboardImageListener(listener);
+  };
+}
+
+/**
+ * Gets the clipboard import subscription, which only runs while auto-import isn't paused
+ * @param {State} state - Current application state
+ * @returns {import("hyperapp").Subscription<State> | false} Subscription or false when paused
+ */
+export function clipboardImportSubscription(state) {
+  return !state.clipboardImport.isPaused && [clipboardImageSubscription, {}];
+}
+
+/**
+ * Updates the clipboard import settings
+ * @param {State} state - Current application state
+ * @param {Partial<ClipboardImportSettings>} settings - Settings to update
+ * @returns {State} Updated state
+ */
+function updateClipboardImport(state, settings) {
+  return {
+    ...state,
+    clipboardImport: { ...state.clipboardImport, ...settings },
+  };
+}
+
+/**
+ * Creates the controls for pausing clipboard auto-import, choosing where imports go and how large they're shown
+ * @param {State} state - Current application state
+ * @returns {import("hyperapp").ElementVNode<State>} Clipboard import controls element
+ */
+export function clipboardImportControls(state) {
+  const { isPaused, target } = state.clipboardImport;
+
+  return h("div", { class: "clipboard-import-controls" }, [
+    h(
+      "button",
+      {
+        class: { active: !isPaused },
+        title: isPaused
+          ? "Resume adding copied images as blocks"
+          : "Stop adding copied images as blocks",
+        onclick: (state) =>
+          updateClipboardImport(state, { isPaused: !isPaused }),
+      },
+      text(isPaused ? "Auto-import paused" : "Auto-import on"),
+    ),
+    h(
+      "select",
+      {
+        value: target,
+        disabled: isPaused,
+        onchange: (state, event) =>
+          updateClipboardImport(state, {
+            target: /** @type {ClipboardImportTarget} */ (
+              /** @type {HTMLSelectElement} */ (event.target).value
+            ),
+          }),
+      },
+      [
+        h(
+          "option",
+          { value: "current", selected: target === "current" },
+          text("Import to current page"),
+        ),
+        h(
+          "option",
+          { value: "inbox", selected: target === "inbox" },
+          text(`Import to ${INBOX_PAGE_NAME} page`),
+        ),
+      ],
+    ),
+    h("input", {
+      type: "number",
+      title: "Largest size of new image blocks on screen, in pixels",
+      min: MIN_SIZE,
+      value: state.maxImageBlockSize,
+      onchange: (state, event) => ({
+        ...state,
+        maxImageBlockSize: Math.max(
+          MIN_SIZE,
+          Number(/** @type {HTMLInputElement} */ (event.target).value) ||
+            DEFAULT_MAX_IMAGE_BLOCK_SIZE,
+        ),
+      }),
+    }),
+  ]);
+}
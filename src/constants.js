@@ -4,9 +4,16 @@
 
 export const MIN_SIZE = 20; // Minimum size in px
 export const STATE_SAVE_PATH = "user/state.json";
+export const RECOVERY_SAVE_PATH = "user/recovery.json";
+export const AUTOSAVE_DELAY_MS = 2000; // Quiet period after a change before autosaving
 export const MEDIA_SAVE_PATH = "user/media/";
 export const PASTE_OFFSET_X = 20;
 export const PASTE_OFFSET_Y = 20;
+export const NOTE_SIZE = { width: 240, height: 160 }; // Size of a new note in px
+export const SNIPPET_SIZE = { width: 360, height: 240 }; // Size of a new snippet in px
+export const SHAPE_SIZE = { width: 200, height: 120 }; // Size of a new shape in px
+export const DEFAULT_MAX_IMAGE_BLOCK_SIZE = 400; // Longest side of a new image block on screen, in px
+export const TIDY_GAP = 16; // Space between blocks tidied into a grid or masonry, in px
 
 /**
  * @type {Record<string, string>}
@@ -37,3 +44,12 @@ export const OUTLINE_WIDTHS = {
 };
 
 export const BLOCK_CONTENTS_CLASS_NAME = "block-contents";
+
+/** @type {WikiSource} */
+export const DEFAULT_WIKI_SOURCE = {
+  type: "rest",
+  origin: "https://en.wikipedia.org",
+};
+
+// Cached wiki pages older than this are refreshed in the background when online
+export const WIKI_CACHE_MAX_AGE_MS = 24 * 60 * 60 * 1000;
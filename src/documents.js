@@ -0,0 +1,421 @@
+import { MEDIA_SAVE_PATH } from "./constants.js";
+import { createMementoManager } from "./memento.js";
+import { defaultPage } from "./pages.js";
+import {
+  SCHEMA_VERSION,
+  formatRepairs,
+  loadDocumentData,
+  showLoadProblem,
+} from "./schema.js";
+import { showNotification } from "./utils.js";
+
+const UNTITLED_DOCUMENT_NAME = "Untitled";
+const APP_NAME = "Wiki Collage";
+// Page properties that are part of the document, rather than how it's being viewed or edited
+/** @type {(keyof Page)[]} */
+const DOCUMENT_PAGE_FIELDS = ["id", "name", "blocks", "groups", "css"];
+
+// -----------------------------
+// ## Document State
+// -----------------------------
+
+/**
+ * Gets the display name of the open document
+ * @param {State} state - Current application state
+ * @returns {string} File name without extension, or "Untitled"
+ */
+export function getDocumentName(state) {
+  if (!state.documentPath) return UNTITLED_DOCUMENT_NAME;
+  const filename = state.documentPath.split(/[\\/]/).pop() ?? "";
+  return filename.replace(/\.[^.]+$/, "") || UNTITLED_DOCUMENT_NAME;
+}
+
+/**
+ * Gets the part of the state that is saved to a document file
+ * @param {State} state - Current application state
+ * @returns {CollageDocument} Document contents
+ */
+export function getDocumentData(state) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    pages: state.pages,
+    currentPageId: state.currentPageId,
+  };
+}
+
+/**
+ * Checks whether pages differ from the saved ones in what the document holds, ignoring
+ * view state like selection and zoom
+ * @param {Page[]} savedPages - Pages as last saved
+ * @param {Page[]} pages - Current pages
+ * @returns {boolean} Whether the document changed
+ */
+function hasDocumentChanged(savedPages, pages) {
+  if (savedPages === pages) return false;
+  if (savedPages.length !== pages.length) return true;
+  return pages.some((page, i) =>
+    DOCUMENT_PAGE_FIELDS.some(
+      (field) =>
+        page[field] !== savedPages[i][field] &&
+        // Changes that were made and then reverted, e.g. a block dragged back, leave new copies
+        JSON.stringify(page[field]) !== JSON.stringify(savedPages[i][field]),
+    ),
+  );
+}
+
+/**
+ * Marks the document as having unsaved changes once its pages differ from the saved ones.
+ * Runs on every state change, so changes kept out of the undo history count too.
+ * @param {State} state - Updated application state
+ * @returns {State} State with isDirty set if the document changed
+ */
+export function markDocumentChanges(state) {
+  if (state.isDirty || !hasDocumentChanged(state.savedPages, state.pages)) {
+    return state;
+  }
+  return { ...state, isDirty: true };
+}
+
+/**
+ * Replaces the open document with one loaded from disk
+ * @param {State} state - Current application state
+ * @param {{path: string, data: CollageDocument, isRepaired?: boolean}} document - Document path and
+ * contents, and whether it was repaired while loading so the repairs still need saving
+ * @returns {State} State showing the loaded document
+ */
+export function documentLoaded(state, { path, data, isRepaired = false }) {
+  return {
+    ...showDocument(state, data),
+    documentPath: path,
+    savedPages: data.pages,
+    isDirty: isRepaired,
+  };
+}
+
+/**
+ * Replaces the open document with one recovered from an autosave, keeping it unsaved
+ * @param {State} state - Current application state
+ * @param {RecoveryFile} recovery - Autosaved document
+ * @returns {State} State showing the recovered document
+ */
+export function documentRecovered(state, recovery) {
+  return {
+    ...showDocument(state, recovery.document),
+    documentPath: recovery.documentPath,
+    savedPages: recovery.document.pages,
+    isDirty: true,
+  };
+}
+
+/**
+ * Shows a document's pages with fresh undo history
+ * @param {State} state - Current application state
+ * @param {CollageDocument} data - Document contents, checked by loadDocumentData
+ * @returns {State} State showing the document
+ */
+function showDocument(state, data) {
+  return {
+    ...state,
+    pages: data.pages,
+    currentPageId: data.currentPageId,
+    mementoManager: createMementoManager(),
+    editingPageId: null,
+  };
+}
+
+/**
+ * Marks the document as saved
+ * @param {State} state - Current application state
+ * @param {{path: string, pages: Page[]}} saved - Path saved to and the pages that were written
+ * @returns {State} Updated state
+ */
+function documentSaved(state, { path, pages }) {
+  return {
+    ...state,
+    documentPath: path,
+    savedPages: pages,
+    // Changes made while the file was being written still need saving
+    isDirty: hasDocumentChanged(pages, state.pages),
+  };
+}
+
+/**
+ * Replaces the open document with an empty untitled one
+ * @param {State} state - Current application state
+ * @returns {State} State with a new document
+ */
+function documentCreated(state) {
+  /** @type {Page} */
+  const page = {
+    ...defaultPage,
+    id: crypto.randomUUID(),
+    state: {},
+  };
+
+  return {
+    ...state,
+    pages: [page],
+    currentPageId: page.id,
+    mementoManager: createMementoManager(),
+    editingPageId: null,
+    documentPath: null,
+    savedPages: [page],
+    isDirty: false,
+  };
+}
+
+// -----------------------------
+// ## Document Files
+// -----------------------------
+
+/**
+ * Writes the document to its file, asking for a location if it has none or `saveAs` is set
+ * @param {State} state - State to save
+ * @param {boolean} saveAs - Whether to always ask for a new location
+ * @returns {Promise<string|null>} Path saved to, or null if canceled
+ */
+async function writeDocument(state, saveAs) {
+  let path = saveAs ? null : state.documentPath;
+  if (!path) {
+    // @ts-ignore
+    path = await window.fileAPI.showSaveDocumentDialog(
+      getDocumentName(state),
+      state.documentPath,
+    );
+    if (!path) return null;
+  }
+
+  // @ts-ignore
+  const result = await window.fileAPI.writeDocument(
+    path,
+    getDocumentData(state),
+    MEDIA_SAVE_PATH,
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return path;
+}
+
+/**
+ * Reads a document file, upgrading it to the current schema and repairing what doesn't match it
+ * @param {string} path - Path of the document
+ * @returns {Promise<LoadResult<CollageDocument>>} Document contents, or why it can't be opened
+ */
+export async function readDocumentFile(path) {
+  // @ts-ignore
+  const result = await window.fileAPI.readDocument(path, MEDIA_SAVE_PATH);
+  if (!result.success) return result;
+  return loadDocumentData(result.data);
+}
+
+/**
+ * Tells the user a document was repaired while opening it
+ * @param {string} name - Document name
+ * @param {string[]} repairs - Repairs made
+ * @returns {Promise<void>}
+ */
+export async function showDocumentRepairs(name, repairs) {
+  await showLoadProblem(
+    `"${name}" was damaged and has been repaired`,
+    `${formatRepairs(repairs)}\n\nSave the document to keep the repairs.`,
+  );
+}
+
+/**
+ * Asks whether to save unsaved changes before they are discarded, and saves them if asked to
+ * @param {State} state - Current application state
+ * @returns {Promise<string|null|false>} Path saved to, null if nothing was saved, or false to cancel
+ */
+export async function resolveUnsavedChanges(state) {
+  if (!state.isDirty) return null;
+
+  // @ts-ignore
+  const choice = await window.fileAPI.confirmUnsavedChanges(
+    getDocumentName(state),
+  );
+  if (choice === "cancel") return false;
+  if (choice === "discard") return null;
+  return (await writeDocument(state, false)) ?? false;
+}
+
+/**
+ * Effect that saves the document, asking for a location when needed
+ * @param {import("hyperapp").Dispatch<State>} dispatch
+ * @param {{state: State, saveAs: boolean}} props - State to save and whether to ask for a new location
+ */
+async function saveDocumentEffect(dispatch, { state, saveAs }) {
+  try {
+    const path = await writeDocument(state, saveAs);
+    if (!path) return;
+    dispatch(documentSaved, { path, pages: state.pages });
+    showNotification(dispatch, "Document saved");
+  } catch (error) {
+    console.error("Failed to save document:", error);
+    showNotification(dispatch, "Failed to save document");
+  }
+}
+
+/**
+ * Effect that opens a document, from the given path or one picked through an open dialog
+ * @param {import("hyperapp").Dispatch<State>} dispatch
+ * @param {{state: State, path: string|null}} props - Current state and path to open
+ */
+async function openDocumentEffect(dispatch, { state, path }) {
+  try {
+    if (!path) {
+      // @ts-ignore
+      path = await window.fileAPI.showOpenDocumentDialog();
+      if (!path) return;
+    }
+
+    const saved = await resolveUnsavedChanges(state);
+    if (saved === false) return;
+    if (saved) dispatch(documentSaved, { path: saved, pages: state.pages });
+
+    const name = getDocumentName({ ...state, documentPath: path });
+    const result = await readDocumentFile(path);
+    if (!result.success) {
+      console.error("Failed to open document:", result.error);
+      await showLoadProblem(`Couldn't open "${name}"`, result.error);
+      return;
+    }
+
+    const isRepaired = result.repairs.length > 0;
+    if (isRepaired) {
+      console.warn(`Repaired document ${path}:`, result.repairs);
+      await showDocumentRepairs(name, result.repairs);
+    }
+    dispatch(documentLoaded, { path, data: result.data, isRepaired });
+  } catch (error) {
+    console.error("Failed to open document:", error);
+    showNotification(dispatch, "Failed to open document");
+  }
+}
+
+/**
+ * Effect that replaces the open document with a new one
+ * @param {import("hyperapp").Dispatch<State>} dispatch
+ * @param {State} state - Current state
+ */
+async function newDocumentEffect(dispatch, state) {
+  try {
+    const saved = await resolveUnsavedChanges(state);
+    if (saved === false) return;
+    dispatch(documentCreated);
+  } catch (error) {
+    console.error("Failed to save document:", error);
+    showNotification(dispatch, "Failed to save document");
+  }
+}
+
+// -----------------------------
+// ## Document Commands
+// -----------------------------
+
+/**
+ * Saves the document to its file, asking for a location if it is untitled
+ * @param {State} state - Current application state
+ * @returns {import("hyperapp").Dispatchable<State>} State with save effect
+ */
+export function saveDocument(state) {
+  return [state, [saveDocumentEffect, { state, saveAs: false }]];
+}
+
+/**
+ * Saves the document to a new location
+ * @param {State} state - Current application state
+ * @returns {import("hyperapp").Dispatchable<State>} State with save effect
+ */
+export function saveDocumentAs(state) {
+  return [state, [saveDocumentEffect, { state, saveAs: true }]];
+}
+
+/**
+ * Opens a document, asking for one if no path is given
+ * @param {State} state - Current application state
+ * @param {string|null} [path] - Path of the document to open
+ * @returns {import("hyperapp").Dispatchable<State>} State with open effect
+ */
+export function openDocument(state, path = null) {
+  return [state, [openDocumentEffect, { state, path }]];
+}
+
+/**
+ * Replaces the open document with a new one
+ * @param {State} state - Current application state
+ * @returns {import("hyperapp").Dispatchable<State>} State with new document effect
+ */
+export function newDocument(state) {
+  return [state, [newDocumentEffect, state]];
+}
+
+// -----------------------------
+// ## Document Subscriptions
+// -----------------------------
+
+/**
+ * Subscription that runs File menu commands sent by the main process
+ * @param {import("hyperapp").Dispatch<State>} dispatch - Function to dispatch actions
+ * @returns {() => void} Cleanup function
+ */
+function documentMenuSubscription(dispatch) {
+  /**
+   * @param {string} command - Menu command
+   * @param {string|undefined} path - Document path for "openRecent"
+   */
+  const handleMenuCommand = (command, path) => {
+    switch (command) {
+      case "new":
+        dispatch(newDocument);
+        break;
+      case "open":
+        dispatch(openDocument);
+        break;
+      case "openRecent":
+        dispatch((state) => openDocument(state, path));
+        break;
+      case "save":
+        dispatch(saveDocument);
+        break;
+      case "saveAs":
+        dispatch(saveDocumentAs);
+        break;
+    }
+  };
+
+  // @ts-ignore
+  const listener = window.electronAPI.onMenuCommand(handleMenuCommand);
+
+  return () => {
+    // @ts-ignore
+    window.electronAPI.removeMenuCommandListener(listener);
+  };
+}
+
+/**
+ * Subscription that keeps the window title in sync with the open document.
+ * Hyperapp restarts it whenever its props change.
+ * @param {import("hyperapp").Dispatch<State>} dispatch - Function to dispatch actions
+ * @param {{name: string, isDirty: boolean}} props - Document name and whether it has unsaved changes
+ * @returns {() => void} Cleanup function
+ */
+function documentTitleSubscriber(dispatch, { name, isDirty }) {
+  document.title = `${isDirty ? "• " : ""}${name} — ${APP_NAME}`;
+  return () => {};
+}
+
+/**
+ * Gets the subscriptions that reflect the open document outside the app
+ * @param {State} state - Current application state
+ * @returns {import("hyperapp").Subscription<State>[]} Document subscriptions
+ */
+export function documentSubscriptions(state) {
+  return [
+    [
+      documentTitleSubscriber,
+      { name: getDocumentName(state), isDirty: state.isDirty },
+    ],
+    [documentMenuSubscription, {}],
+  ];
+}
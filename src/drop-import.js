@@ -0,0 +1,230 @@
+import {
+  MEDIA_SAVE_PATH,
+  PASTE_OFFSET_X,
+  PASTE_OFFSET_Y,
+} from "./constants.js";
+import { addBlocks, getImageBlockSize } from "./block.js";
+import { getCurrentPage, updateCurrentPage } from "./pages.js";
+import { showNotification } from "./utils.js";
+import {
+  fetchWikiLeadImageUrl,
+  getWikiSourceBaseUrl,
+  parseWikiArticleUrl,
+} from "./wiki-sources.js";
+
+// Drag data the canvas accepts: files, and links or images dragged from a web page
+const DROP_TYPES = ["Files", "text/uri-list", "text/html", "text/plain"];
+
+const IMAGE_URL_PATTERN = /\.(png|jpe?g|gif|bmp|webp|avif|svg)$/i;
+
+/**
+ * Checks whether a drag carries anything the canvas can import
+ * @param {DataTransfer|null} dataTransfer - Drag data
+ * @returns {boolean} Whether the drag can be dropped onto the canvas
+ */
+export function acceptsDrop(dataTransfer) {
+  return (
+    !!dataTransfer &&
+    DROP_TYPES.some((type) => dataTransfer.types.includes(type))
+  );
+}
+
+/**
+ * Gets the web and data URLs in a drop, from its URL list or plain text
+ * @param {DataTransfer} dataTransfer - Drop data
+ * @returns {string[]} Dropped URLs
+ */
+function getDroppedUrls(dataTransfer) {
+  const text =
+    dataTransfer.getData("text/uri-list") || dataTransfer.getData("text/plain");
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => !line.startsWith("#") && /^(https?|data):/i.test(line));
+}
+
+/**
+ * Gets the URL of an image dragged from a web page, e.g. out of a browser or the wiki viewer
+ * @param {DataTransfer} dataTransfer - Drop data
+ * @param {string[]} urls - URLs in the drop
+ * @param {WikiSource|undefined} source - Wiki source relative image links in the wiki viewer resolve against
+ * @returns {string|null} Image URL, or null if no image was dropped
+ */
+function getDroppedImageUrl(dataTransfer, urls, source) {
+  const html = dataTransfer.getData("text/html");
+  const src = html
+    ? new DOMParser()
+        .parseFromString(html, "text/html")
+        .querySelector("img[src]")
+        ?.getAttribute("src")
+    : null;
+  if (src) {
+    try {
+      const url = new URL(src, getWikiSourceBaseUrl(source)).href;
+      if (/^(https?|data):/i.test(url)) return url;
+    } catch {}
+  }
+
+  return (
+    urls.find(
+      (url) =>
+        url.toLowerCase().startsWith("data:image/") ||
+        IMAGE_URL_PATTERN.test(url.split(/[?#]/)[0]),
+    ) ?? null
+  );
+}
+
+/**
+ * Gets what a drop onto the canvas imports. Files and images are imported as they are,
+ * and a wiki article dropped on its own is imported as its lead image.
+ * A dropped article is the blocks' page source, otherwise it's the current page's article.
+ * @param {State} state - Current application state
+ * @param {DataTransfer} dataTransfer - Drop data
+ * @returns {{items: DropImportItem[], pageSrc: string}} Items to import and their page source
+ */
+function getDropImport(state, dataTransfer) {
+  const currentPage = getCurrentPage(state);
+  const urls = getDroppedUrls(dataTransfer);
+  const article =
+    urls
+      .map((url) => parseWikiArticleUrl(url, currentPage?.wikiSource))
+      .find(Boolean) ?? null;
+  const pageSrc = article?.title ?? currentPage?.wikiPage ?? "";
+
+  // Files dragged from a browser may only exist in memory
+  const files = Array.from(dataTransfer.files);
+  if (files.length > 0) {
+    return {
+      pageSrc,
+      items: files.map((file) => {
+        // @ts-ignore
+        const path = window.fileAPI.getPathForFile(file);
+        return path ? { type: "file", path } : { type: "blob", file };
+      }),
+    };
+  }
+
+  const imageUrl = getDroppedImageUrl(
+    dataTransfer,
+    urls,
+    currentPage?.wikiSource,
+  );
+  if (imageUrl) {
+    return { pageSrc, items: [{ type: "url", url: imageUrl }] };
+  }
+  if (article) {
+    return { pageSrc, items: [{ type: "article", ...article }] };
+  }
+  return { pageSrc, items: [] };
+}
+
+/**
+ * Saves a dropped item to the media directory
+ * @param {DropImportItem} item - Dropped item
+ * @returns {Promise<{success: boolean, path?: string, width?: number, height?: number, error?: string}>} Saved image
+ */
+async function saveDropItem(item) {
+  switch (item.type) {
+    case "file":
+      // @ts-ignore
+      return window.fileAPI.importImageFile(item.path, MEDIA_SAVE_PATH);
+    case "blob":
+      // @ts-ignore
+      return window.fileAPI.saveImageFromBuffer(
+        await item.file.arrayBuffer(),
+        item.file.type,
+        MEDIA_SAVE_PATH,
+      );
+    case "url":
+      // @ts-ignore
+      return window.fileAPI.saveImageFromUrl(item.url, MEDIA_SAVE_PATH);
+    case "article": {
+      const url = await fetchWikiLeadImageUrl(item.origin, item.title);
+      if (!url) {
+        return { success: false, error: `"${item.title}" has no lead image` };
+      }
+      // @ts-ignore
+      return window.fileAPI.saveImageFromUrl(url, MEDIA_SAVE_PATH);
+    }
+  }
+}
+
+/**
+ * Adds dropped images as blocks cascading from the drop point, and selects them
+ * @param {State} state - Current application state
+ * @param {{images: Array<{path: string, width: number, height: number}>, pageSrc: string, x: number, y: number}} payload - Saved images, their page source and the drop point in canvas coordinates
+ * @returns {import("hyperapp").Dispatchable<State>} Updated state with the new blocks
+ */
+function addDroppedImages(state, { images, pageSrc, x, y }) {
+  if (images.length === 0) return state;
+
+  const blockConfigs = images.map((image, index) => {
+    const { width, height } = getImageBlockSize(
+      state,
+      image.width,
+      image.height,
+    );
+    return {
+      imageSrc: image.path,
+      pageSrc,
+      // Center the first block on the drop point
+      x: x - width / 2 + index * PASTE_OFFSET_X,
+      y: y - height / 2 + index * PASTE_OFFSET_Y,
+      width,
+      height,
+      viewportPosition: null,
+    };
+  });
+
+  const { state: newState, blockIds } = addBlocks(state, blockConfigs);
+  return updateCurrentPage(newState, { selectedIds: blockIds });
+}
+
+/**
+ * Effect that saves dropped items to the media directory and adds them as blocks
+ * @param {import("hyperapp").Dispatch<State>} dispatch
+ * @param {{items: DropImportItem[], pageSrc: string, x: number, y: number}} props - Dropped items, their page source and the drop point in canvas coordinates
+ */
+async function dropImportEffect(dispatch, { items, pageSrc, x, y }) {
+  const results = await Promise.all(
+    items.map(async (item) => {
+      try {
+        return await saveDropItem(item);
+      } catch (error) {
+        console.error("Failed to import dropped item:", error);
+        return { success: false, error: "Failed to import dropped item" };
+      }
+    }),
+  );
+
+  const failures = results.filter((result) => !result.success);
+  if (failures.length > 0) {
+    showNotification(
+      dispatch,
+      items.length === 1
+        ? (failures[0].error ?? "Failed to import dropped item")
+        : `Couldn't import ${failures.length} of ${items.length} dropped items`,
+    );
+  }
+
+  const images =
+    /** @type {Array<{path: string, width: number, height: number}>} */ (
+      results.filter((result) => result.success)
+    );
+  dispatch(addDroppedImages, { images, pageSrc, x, y });
+}
+
+/**
+ * Imports a drop onto the canvas as image blocks at the drop point
+ * @param {State} state - Current application state
+ * @param {DataTransfer} dataTransfer - Drop data
+ * @param {number} x - Drop X position in canvas coordinates
+ * @param {number} y - Drop Y position in canvas coordinates
+ * @returns {import("hyperapp").Dispatchable<State>} State with import effect
+ */
+export function importDrop(state, dataTransfer, x, y) {
+  const { items, pageSrc } = getDropImport(state, dataTransfer);
+  if (items.length === 0) return state;
+
+  return [state, [dropImportEffect, { items, pageSrc, x, y }]];
+}
@@ -0,0 +1,256 @@
+import { h, text } from "./packages/hyperapp/index.js";
+import { getCurrentPage } from "./pages.js";
+import { showNotification } from "./utils.js";
+import {
+  formatCitation,
+  getBlockReference,
+  getPageReferences,
+  openReferencesView,
+} from "./references.js";
+import { openMediaLibrary } from "./media.js";
+import { getBlockType } from "./block.js";
+import { getNoteImageUrl } from "./note.js";
+import { getShapeImageUrl } from "./shapes.js";
+import { getBlocksWithLatestSnippets, getSnippetImageUrl } from "./snippet.js";
+
+const EXPORT_SCALES = [1, 2, 3, 4];
+
+/** @type {ImageExportOptions} */
+export const defaultImageExportOptions = {
+  scale: 2,
+  background: "#ffffff",
+  padding: 40,
+};
+
+/**
+ * Gets the bounding box around a set of blocks in canvas coordinates
+ * @param {Block[]} blocks - Blocks to measure
+ * @returns {{x: number, y: number, width: number, height: number}} Bounding box
+ */
+export function getBlocksBounds(blocks) {
+  const left = Math.min(...blocks.map((block) => block.x));
+  const top = Math.min(...blocks.map((block) => block.y));
+  const right = Math.max(...blocks.map((block) => block.x + block.width));
+  const bottom = Math.max(...blocks.map((block) => block.y + block.height));
+  return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Gets the image a block is exported as. Notes, snippets, shapes and connectors are drawn as SVG images.
+ * @param {Block} block - Block to export
+ * @returns {string} Image path or data URL
+ */
+function getBlockExportImageSrc(block) {
+  switch (getBlockType(block)) {
+    case "text":
+      return getNoteImageUrl(block);
+    case "snippet":
+      return getSnippetImageUrl(block);
+    case "shape":
+    case "connector":
+      return getShapeImageUrl(block);
+    default:
+      return block.imageSrc ?? "";
+  }
+}
+
+/**
+ * Lays out a page's blocks for export, back to front, relative to the padded bounding box.
+ * Blocks hidden in the layers panel are left out, along with their references.
+ * @param {Page} page - Page to export
+ * @param {number} padding - Padding around the blocks in canvas pixels
+ * @param {CitationStyle} citationStyle - Style of the references listed below the blocks
+ * @returns {PageExportLayout} Layout with block positions relative to the export origin
+ */
+export function getPageExportLayout(page, padding, citationStyle) {
+  // BibTeX entries don't read as a references list, so fall back to MLA
+  const referenceStyle = citationStyle === "bibtex" ? "mla" : citationStyle;
+  const blocks = page.blocks.filter((block) => !block.isHidden);
+  const bounds = getBlocksBounds(blocks);
+  const references = getPageReferences({ ...page, blocks });
+
+  return {
+    name: page.name,
+    width: bounds.width + padding * 2,
+    height: bounds.height + padding * 2,
+    blocks: blocks
+      .sort((a, b) => a.zIndex - b.zIndex)
+      .map((block) => {
+        const reference = getBlockReference(references, block.id);
+        return {
+          imageSrc: getBlockExportImageSrc(block),
+          x: block.x - bounds.x + padding,
+          y: block.y - bounds.y + padding,
+          width: block.width,
+          height: block.height,
+          href: reference?.url ?? null,
+          title: reference?.title ?? null,
+        };
+      }),
+    references: references.map((reference) => ({
+      number: reference.number,
+      text: formatCitation(reference, referenceStyle),
+      url: reference.url,
+    })),
+  };
+}
+
+/**
+ * Effect that renders a page to an image or document and writes it wherever the user picks.
+ * The format (PNG, JPEG, SVG or PDF) comes from the extension chosen in the save dialog.
+ * @param {import("hyperapp").Dispatch<State>} dispatch
+ * @param {{page: Page, options: ImageExportOptions, citationStyle: CitationStyle}} props - Page to export and export options
+ */
+async function exportPageEffect(dispatch, { page, options, citationStyle }) {
+  if (page.blocks.every((block) => block.isHidden)) {
+    showNotification(dispatch, "Nothing to export on this page");
+    return;
+  }
+
+  try {
+    // Live snippets show the latest revision of their passage, so that's what's exported
+    const blocks = await getBlocksWithLatestSnippets(page);
+    // @ts-ignore
+    const result = await window.fileAPI.exportPage(
+      getPageExportLayout({ ...page, blocks }, options.padding, citationStyle),
+      options,
+    );
+    if (result.canceled) return;
+    showNotification(
+      dispatch,
+      result.success ? "Page exported" : "Failed to export page",
+    );
+  } catch (error) {
+    console.error("Failed to export page:", error);
+    showNotification(dispatch, "Failed to export page");
+  }
+}
+
+/**
+ * Exports the current page
+ * @param {State} state - Current application state
+ * @returns {import("hyperapp").Dispatchable<State>} State with export effect
+ */
+export function exportCurrentPage(state) {
+  const currentPage = getCurrentPage(state);
+  if (!currentPage) return state;
+
+  return [
+    state,
+    [
+      exportPageEffect,
+      {
+        page: currentPage,
+        options: state.imageExportOptions,
+        citationStyle: state.citationStyle,
+      },
+    ],
+  ];
+}
+
+/**
+ * Updates the image export options
+ * @param {State} state - Current application state
+ * @param {Partial<ImageExportOptions>} options - Options to update
+ * @returns {State} Updated state
+ */
+function updateImageExportOptions(state, options) {
+  return {
+    ...state,
+    imageExportOptions: { ...state.imageExportOptions, ...options },
+  };
+}
+
+/**
+ * Creates the controls for exporting the current page
+ * @param {State} state - Current application state
+ * @returns {import("hyperapp").ElementVNode<State>} Image export controls element
+ */
+export function imageExportControls(state) {
+  const { scale, background, padding } = state.imageExportOptions;
+
+  return h("div", { class: "export-controls" }, [
+    h(
+      "button",
+      {
+        title: "Export page as PNG, JPEG, SVG or PDF (⌘⇧E)",
+        onclick: (state) => exportCurrentPage(state),
+      },
+      text("Export page…"),
+    ),
+    h(
+      "button",
+      {
+        title: "List and cite the articles blocks were captured from",
+        onclick: (state) => openReferencesView(state),
+      },
+      text("References"),
+    ),
+    h(
+      "button",
+      {
+        title:
+          "See how much disk space images use and move unused ones to the trash",
+        onclick: (state) => openMediaLibrary(state),
+      },
+      text("Media"),
+    ),
+    h(
+      "select",
+      {
+        title: "Scale (PNG and JPEG only)",
+        value: String(scale),
+        onchange: (state, event) =>
+          updateImageExportOptions(state, {
+            scale: Number(
+              /** @type {HTMLSelectElement} */ (event.target).value,
+            ),
+          }),
+      },
+      EXPORT_SCALES.map((option) =>
+        h(
+          "option",
+          { value: String(option), selected: option === scale },
+          text(`${option}x`),
+        ),
+      ),
+    ),
+    h("input", {
+      type: "number",
+      title: "Padding around the blocks, in pixels",
+      min: 0,
+      value: padding,
+      onchange: (state, event) =>
+        updateImageExportOptions(state, {
+          padding: Math.max(
+            0,
+            Number(/** @type {HTMLInputElement} */ (event.target).value) || 0,
+          ),
+        }),
+    }),
+    h("label", { title: "Transparent background (PNG only)" }, [
+      h("input", {
+        type: "checkbox",
+        checked: background === null,
+        onchange: (state, event) =>
+          updateImageExportOptions(state, {
+            background: /** @type {HTMLInputElement} */ (event.target).checked
+              ? null
+              : defaultImageExportOptions.background,
+          }),
+      }),
+      text("Transparent"),
+    ]),
+    background !== null
+      ? h("input", {
+          type: "color",
+          title: "Background color",
+          value: background,
+          onchange: (state, event) =>
+            updateImageExportOptions(state, {
+              background: /** @type {HTMLInputElement} */ (event.target).value,
+            }),
+        })
+      : null,
+  ]);
+}
@@ -0,0 +1,373 @@
+import { h, text } from "./packages/hyperapp/index.js";
+import { saveMementoAndReturn } from "./memento.js";
+import {
+  getCurrentPage,
+  getCurrentViewport,
+  updateCurrentPage,
+} from "./pages.js";
+import { getBlocksBoundingBox, isBlockSelectable } from "./selection.js";
+
+/**
+ * Gets the IDs of a group and the groups it's nested in, outermost first
+ * @param {BlockGroup[]} groups - Groups on the page
+ * @param {number|null|undefined} groupId - ID of the innermost group
+ * @returns {number[]} Group IDs from the top level down to the group
+ */
+export function getGroupPath(groups, groupId) {
+  /** @type {number[]} */
+  const path = [];
+  let id = groupId ?? null;
+  // Bounded by the number of groups so a loop in saved groups can't hang
+  while (id !== null && path.length < groups.length) {
+    const group = groups.find((group) => group.id === id);
+    if (!group) break;
+    path.unshift(group.id);
+    id = group.parentId;
+  }
+  return path;
+}
+
+/**
+ * Checks if a block is in a group, directly or through the groups nested in it
+ * @param {Page} page - Page the block is on
+ * @param {Block} block - Block to check
+ * @param {number|null} groupId - ID of the group, null for the whole page
+ * @returns {boolean} True if the block is in the group
+ */
+export function isBlockInGroup(page, block, groupId) {
+  return (
+    groupId === null ||
+    getGroupPath(page.groups ?? [], block.groupId).includes(groupId)
+  );
+}
+
+/**
+ * Gets the group a click on a block selects: the outermost group holding the block
+ * inside the entered group, or null if the block is selected on its own
+ * @param {Page} page - Page the block is on
+ * @param {Block} block - Clicked block
+ * @returns {number|null} ID of the group to select
+ */
+export function getSelectableGroupId(page, block) {
+  const path = getGroupPath(page.groups ?? [], block.groupId);
+  const enteredIndex =
+    page.enteredGroupId === null ? -1 : path.indexOf(page.enteredGroupId);
+  return path[enteredIndex + 1] ?? null;
+}
+
+/**
+ * Gets the IDs of the blocks in a group that can be selected, including those in nested groups
+ * @param {Page} page - Page the group is on
+ * @param {number} groupId - ID of the group
+ * @returns {number[]} Block IDs
+ */
+function getGroupBlockIds(page, groupId) {
+  return page.blocks
+    .filter(
+      (block) =>
+        isBlockSelectable(block) && isBlockInGroup(page, block, groupId),
+    )
+    .map((block) => block.id);
+}
+
+/**
+ * Adds the rest of the groups each block is selected with, keeping the blocks' order.
+ * Hidden and locked blocks in the groups are left out.
+ * @param {Page} page - Page the blocks are on
+ * @param {number[]} blockIds - IDs of the blocks being selected
+ * @returns {number[]} IDs of the blocks and the rest of their groups
+ */
+export function expandToGroups(page, blockIds) {
+  const expandedIds = new Set();
+  for (const blockId of blockIds) {
+    const block = page.blocks.find((block) => block.id === blockId);
+    const groupId = block ? getSelectableGroupId(page, block) : null;
+    expandedIds.add(blockId);
+    if (groupId !== null) {
+      getGroupBlockIds(page, groupId).forEach((id) => expandedIds.add(id));
+    }
+  }
+  return [...expandedIds];
+}
+
+/**
+ * Gets the group that stays entered when selecting blocks, which is left as soon as a block outside it is selected
+ * @param {Page} page - Page the blocks are on
+ * @param {number[]} blockIds - IDs of the blocks being selected
+ * @returns {number|null} ID of the entered group, or null if it's left
+ */
+export function getEnteredGroupIdForSelection(page, blockIds) {
+  if (page.enteredGroupId === null || blockIds.length === 0) return null;
+  const isInside = blockIds.every((blockId) => {
+    const block = page.blocks.find((block) => block.id === blockId);
+    return block && isBlockInGroup(page, block, page.enteredGroupId);
+  });
+  return isInside ? page.enteredGroupId : null;
+}
+
+/**
+ * Gets what the selected blocks are selected as: groups, and blocks that aren't in a selectable group
+ * @param {Page} page - Current page
+ * @returns {{groupIds: number[], blockIds: number[]}} Selected groups and loose blocks
+ */
+function getSelectedUnits(page) {
+  const groupIds = new Set();
+  /** @type {number[]} */
+  const blockIds = [];
+  for (const block of page.blocks) {
+    if (!page.selectedIds.includes(block.id)) continue;
+    const groupId = getSelectableGroupId(page, block);
+    if (groupId === null) {
+      blockIds.push(block.id);
+    } else {
+      groupIds.add(groupId);
+    }
+  }
+  return { groupIds: [...groupIds], blockIds };
+}
+
+/**
+ * Gets the selected blocks by what they're selected as, e.g. so selected groups are arranged as a whole
+ * @param {Page} page - Current page
+ * @returns {Block[][]} Blocks of each selected group, and each block that isn't in a selectable group on its own
+ */
+export function getSelectedUnitBlocks(page) {
+  /** @type {Map<string, Block[]>} */
+  const units = new Map();
+  for (const block of page.blocks) {
+    if (!page.selectedIds.includes(block.id)) continue;
+    const groupId = getSelectableGroupId(page, block);
+    const key = groupId === null ? `block-${block.id}` : `group-${groupId}`;
+    units.set(key, [...(units.get(key) ?? []), block]);
+  }
+  return [...units.values()];
+}
+
+/**
+ * Removes groups that no longer hold any blocks, e.g. after their blocks were deleted
+ * @param {BlockGroup[]} groups - Groups on the page
+ * @param {Block[]} blocks - Blocks on the page
+ * @returns {BlockGroup[]} Groups holding at least one block
+ */
+export function removeEmptyGroups(groups, blocks) {
+  const usedIds = new Set(
+    blocks.flatMap((block) => getGroupPath(groups, block.groupId)),
+  );
+  return groups.filter((group) => usedIds.has(group.id));
+}
+
+/**
+ * Groups the selected blocks and groups into a new group, nested in the entered group if they're all inside it
+ * @param {State} state - Current application state
+ * @returns {State} Updated state
+ */
+export function groupSelectedBlocks(state) {
+  const currentPage = getCurrentPage(state);
+  if (!currentPage) return state;
+
+  const { groupIds, blockIds } = getSelectedUnits(currentPage);
+  if (groupIds.length + blockIds.length < 2) return state;
+
+  const groups = currentPage.groups ?? [];
+  const id = Math.max(0, ...groups.map((group) => group.id)) + 1;
+  const parentId = getEnteredGroupIdForSelection(
+    currentPage,
+    currentPage.selectedIds,
+  );
+
+  const newState = updateCurrentPage(state, {
+    groups: [
+      ...groups.map((group) =>
+        groupIds.includes(group.id) ? { ...group, parentId: id } : group,
+      ),
+      { id, parentId },
+    ],
+    blocks: currentPage.blocks.map((block) =>
+      blockIds.includes(block.id) ? { ...block, groupId: id } : block,
+    ),
+    enteredGroupId: parentId,
+  });
+  return saveMementoAndReturn(state, newState);
+}
+
+/**
+ * Removes the selected groups, moving their blocks and nested groups up into the group they were in
+ * @param {State} state - Current application state
+ * @returns {State} Updated state
+ */
+export function ungroupSelectedBlocks(state) {
+  const currentPage = getCurrentPage(state);
+  if (!currentPage) return state;
+
+  const { groupIds } = getSelectedUnits(currentPage);
+  if (groupIds.length === 0) return state;
+
+  const groups = currentPage.groups ?? [];
+  /** @type {Map<number, number|null>} */
+  const parentIds = new Map(
+    groups
+      .filter((group) => groupIds.includes(group.id))
+      .map((group) => [group.id, group.parentId]),
+  );
+
+  const newState = updateCurrentPage(state, {
+    groups: groups
+      .filter((group) => !parentIds.has(group.id))
+      .map((group) =>
+        group.parentId !== null && parentIds.has(group.parentId)
+          ? { ...group, parentId: parentIds.get(group.parentId) ?? null }
+          : group,
+      ),
+    blocks: currentPage.blocks.map((block) =>
+      block.groupId != null && parentIds.has(block.groupId)
+        ? { ...block, groupId: parentIds.get(block.groupId) ?? null }
+        : block,
+    ),
+  });
+  return saveMementoAndReturn(state, newState);
+}
+
+/**
+ * Leaves the entered group, selecting it as a whole in the group it's nested in
+ * @param {State} state - Current application state
+ * @returns {State} Updated state
+ */
+export function exitGroup(state) {
+  const currentPage = getCurrentPage(state);
+  if (!currentPage || currentPage.enteredGroupId === null) return state;
+
+  const group = (currentPage.groups ?? []).find(
+    (group) => group.id === currentPage.enteredGroupId,
+  );
+  return updateCurrentPage(state, {
+    enteredGroupId: group?.parentId ?? null,
+    selectedIds: getGroupBlockIds(currentPage, currentPage.enteredGroupId),
+    editingId: null,
+  });
+}
+
+/**
+ * Gets the groups to copy along with blocks: those the blocks are in below the entered group
+ * @param {Page} page - Page the blocks are on
+ * @param {Block[]} blocks - Copied blocks
+ * @returns {BlockGroup[]} Copied groups
+ */
+export function getCopiedGroups(page, blocks) {
+  const groups = page.groups ?? [];
+  const copiedIds = new Set(
+    blocks.flatMap((block) => {
+      const path = getGroupPath(groups, block.groupId);
+      const enteredIndex =
+        page.enteredGroupId === null ? -1 : path.indexOf(page.enteredGroupId);
+      return path.slice(enteredIndex + 1);
+    }),
+  );
+  return groups.filter((group) => copiedIds.has(group.id));
+}
+
+/**
+ * Adds copies of copied groups to a page, nesting the outermost ones in a parent group
+ * @param {BlockGroup[]} groups - Groups on the page
+ * @param {BlockGroup[]} copiedGroups - Groups to copy
+ * @param {number|null} parentId - ID of the group to paste into, null for the top level
+ * @returns {{groups: BlockGroup[], pastedGroupIds: Map<number, number>}} Groups on the page with the copies, and the copies' IDs by the copied groups' IDs
+ */
+export function pasteGroups(groups, copiedGroups, parentId) {
+  const firstId = Math.max(0, ...groups.map((group) => group.id)) + 1;
+  const pastedGroupIds = new Map(
+    copiedGroups.map((group, index) => [group.id, firstId + index]),
+  );
+  return {
+    groups: [
+      ...groups,
+      ...copiedGroups.map((group) => ({
+        id: /** @type {number} */ (pastedGroupIds.get(group.id)),
+        parentId:
+          group.parentId !== null && pastedGroupIds.has(group.parentId)
+            ? /** @type {number} */ (pastedGroupIds.get(group.parentId))
+            : parentId,
+      })),
+    ],
+    pastedGroupIds,
+  };
+}
+
+/**
+ * Creates the buttons that group the selection and ungroup selected groups
+ * @param {State} state - Current application state
+ * @returns {import("hyperapp").ElementVNode<State>[]} Group buttons, only those that apply to the selection
+ */
+export function groupButtons(state) {
+  const currentPage = getCurrentPage(state);
+  if (!currentPage) return [];
+
+  const { groupIds, blockIds } = getSelectedUnits(currentPage);
+  return [
+    ...(groupIds.length + blockIds.length > 1
+      ? [
+          h(
+            "button",
+            {
+              title: "Group the selection so it's selected as one (Ctrl+G)",
+              onclick: (state, event) => {
+                event.stopPropagation();
+                return groupSelectedBlocks(state);
+              },
+            },
+            text("group"),
+          ),
+        ]
+      : []),
+    ...(groupIds.length > 0
+      ? [
+          h(
+            "button",
+            {
+              title: "Ungroup the selected groups (Ctrl+Shift+G)",
+              onclick: (state, event) => {
+                event.stopPropagation();
+                return ungroupSelectedBlocks(state);
+              },
+            },
+            text("ungroup"),
+          ),
+        ]
+      : []),
+  ];
+}
+
+/**
+ * Creates the outline of the entered group, whose blocks are selected on their own
+ * @param {State} state - Current application state
+ * @returns {import("hyperapp").ElementVNode<State> | null} Entered group outline or null
+ */
+export function enteredGroupOutline(state) {
+  const currentPage = getCurrentPage(state);
+  if (!currentPage || currentPage.enteredGroupId === null) return null;
+
+  const enteredGroupId = currentPage.enteredGroupId;
+  const boundingBox = getBlocksBoundingBox(
+    currentPage.blocks.filter((block) =>
+      isBlockInGroup(currentPage, block, enteredGroupId),
+    ),
+  );
+  if (!boundingBox) return null;
+
+  const viewport = getCurrentViewport(state);
+  const outlineWidth = 2 / viewport.zoom;
+
+  return h("div", {
+    key: "entered-group-outline",
+    class: "entered-group-outline",
+    style: {
+      left: `${boundingBox.x}px`,
+      top: `${boundingBox.y}px`,
+      width: `${boundingBox.width}px`,
+      height: `${boundingBox.height}px`,
+      outline: `${outlineWidth}px dashed #007acc`,
+      outlineOffset: `${8 / viewport.zoom}px`,
+      position: "absolute",
+      pointerEvents: "none",
+    },
+  });
+}
@@ -0,0 +1,450 @@
+//@ts-nocheck
+// Reads image dimensions from file headers, without decoding the image.
+// Dimensions are as displayed: JPEG EXIF orientation and HEIF/AVIF rotation are applied,
+// matching how Chromium draws the image.
+
+// Helper function to check for an ASCII signature at an offset
+function hasSignature(buffer, offset, signature) {
+  return (
+    buffer.length >= offset + signature.length &&
+    buffer.toString("latin1", offset, offset + signature.length) === signature
+  );
+}
+
+// Helper function to swap width and height when an image is rotated a quarter turn
+function rotate(dimensions, quarterTurn) {
+  return quarterTurn
+    ? { width: dimensions.height, height: dimensions.width }
+    : dimensions;
+}
+
+// -----------------------------
+// ## PNG
+// -----------------------------
+
+// Walks chunks to IHDR, which is first except in Apple's CgBI PNGs
+function readPngDimensions(buffer) {
+  let offset = 8;
+  while (offset + 16 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString("latin1", offset + 4, offset + 8);
+    if (type === "IHDR") {
+      return {
+        width: buffer.readUInt32BE(offset + 8),
+        height: buffer.readUInt32BE(offset + 12),
+      };
+    }
+    if (type === "IDAT" || type === "IEND") break;
+    offset += 12 + length;
+  }
+  return null;
+}
+
+// -----------------------------
+// ## JPEG
+// -----------------------------
+
+// Start of frame markers (baseline, progressive, lossless, arithmetic...) carry the
+// dimensions. 0xc4 (DHT), 0xc8 (JPG) and 0xcc (DAC) share the range but aren't frames.
+function isStartOfFrame(marker) {
+  return (
+    marker >= 0xc0 &&
+    marker <= 0xcf &&
+    marker !== 0xc4 &&
+    marker !== 0xc8 &&
+    marker !== 0xcc
+  );
+}
+
+// Reads the orientation tag (1-8) from an EXIF APP1 segment's TIFF header, or null
+function readExifOrientation(buffer, start, end) {
+  if (!hasSignature(buffer, start, "Exif\0\0")) return null;
+  const tiff = start + 6;
+  if (tiff + 8 > end) return null;
+
+  const byteOrder = buffer.toString("latin1", tiff, tiff + 2);
+  if (byteOrder !== "II" && byteOrder !== "MM") return null;
+  const littleEndian = byteOrder === "II";
+  const readUInt16 = (offset) =>
+    littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+  const readUInt32 = (offset) =>
+    littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+
+  const ifd = tiff + readUInt32(tiff + 4);
+  if (ifd + 2 > end) return null;
+  const entryCount = readUInt16(ifd);
+  for (let i = 0; i < entryCount; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > end) break;
+    if (readUInt16(entry) === 0x0112) {
+      const orientation = readUInt16(entry + 8);
+      return orientation >= 1 && orientation <= 8 ? orientation : null;
+    }
+  }
+  return null;
+}
+
+function readJpegDimensions(buffer) {
+  let offset = 2;
+  let orientation = null;
+
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      // Not at a marker, e.g. inside entropy-coded data, so scan for the next one
+      offset++;
+      continue;
+    }
+    const marker = buffer[offset + 1];
+    // Fill bytes pad markers with extra 0xff
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    // Markers without a length: TEM, restart markers, start and end of image, and
+    // 0x00, which escapes a 0xff byte in entropy-coded data
+    if (
+      marker === 0x00 ||
+      marker === 0x01 ||
+      (marker >= 0xd0 && marker <= 0xd9)
+    ) {
+      if (marker === 0xd9) break;
+      offset += 2;
+      continue;
+    }
+
+    const segmentLength = buffer.readUInt16BE(offset + 2);
+    const segmentEnd = Math.min(offset + 2 + segmentLength, buffer.length);
+    if (marker === 0xe1 && orientation === null) {
+      orientation = readExifOrientation(buffer, offset + 4, segmentEnd);
+    }
+    if (isStartOfFrame(marker) && offset + 9 <= buffer.length) {
+      const dimensions = {
+        width: buffer.readUInt16BE(offset + 7),
+        height: buffer.readUInt16BE(offset + 5),
+      };
+      // Orientations 5-8 transpose the image
+      return rotate(dimensions, orientation >= 5);
+    }
+    offset += 2 + segmentLength;
+  }
+  return null;
+}
+
+// -----------------------------
+// ## GIF, BMP
+// -----------------------------
+
+function readGifDimensions(buffer) {
+  return {
+    width: buffer.readUInt16LE(6),
+    height: buffer.readUInt16LE(8),
+  };
+}
+
+function readBmpDimensions(buffer) {
+  const headerSize = buffer.readUInt32LE(14);
+  // OS/2 BITMAPCOREHEADER uses 16-bit sizes
+  if (headerSize === 12) {
+    return {
+      width: buffer.readUInt16LE(18),
+      height: buffer.readUInt16LE(20),
+    };
+  }
+  // Height is negative for top-down bitmaps
+  return {
+    width: Math.abs(buffer.readInt32LE(18)),
+    height: Math.abs(buffer.readInt32LE(22)),
+  };
+}
+
+// -----------------------------
+// ## WebP
+// -----------------------------
+
+function readWebpDimensions(buffer) {
+  const chunk = buffer.toString("latin1", 12, 16);
+
+  // Lossy: VP8 key frame header, after a 3 byte frame tag and the 9d 01 2a start code
+  if (chunk === "VP8 " && buffer.length >= 30) {
+    if (buffer[23] !== 0x9d || buffer[24] !== 0x01 || buffer[25] !== 0x2a) {
+      return null;
+    }
+    return {
+      width: buffer.readUInt16LE(26) & 0x3fff,
+      height: buffer.readUInt16LE(28) & 0x3fff,
+    };
+  }
+
+  // Lossless: 0x2f signature, then 14 bit width and height minus one
+  if (chunk === "VP8L" && buffer.length >= 25) {
+    if (buffer[20] !== 0x2f) return null;
+    const bits = buffer.readUInt32LE(21);
+    return {
+      width: (bits & 0x3fff) + 1,
+      height: ((bits >> 14) & 0x3fff) + 1,
+    };
+  }
+
+  // Extended (animation, alpha, metadata): 24 bit canvas width and height minus one
+  if (chunk === "VP8X" && buffer.length >= 30) {
+    return {
+      width: buffer.readUIntLE(24, 3) + 1,
+      height: buffer.readUIntLE(27, 3) + 1,
+    };
+  }
+
+  return null;
+}
+
+// -----------------------------
+// ## AVIF, HEIF
+// -----------------------------
+
+const HEIF_BRANDS = [
+  "avif",
+  "avis",
+  "heic",
+  "heix",
+  "heim",
+  "heis",
+  "hevc",
+  "hevx",
+  "mif1",
+  "msf1",
+];
+
+// Reads the ISO base media boxes between start and end into { type, start, end }, where
+// start is where the box's contents begin
+function readBoxes(buffer, start, end) {
+  const boxes = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString("latin1", offset + 4, offset + 8);
+    let headerSize = 8;
+    if (size === 1) {
+      if (offset + 16 > end) break;
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize) break;
+    boxes.push({
+      type,
+      start: offset + headerSize,
+      end: Math.min(offset + size, end),
+    });
+    offset += size;
+  }
+  return boxes;
+}
+
+// Helper function to find a child box by type
+function findBox(buffer, parent, type, isParentFullBox = false) {
+  // Full boxes start their contents with a version byte and 3 bytes of flags
+  const start = parent.start + (isParentFullBox ? 4 : 0);
+  return readBoxes(buffer, start, parent.end).find((box) => box.type === type);
+}
+
+// Reads which properties in ipco apply to each item from an ipma box,
+// as a Map of item ID to 1-based property indexes
+function readItemProperties(buffer, ipma) {
+  const version = buffer[ipma.start];
+  const flags = buffer.readUIntBE(ipma.start + 1, 3);
+  const entryCount = buffer.readUInt32BE(ipma.start + 4);
+  const associations = new Map();
+
+  let offset = ipma.start + 8;
+  for (let i = 0; i < entryCount && offset < ipma.end; i++) {
+    const itemId =
+      version < 1 ? buffer.readUInt16BE(offset) : buffer.readUInt32BE(offset);
+    offset += version < 1 ? 2 : 4;
+    const count = buffer[offset++];
+    const indexes = [];
+    for (let j = 0; j < count; j++) {
+      // The top bit marks the property as essential
+      if (flags & 1) {
+        indexes.push(buffer.readUInt16BE(offset) & 0x7fff);
+        offset += 2;
+      } else {
+        indexes.push(buffer[offset] & 0x7f);
+        offset += 1;
+      }
+    }
+    associations.set(itemId, indexes);
+  }
+  return associations;
+}
+
+// Uses the primary item's ispe (image spatial extents) and irot (rotation) properties,
+// falling back to the largest ispe if the primary item can't be matched
+function readHeifDimensions(buffer) {
+  const topLevel = readBoxes(buffer, 0, buffer.length);
+  const meta = topLevel.find((box) => box.type === "meta");
+  if (!meta) return null;
+  const iprp = findBox(buffer, meta, "iprp", true);
+  const ipco = iprp && findBox(buffer, iprp, "ipco");
+  if (!ipco) return null;
+
+  const properties = readBoxes(buffer, ipco.start, ipco.end);
+  const readExtents = (box) => ({
+    width: buffer.readUInt32BE(box.start + 4),
+    height: buffer.readUInt32BE(box.start + 8),
+  });
+
+  const pitm = findBox(buffer, meta, "pitm", true);
+  const ipma = findBox(buffer, iprp, "ipma");
+  if (pitm && ipma) {
+    const primaryId =
+      buffer[pitm.start] < 1
+        ? buffer.readUInt16BE(pitm.start + 4)
+        : buffer.readUInt32BE(pitm.start + 4);
+    const indexes = readItemProperties(buffer, ipma).get(primaryId) ?? [];
+    const associated = indexes.map((index) => properties[index - 1]);
+    const ispe = associated.find((box) => box?.type === "ispe");
+    if (ispe) {
+      // irot holds the number of anti-clockwise quarter turns in its low 2 bits
+      const irot = associated.find((box) => box?.type === "irot");
+      const quarterTurns = irot ? buffer[irot.start] & 0x3 : 0;
+      return rotate(readExtents(ispe), quarterTurns % 2 === 1);
+    }
+  }
+
+  const extents = properties
+    .filter((box) => box.type === "ispe")
+    .map(readExtents)
+    .sort((a, b) => b.width * b.height - a.width * a.height);
+  return extents[0] ?? null;
+}
+
+// -----------------------------
+// ## SVG
+// -----------------------------
+
+// Pixels per unit, using CSS's 96 pixels per inch
+const SVG_UNITS = {
+  "": 1,
+  px: 1,
+  pt: 96 / 72,
+  pc: 16,
+  in: 96,
+  cm: 96 / 2.54,
+  mm: 96 / 25.4,
+};
+
+// Helper function to convert an SVG length to pixels, or null if it's relative (%, em...)
+function parseSvgLength(value) {
+  const match = value?.trim().match(/^([+]?\d*\.?\d+(?:e[+-]?\d+)?)([a-z]*)$/i);
+  if (!match || !(match[2].toLowerCase() in SVG_UNITS)) return null;
+  const length = parseFloat(match[1]) * SVG_UNITS[match[2].toLowerCase()];
+  return length > 0 ? length : null;
+}
+
+// Uses the root element's width and height, filling in a missing or relative one from the
+// viewBox's aspect ratio, or the viewBox's size if neither is set
+function readSvgDimensions(buffer) {
+  // The root element is near the start, after any XML declaration, doctype and comments
+  const source = buffer.toString("utf8", 0, Math.min(buffer.length, 64 * 1024));
+  const root = source.match(/<svg\b[^>]*>/i);
+  if (!root) return null;
+
+  const attributes = {};
+  for (const [, name, , value] of root[0].matchAll(
+    /([\w:-]+)\s*=\s*(["'])(.*?)\2/g,
+  )) {
+    attributes[name] = value;
+  }
+
+  let width = parseSvgLength(attributes.width);
+  let height = parseSvgLength(attributes.height);
+  const viewBox = attributes.viewBox
+    ?.trim()
+    .split(/[\s,]+/)
+    .map(Number);
+  const hasViewBox = viewBox?.length === 4 && viewBox[2] > 0 && viewBox[3] > 0;
+
+  if (hasViewBox) {
+    const ratio = viewBox[2] / viewBox[3];
+    if (width && !height) height = width / ratio;
+    if (height && !width) width = height * ratio;
+    if (!width && !height) {
+      width = viewBox[2];
+      height = viewBox[3];
+    }
+  }
+  if (!width || !height) return null;
+  return { width: Math.round(width), height: Math.round(height) };
+}
+
+// -----------------------------
+// ## Detection
+// -----------------------------
+
+// Helper function to check whether text content looks like an SVG document
+function isSvg(buffer) {
+  const start = buffer
+    .toString("utf8", 0, Math.min(buffer.length, 1024))
+    .replace(/^\uFEFF/, "")
+    .trimStart();
+  return (
+    start.startsWith("<svg") ||
+    ((start.startsWith("<?xml") || start.startsWith("<!")) &&
+      /<svg\b/i.test(
+        buffer.toString("utf8", 0, Math.min(buffer.length, 64 * 1024)),
+      ))
+  );
+}
+
+// Read an image's dimensions, or null if the format isn't recognized or the header is
+// truncated. Supports PNG, JPEG, GIF, BMP, WebP, AVIF, HEIC and SVG.
+function readImageDimensions(buffer) {
+  const dimensions = detectImageDimensions(buffer);
+  return dimensions?.width > 0 && dimensions?.height > 0 ? dimensions : null;
+}
+
+// Helper function to pick the header parser from the file's signature
+function detectImageDimensions(buffer) {
+  try {
+    if (buffer.length < 12) return null;
+
+    if (buffer.readUInt32BE(0) === 0x89504e47) {
+      return readPngDimensions(buffer);
+    }
+    if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+      return readJpegDimensions(buffer);
+    }
+    if (
+      hasSignature(buffer, 0, "GIF87a") ||
+      hasSignature(buffer, 0, "GIF89a")
+    ) {
+      return readGifDimensions(buffer);
+    }
+    if (hasSignature(buffer, 0, "BM") && buffer.length >= 26) {
+      return readBmpDimensions(buffer);
+    }
+    if (hasSignature(buffer, 0, "RIFF") && hasSignature(buffer, 8, "WEBP")) {
+      return readWebpDimensions(buffer);
+    }
+    if (hasSignature(buffer, 4, "ftyp")) {
+      const ftyp = readBoxes(buffer, 0, buffer.length)[0];
+      // Major brand, then a minor version, then compatible brands
+      const brands = [buffer.toString("latin1", ftyp.start, ftyp.start + 4)];
+      for (let offset = ftyp.start + 8; offset + 4 <= ftyp.end; offset += 4) {
+        brands.push(buffer.toString("latin1", offset, offset + 4));
+      }
+      return brands.some((brand) => HEIF_BRANDS.includes(brand))
+        ? readHeifDimensions(buffer)
+        : null;
+    }
+    if (isSvg(buffer)) {
+      return readSvgDimensions(buffer);
+    }
+  } catch (error) {
+    // Reads past the end of truncated files throw RangeError
+    if (!(error instanceof RangeError)) throw error;
+  }
+  return null;
+}
+
+module.exports = { readImageDimensions };
@@ -5,9 +5,22 @@ const {
   ipcMain,
   dialog,
   nativeTheme,
+  net,
+  clipboard,
+  Menu,
+  shell,
 } = require("electron");
 const path = require("node:path");
+const crypto = require("node:crypto");
+const { pathToFileURL, fileURLToPath } = require("node:url");
 const fs = require("fs").promises;
+const { createZip, readZip } = require("./archive.js");
+const {
+  createStorage,
+  isOutsideRoot,
+  writeFileAtomic,
+} = require("./storage.js");
+const { readImageDimensions } = require("./image-size.js");
 
 try {
   require("electron-reloader")(module);
@@ -30,6 +43,9 @@ const createWindow = () => {
 
   mainWindow.maximize();
 
+  // Dropping a file outside the canvas would otherwise open it in place of the app
+  mainWindow.webContents.on("will-navigate", (event) => event.preventDefault());
+
   // and load the index.html of the app.
   mainWindow.loadFile(path.join(__dirname, "index.html"));
 
@@ -42,7 +58,9 @@ const createWindow = () => {
 // This method will be called when Electron has finished
 // initialization and is ready to create browser windows.
 // Some APIs can only be used after this event occurs.
-app.whenReady().then(() => {
+app.whenReady().then(async () => {
+  await loadRecentDocuments();
+  buildApplicationMenu();
   const mainWindow = createWindow();
 
   // On OS X it's common to re-create a window in the app when the
@@ -62,7 +80,9 @@ app.whenReady().then(() => {
   });
 
   // Listen for renderer confirmation that state is saved
-  ipcMain.on("state-saved", () => {
+  ipcMain.on("state-saved", async () => {
+    // Keep access times read since the last index save
+    await flushWikiCacheIndex();
     app.exit(); // Force quit after state is saved
   });
 
@@ -100,19 +120,12 @@ app.on("window-all-closed", () => {
 // Get the user data directory (AppData on Windows, equivalent on other platforms)
 const userDataPath = app.getPath("userData");
 
-// Helper function to get file path in user data directory
-function getFilePath(filename) {
-  return path.join(userDataPath, filename);
-}
+// Files read and written through IPC are confined to the user data directory
+const storage = createStorage(userDataPath);
 
-// Helper function to ensure directory exists
-async function ensureDirectory(filePath) {
-  const dir = path.dirname(filePath);
-  try {
-    await fs.access(dir);
-  } catch (error) {
-    await fs.mkdir(dir, { recursive: true });
-  }
+// Helper function to get file path in user data directory, throwing if it would escape it
+function getFilePath(filename) {
+  return storage.resolve(filename);
 }
 
 // Helper function to generate unique filename with auto-incrementing suffix
@@ -140,167 +153,152 @@ async function getUniqueFilename(basePath, filename) {
   return finalFilename;
 }
 
-// Helper function to get image dimensions from buffer
-async function getImageDimensions(buffer) {
-  // Simple image dimension detection for common formats
-  // This is a basic implementation - for production, consider using a library like 'image-size'
+// Helper function to get image dimensions from buffer, falling back to a square for
+// formats that aren't recognized
+function getImageDimensions(buffer) {
+  return readImageDimensions(buffer) ?? { width: 200, height: 200 };
+}
 
-  if (buffer.length < 24) {
-    return { width: 200, height: 200 }; // fallback
-  }
-
-  // PNG detection
-  if (
-    buffer[0] === 0x89 &&
-    buffer[1] === 0x50 &&
-    buffer[2] === 0x4e &&
-    buffer[3] === 0x47
-  ) {
-    const width = buffer.readUInt32BE(16);
-    const height = buffer.readUInt32BE(20);
-    return { width, height };
-  }
-
-  // JPEG detection
-  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
-    let offset = 2;
-    while (offset < buffer.length - 8) {
-      if (buffer[offset] === 0xff) {
-        const marker = buffer[offset + 1];
-        if (marker >= 0xc0 && marker <= 0xc3) {
-          const height = buffer.readUInt16BE(offset + 5);
-          const width = buffer.readUInt16BE(offset + 7);
-          return { width, height };
-        }
-        const segmentLength = buffer.readUInt16BE(offset + 2);
-        offset += 2 + segmentLength;
-      } else {
-        offset++;
-      }
-    }
+// Write file function for the main process, with content type "json", "text" or "binary"
+async function writeFile(filename, data, contentType) {
+  const result = await storage.write(filename, data, contentType);
+  if (!result.success) {
+    console.error("Error writing file:", result.error);
+    throw new Error(result.error);
   }
+  return result;
+}
 
-  // GIF detection
-  if (buffer[0] === 0x47 && buffer[1] === 0x49 && buffer[2] === 0x46) {
-    const width = buffer.readUInt16LE(6);
-    const height = buffer.readUInt16LE(8);
-    return { width, height };
-  }
+// Read file function for the main process, resolving to null if the file doesn't exist
+async function readFile(filename, contentType) {
+  const result = await storage.read(filename, contentType);
+  if (result.success) return result.data;
+  if (result.code === "NOT_FOUND") return null;
+  console.error("Error reading file:", result.error);
+  throw new Error(result.error);
+}
 
-  // BMP detection
-  if (buffer[0] === 0x42 && buffer[1] === 0x4d) {
-    const width = buffer.readUInt32LE(18);
-    const height = buffer.readUInt32LE(22);
-    return { width, height };
-  }
+// IPC handlers for renderer process communication. They resolve to structured results
+// instead of throwing, and reject paths outside the user data directory.
+ipcMain.handle("file:write", (event, filename, data, contentType) =>
+  storage.write(filename, data, contentType),
+);
 
-  // WebP detection
-  if (
-    buffer[0] === 0x52 &&
-    buffer[1] === 0x49 &&
-    buffer[2] === 0x46 &&
-    buffer[3] === 0x46 &&
-    buffer[8] === 0x57 &&
-    buffer[9] === 0x45 &&
-    buffer[10] === 0x42 &&
-    buffer[11] === 0x50
-  ) {
-    // Simple WebP VP8 format
-    if (buffer[12] === 0x56 && buffer[13] === 0x50 && buffer[14] === 0x38) {
-      const width =
-        ((buffer[26] | (buffer[27] << 8) | (buffer[28] << 16)) & 0x3fff) + 1;
-      const height =
-        (((buffer[28] >> 2) | (buffer[29] << 6) | (buffer[30] << 14)) &
-          0x3fff) +
-        1;
-      return { width, height };
-    }
-  }
+ipcMain.handle("file:read", (event, filename, contentType) =>
+  storage.read(filename, contentType),
+);
 
-  // Fallback dimensions
-  return { width: 200, height: 200 };
-}
+ipcMain.handle("file:delete", (event, filename) => storage.delete(filename));
 
-// Write file function
-async function writeFile(filename, data) {
-  try {
-    const filePath = getFilePath(filename);
-    await ensureDirectory(filePath);
-
-    let content, encoding;
-
-    if (Buffer.isBuffer(data)) {
-      // Binary data (images, etc.)
-      content = data;
-      encoding = null;
-    } else if (typeof data === "object") {
-      // JSON objects
-      content = JSON.stringify(data, null, 2);
-      encoding = "utf8";
-    } else {
-      // Text data
-      content = data;
-      encoding = "utf8";
-    }
+// -----------------------------
+// ## Granted Paths
+// -----------------------------
 
-    await fs.writeFile(filePath, content, encoding);
-    console.log(`File written successfully: ${filePath}`);
-    return { success: true, path: filePath };
-  } catch (error) {
-    console.error("Error writing file:", error);
-    throw error;
-  }
-}
+// Files outside the user data directory can only be read or written once the user has picked
+// them in a dialog or dropped them on the window, so the renderer can't reach arbitrary files.
+// Picked paths are kept across sessions, as documents and local wikis are reopened from them.
+const GRANTED_PATHS_PATH = "user/granted-paths.json";
 
-// Read file function
-async function readFile(filename) {
-  try {
-    const filePath = getFilePath(filename);
-    const data = await fs.readFile(filePath, "utf8");
+// In-memory copy of the granted paths, loaded lazily on first use.
+// Maps each path to whether it's kept across sessions.
+let grantedPaths = null;
 
-    // Try to parse as JSON, return as string if parsing fails
+// Helper function to load the granted paths from disk
+async function getGrantedPaths() {
+  if (!grantedPaths) {
     try {
-      return JSON.parse(data);
-    } catch (parseError) {
-      return data;
+      const saved = (await readFile(GRANTED_PATHS_PATH, "json")) ?? [];
+      grantedPaths = new Map(saved.map((filePath) => [filePath, true]));
+    } catch (error) {
+      console.error("Error reading granted paths, starting fresh:", error);
+      grantedPaths = new Map();
     }
-  } catch (error) {
-    if (error.code === "ENOENT") {
-      console.log(`File not found: ${filename}`);
-      return null;
+  }
+  return grantedPaths;
+}
+
+// Helper function to grant access to files and directories, along with everything in them
+async function grantPaths(filePaths, isPersistent = true) {
+  const granted = await getGrantedPaths();
+  let changed = false;
+  for (const filePath of filePaths) {
+    const resolved = path.resolve(filePath);
+    // A path kept across sessions stays kept when it's granted again for this session
+    if (granted.has(resolved) && (granted.get(resolved) || !isPersistent)) {
+      continue;
     }
-    console.error("Error reading file:", error);
-    throw error;
+    granted.set(resolved, isPersistent);
+    changed ||= isPersistent;
+  }
+  if (changed) {
+    const saved = [...granted]
+      .filter(([, isKept]) => isKept)
+      .map(([grantedPath]) => grantedPath);
+    await writeFile(GRANTED_PATHS_PATH, saved, "json");
   }
 }
 
-// IPC handlers for renderer process communication
-ipcMain.handle("file:write", async (event, filename, data) => {
-  try {
-    return await writeFile(filename, data);
-  } catch (error) {
-    throw error;
+// Helper function to resolve a path, throwing unless it's granted or inside a granted
+// directory or one of the given directories
+async function resolveGrantedPath(filePath, allowedDirectories = []) {
+  const resolved = path.resolve(filePath);
+  const granted = await getGrantedPaths();
+  if (
+    ![...granted.keys(), ...allowedDirectories].some(
+      (directory) => !isOutsideRoot(directory, resolved),
+    )
+  ) {
+    throw new Error(`Access to ${filePath} hasn't been granted`);
   }
+  return resolved;
+}
+
+// Grant access to a file dropped on the window, for this session only. The path comes from
+// the preload script's getPathForFile, which only gives paths of files the user dropped.
+ipcMain.on("file:grantDroppedPath", (event, filePath) => {
+  grantPaths([filePath], false).catch((error) =>
+    console.error("Error granting dropped path:", error),
+  );
 });
 
-ipcMain.handle("file:read", async (event, filename) => {
-  try {
-    return await readFile(filename);
-  } catch (error) {
-    throw error;
-  }
+// Message box handler, resolving to the index of the clicked button
+ipcMain.handle("dialog:showMessageBox", async (event, options) => {
+  const { response } = await dialog.showMessageBox(
+    BrowserWindow.fromWebContents(event.sender),
+    options,
+  );
+  return response;
 });
 
 // Dialog handler for file selection
 ipcMain.handle("dialog:showOpenDialog", async (event, options) => {
   try {
     const result = await dialog.showOpenDialog(options);
+    await grantPaths(result.filePaths);
     return result;
   } catch (error) {
     throw error;
   }
 });
 
+// Save text to a file picked through a save dialog
+ipcMain.handle("dialog:saveTextFile", async (event, content, options) => {
+  try {
+    const { canceled, filePath } = await dialog.showSaveDialog(
+      BrowserWindow.fromWebContents(event.sender),
+      options,
+    );
+    if (canceled || !filePath) {
+      return { success: false, canceled: true };
+    }
+    await fs.writeFile(filePath, content, "utf8");
+    return { success: true, path: filePath };
+  } catch (error) {
+    console.error("Error saving text file:", error);
+    return { success: false, error: error.message };
+  }
+});
+
 // Select image from dialog handler
 ipcMain.handle(
   "image:selectFromDialog",
@@ -312,7 +310,16 @@ ipcMain.handle(
         filters: [
           {
             name: "Images",
-            extensions: ["jpg", "jpeg", "png", "gif", "bmp", "webp"],
+            extensions: [
+              "jpg",
+              "jpeg",
+              "png",
+              "gif",
+              "bmp",
+              "webp",
+              "avif",
+              "svg",
+            ],
           },
         ],
       });
@@ -321,82 +328,179 @@ ipcMain.handle(
         return { canceled: true };
       }
 
-      const sourcePath = result.filePaths[0];
-      const originalFilename = path.basename(sourcePath);
+      return await importImageFile(result.filePaths[0], mediaSavePath);
+    } catch (error) {
+      console.error("Error selecting image from dialog:", error);
+      throw error;
+    }
+  },
+);
 
-      // Generate unique filename in media directory
-      const uniqueFilename = await getUniqueFilename(
-        mediaSavePath,
-        originalFilename,
-      );
-      const targetPath = path.join(mediaSavePath, uniqueFilename);
+// Helper function to copy an image file into the media directory, keeping its name.
+// Files that aren't a supported image aren't copied.
+async function importImageFile(sourcePath, mediaSavePath) {
+  const originalFilename = path.basename(sourcePath);
+
+  // Read source file
+  const imageData = await fs.readFile(sourcePath);
 
-      // Read source file
-      const imageData = await fs.readFile(sourcePath);
+  // Get image dimensions
+  const dimensions = readImageDimensions(imageData);
+  if (!dimensions) {
+    return {
+      success: false,
+      error: `${originalFilename} isn't a supported image`,
+    };
+  }
 
-      // Get image dimensions
-      const dimensions = await getImageDimensions(imageData);
+  // Write to media directory, unless the image is already there
+  const targetPath = await saveMediaFile(
+    mediaSavePath,
+    originalFilename,
+    imageData,
+  );
 
-      // Write to media directory
-      await writeFile(targetPath, imageData);
+  return {
+    success: true,
+    filename: path.basename(targetPath),
+    path: getFilePath(targetPath),
+    width: dimensions.width,
+    height: dimensions.height,
+  };
+}
 
-      return {
-        success: true,
-        filename: uniqueFilename,
-        path: getFilePath(targetPath),
-        width: dimensions.width,
-        height: dimensions.height,
-      };
+// Import an image file dropped onto the canvas
+ipcMain.handle(
+  "image:importFile",
+  async (event, filePath, mediaSavePath = "user/media") => {
+    try {
+      return await importImageFile(
+        await resolveGrantedPath(filePath),
+        mediaSavePath,
+      );
     } catch (error) {
-      console.error("Error selecting image from dialog:", error);
-      throw error;
+      console.error("Error importing image file:", error);
+      return { success: false, error: error.message };
     }
   },
 );
 
+// Helper function to save an image buffer to the media directory under a unique timestamped name
+async function saveImageBuffer(
+  imageBuffer,
+  mimeType,
+  mediaSavePath,
+  filenamePrefix = "pasted-image",
+) {
+  // Determine file extension from MIME type
+  const extensionMap = {
+    "image/png": "png",
+    "image/jpeg": "jpg",
+    "image/jpg": "jpg",
+    "image/gif": "gif",
+    "image/bmp": "bmp",
+    "image/webp": "webp",
+    "image/avif": "avif",
+    "image/svg+xml": "svg",
+  };
+
+  const extension = extensionMap[mimeType] || "png";
+  const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const originalFilename = `${filenamePrefix}-${timestamp}.${extension}`;
+
+  // Convert ArrayBuffer to Buffer and get dimensions
+  const buffer = Buffer.from(imageBuffer);
+  const dimensions = await getImageDimensions(buffer);
+
+  // Write image buffer to media directory, unless the image is already there
+  const targetPath = await saveMediaFile(
+    mediaSavePath,
+    originalFilename,
+    buffer,
+  );
+
+  return {
+    success: true,
+    filename: path.basename(targetPath),
+    path: getFilePath(targetPath),
+    width: dimensions.width,
+    height: dimensions.height,
+  };
+}
+
 // Save image from buffer handler
 ipcMain.handle(
   "image:saveFromBuffer",
   async (event, imageBuffer, mimeType, mediaSavePath = "user/media") => {
     try {
-      // Determine file extension from MIME type
-      const extensionMap = {
-        "image/png": "png",
-        "image/jpeg": "jpg",
-        "image/jpg": "jpg",
-        "image/gif": "gif",
-        "image/bmp": "bmp",
-        "image/webp": "webp",
-      };
-
-      const extension = extensionMap[mimeType] || "png";
-      const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-      const originalFilename = `pasted-image-${timestamp}.${extension}`;
+      return await saveImageBuffer(imageBuffer, mimeType, mediaSavePath);
+    } catch (error) {
+      console.error("Error saving image from buffer:", error);
+      throw error;
+    }
+  },
+);
 
-      // Generate unique filename in media directory
-      const uniqueFilename = await getUniqueFilename(
+// Capture a region of the window and save it like a pasted image
+ipcMain.handle(
+  "image:captureRegion",
+  async (event, rect, mediaSavePath = "user/media") => {
+    try {
+      const image = await event.sender.capturePage({
+        x: Math.round(rect.x),
+        y: Math.round(rect.y),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height),
+      });
+      if (image.isEmpty()) {
+        return { success: false };
+      }
+      return await saveImageBuffer(
+        image.toPNG(),
+        "image/png",
         mediaSavePath,
-        originalFilename,
+        "captured-image",
       );
-      const targetPath = path.join(mediaSavePath, uniqueFilename);
+    } catch (error) {
+      console.error("Error capturing region:", error);
+      throw error;
+    }
+  },
+);
 
-      // Convert ArrayBuffer to Buffer and get dimensions
-      const buffer = Buffer.from(imageBuffer);
-      const dimensions = await getImageDimensions(buffer);
+// Download an image from a web or data URL, e.g. one dragged from a browser, and save it
+// like a pasted image
+ipcMain.handle(
+  "image:saveFromUrl",
+  async (event, url, mediaSavePath = "user/media") => {
+    try {
+      const { protocol } = new URL(url);
+      if (!["http:", "https:", "data:"].includes(protocol)) {
+        return { success: false, error: `Unsupported image URL: ${url}` };
+      }
 
-      // Write image buffer to media directory
-      await writeFile(targetPath, buffer);
+      const response = await net.fetch(url);
+      if (!response.ok) {
+        throw new Error(`Image request failed with status ${response.status}`);
+      }
+      const buffer = Buffer.from(await response.arrayBuffer());
+      if (!readImageDimensions(buffer)) {
+        return { success: false, error: `Not a supported image: ${url}` };
+      }
 
-      return {
-        success: true,
-        filename: uniqueFilename,
-        path: getFilePath(targetPath),
-        width: dimensions.width,
-        height: dimensions.height,
-      };
+      const mimeType = (response.headers.get("content-type") ?? "")
+        .split(";")[0]
+        .trim()
+        .toLowerCase();
+      return await saveImageBuffer(
+        buffer,
+        mimeType,
+        mediaSavePath,
+        "dropped-image",
+      );
     } catch (error) {
-      console.error("Error saving image from buffer:", error);
-      throw error;
+      console.error("Error saving image from URL:", error);
+      return { success: false, error: error.message };
     }
   },
 );
@@ -404,17 +508,20 @@ ipcMain.handle(
 // Get image dimensions handler
 ipcMain.handle("image:getDimensions", async (event, imagePath) => {
   try {
-    // Handle both absolute paths and relative paths from assets
-    let fullPath;
-    if (path.isAbsolute(imagePath)) {
-      fullPath = imagePath;
-    } else {
+    // Handle file URLs and absolute paths of block images, and relative paths from assets
+    let fullPath = getImageFilePath(imagePath);
+    if (!path.isAbsolute(fullPath)) {
       // For relative paths like "assets/sun-cat.jpg", resolve from app directory
-      fullPath = path.join(__dirname, imagePath);
+      fullPath = path.join(__dirname, fullPath);
     }
+    // Block images are in the media directory or come with the app, unless they were dropped
+    fullPath = await resolveGrantedPath(fullPath, [userDataPath, __dirname]);
 
     const imageData = await fs.readFile(fullPath);
-    const dimensions = await getImageDimensions(imageData);
+    const dimensions = readImageDimensions(imageData);
+    if (!dimensions) {
+      throw new Error(`Unrecognized image format: ${fullPath}`);
+    }
 
     return {
       success: true,
@@ -436,28 +543,1223 @@ ipcMain.handle("theme:getSystemTheme", () => {
   return nativeTheme.shouldUseDarkColors;
 });
 
-// List directory contents handler
-ipcMain.handle("file:listDirectory", async (event, dirPath) => {
+// List directory contents handler, for directories in the user data directory
+ipcMain.handle("file:listDirectory", (event, dirPath) => storage.list(dirPath));
+
+// Read a page from a local directory of wiki HTML files
+ipcMain.handle("wiki:readLocalPage", async (event, directory, title) => {
+  // Titles map to "<Title_with_underscores>.html"; strip anything that could escape the directory
+  const filename = `${title.replace(/ /g, "_").replace(/[\\/]/g, "_")}.html`;
+  // The directory must have been picked in a dialog
+  const filePath = path.join(await resolveGrantedPath(directory), filename);
+
   try {
-    // Resolve relative paths from the app directory
-    const fullPath = path.isAbsolute(dirPath)
-      ? dirPath
-      : path.join(__dirname, dirPath);
-    const items = await fs.readdir(fullPath, { withFileTypes: true });
-
-    // Return both files and directories
-    return items
-      .map((item) => {
-        if (item.isDirectory()) {
-          return item.name; // Return directory name
-        } else if (item.isFile() && item.name.endsWith(".js")) {
-          return item.name; // Return JS file name
-        }
-        return null;
-      })
-      .filter(Boolean); // Remove null entries
+    return await fs.readFile(filePath, "utf8");
   } catch (error) {
-    console.error("Error listing directory:", error);
+    if (error.code === "ENOENT") {
+      console.log(`Local wiki page not found: ${filePath}`);
+      return null;
+    }
+    console.error("Error reading local wiki page:", error);
+    throw error;
+  }
+});
+
+// -----------------------------
+// ## Media Library
+// -----------------------------
+
+// Content hashes of media files, so each image is stored once however many times it's
+// pasted or imported. Entries are keyed by media directory and file name, and a file is
+// only rehashed when its size or modification time changes.
+const MEDIA_INDEX_PATH = "user/media-index.json";
+
+// In-memory copy of the media index, loaded lazily on first use
+let mediaIndex = null;
+
+// Helper function to hash media file contents
+function hashMediaFile(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+// Helper function to bring the index of a media directory up to date, hashing new and
+// changed files and forgetting deleted ones. Resolves to the directory's entries by file name.
+async function scanMediaDirectory(mediaSavePath) {
+  if (!mediaIndex) {
+    try {
+      mediaIndex = (await readFile(MEDIA_INDEX_PATH, "json")) || {
+        directories: {},
+      };
+    } catch (error) {
+      console.error("Error reading media index, starting fresh:", error);
+      mediaIndex = { directories: {} };
+    }
+  }
+
+  const directoryKey = path.normalize(mediaSavePath);
+  const previous = mediaIndex.directories[directoryKey] ?? {};
+  const entries = {};
+  let changed = false;
+
+  let items = [];
+  try {
+    items = await fs.readdir(getFilePath(mediaSavePath), {
+      withFileTypes: true,
+    });
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+
+  for (const item of items) {
+    // Skip hidden files and temporary files left by interrupted atomic writes
+    if (!item.isFile() || item.name.startsWith(".")) continue;
+    if (item.name.endsWith(".tmp")) continue;
+
+    const filePath = getFilePath(path.join(mediaSavePath, item.name));
+    const stats = await fs.stat(filePath);
+    const entry = previous[item.name];
+    if (entry && entry.size === stats.size && entry.mtimeMs === stats.mtimeMs) {
+      entries[item.name] = entry;
+      continue;
+    }
+    entries[item.name] = {
+      hash: hashMediaFile(await fs.readFile(filePath)),
+      size: stats.size,
+      mtimeMs: stats.mtimeMs,
+    };
+    changed = true;
+  }
+
+  mediaIndex.directories[directoryKey] = entries;
+  if (changed || Object.keys(previous).some((name) => !(name in entries))) {
+    await writeFile(MEDIA_INDEX_PATH, mediaIndex, "json");
+  }
+  return entries;
+}
+
+// Helper function to save an image to the media directory. An existing file with the same
+// contents is reused, otherwise the image is written under a unique version of the given name.
+// Resolves to the file's path relative to the user data directory.
+async function saveMediaFile(mediaSavePath, filename, buffer) {
+  const entries = await scanMediaDirectory(mediaSavePath);
+  const hash = hashMediaFile(buffer);
+  const existing = Object.keys(entries).find(
+    (name) => entries[name].hash === hash,
+  );
+  if (existing) {
+    return path.join(mediaSavePath, existing);
+  }
+
+  const uniqueFilename = await getUniqueFilename(mediaSavePath, filename);
+  const targetPath = path.join(mediaSavePath, uniqueFilename);
+  await writeFile(targetPath, buffer, "binary");
+
+  const stats = await fs.stat(getFilePath(targetPath));
+  entries[uniqueFilename] = { hash, size: stats.size, mtimeMs: stats.mtimeMs };
+  await writeFile(MEDIA_INDEX_PATH, mediaIndex, "json");
+  return targetPath;
+}
+
+// Autosaved changes not yet saved to their document, written by the renderer's autosave
+const RECOVERY_FILE_PATH = "user/recovery.json";
+
+// Helper function to collect the image files the blocks of saved document data use
+function getDocumentDataImagePaths(data) {
+  return (data?.pages ?? []).flatMap((page) =>
+    (page.blocks ?? [])
+      .filter((block) => typeof block.imageSrc === "string")
+      .map((block) => path.resolve(getImageFilePath(block.imageSrc))),
+  );
+}
+
+// Helper function to collect the image files a saved document's blocks use. Bundles are
+// skipped, as they carry their own copies of their images.
+async function getDocumentImagePaths(documentPath) {
+  if (documentPath.endsWith(BUNDLE_EXTENSION)) return [];
+  try {
+    return getDocumentDataImagePaths(
+      JSON.parse(await fs.readFile(documentPath, "utf8")),
+    );
+  } catch {
+    // Documents that were moved or deleted don't use anything
+    return [];
+  }
+}
+
+// Helper function to collect the image files autosaved changes use, so recovering them
+// doesn't show missing images
+async function getRecoveryImagePaths() {
+  try {
+    return getDocumentDataImagePaths(
+      (await readFile(RECOVERY_FILE_PATH, "json"))?.document,
+    );
+  } catch {
     return [];
   }
+}
+
+// Helper function to list the media directory, marking which files are used by the given
+// image sources (from the open document and its undo history), by recent documents or by
+// autosaved changes
+async function getMediaLibrary(mediaSavePath, imageSrcs) {
+  const entries = await scanMediaDirectory(mediaSavePath);
+  const referenced = new Set([
+    ...imageSrcs.map((imageSrc) => path.resolve(getImageFilePath(imageSrc))),
+    ...(await getRecoveryImagePaths()),
+  ]);
+  for (const documentPath of recentDocuments) {
+    for (const imagePath of await getDocumentImagePaths(documentPath)) {
+      referenced.add(imagePath);
+    }
+  }
+
+  const seenHashes = new Set();
+  let duplicateCount = 0;
+  const files = Object.entries(entries).map(([name, entry]) => {
+    const filePath = getFilePath(path.join(mediaSavePath, name));
+    if (seenHashes.has(entry.hash)) {
+      duplicateCount++;
+    }
+    seenHashes.add(entry.hash);
+    return {
+      name,
+      path: filePath,
+      size: entry.size,
+      hash: entry.hash,
+      isReferenced: referenced.has(filePath),
+    };
+  });
+
+  return {
+    files,
+    totalBytes: files.reduce((total, file) => total + file.size, 0),
+    unreferencedBytes: files
+      .filter((file) => !file.isReferenced)
+      .reduce((total, file) => total + file.size, 0),
+    duplicateCount,
+  };
+}
+
+// Report disk usage and unused files of the media directory
+ipcMain.handle("media:getLibrary", async (event, mediaSavePath, imageSrcs) => {
+  try {
+    return {
+      success: true,
+      ...(await getMediaLibrary(mediaSavePath, imageSrcs)),
+    };
+  } catch (error) {
+    console.error("Error scanning media library:", error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Move media files no block uses to the trash, where they can still be restored from if a
+// document that isn't known here uses them. Usage is checked again here rather than trusting
+// an earlier report, so images added since then are kept.
+ipcMain.handle(
+  "media:collectGarbage",
+  async (event, mediaSavePath, imageSrcs) => {
+    try {
+      const { files } = await getMediaLibrary(mediaSavePath, imageSrcs);
+      let trashedCount = 0;
+      let freedBytes = 0;
+      for (const file of files) {
+        if (file.isReferenced) continue;
+        try {
+          await shell.trashItem(file.path);
+        } catch (error) {
+          console.warn(`Couldn't move ${file.name} to the trash:`, error);
+          continue;
+        }
+        trashedCount++;
+        freedBytes += file.size;
+      }
+
+      // Drop the trashed files from the index
+      await scanMediaDirectory(mediaSavePath);
+      return { success: true, trashedCount, freedBytes };
+    } catch (error) {
+      console.error("Error cleaning up media:", error);
+      return { success: false, error: error.message };
+    }
+  },
+);
+
+// -----------------------------
+// ## Wiki Cache
+// -----------------------------
+
+// Fetched articles and their inline images are kept under userData so collages stay browsable offline.
+// Entries are evicted least-recently-used first once either limit is exceeded.
+const WIKI_CACHE_PATH = "cache/wiki";
+const WIKI_CACHE_INDEX_PATH = path.join(WIKI_CACHE_PATH, "index.json");
+const WIKI_CACHE_MAX_BYTES = 200 * 1024 * 1024;
+const WIKI_CACHE_MAX_ENTRIES = 500;
+// How long reads wait to save their access times, so reading a page doesn't write the index each time
+const WIKI_CACHE_INDEX_SAVE_DELAY = 5000;
+// How many of a page's images are downloaded at once
+const WIKI_CACHE_IMAGE_CONCURRENCY = 4;
+
+// In-memory copy of the cache index, loaded lazily on first use
+let wikiCacheIndex = null;
+// Timer of a pending index save, and the save in progress. Saves run one at a time
+// so an older index never overwrites a newer one.
+let wikiCacheIndexSaveTimer = null;
+let wikiCacheIndexSave = Promise.resolve();
+
+// Helper function to load the cache index from disk
+async function getWikiCacheIndex() {
+  if (!wikiCacheIndex) {
+    try {
+      wikiCacheIndex = (await readFile(WIKI_CACHE_INDEX_PATH, "json")) || {
+        entries: {},
+      };
+    } catch (error) {
+      console.error("Error reading wiki cache index, starting fresh:", error);
+      wikiCacheIndex = { entries: {} };
+    }
+  }
+  return wikiCacheIndex;
+}
+
+// Helper function to save the cache index now, replacing any pending save
+function saveWikiCacheIndex() {
+  clearTimeout(wikiCacheIndexSaveTimer);
+  wikiCacheIndexSaveTimer = null;
+  const index = wikiCacheIndex;
+  wikiCacheIndexSave = wikiCacheIndexSave
+    .then(() => writeFile(WIKI_CACHE_INDEX_PATH, index, "json"))
+    .catch((error) => console.error("Error saving wiki cache index:", error));
+  return wikiCacheIndexSave;
+}
+
+// Helper function to save the cache index after a delay, batching saves made in the meantime
+function scheduleWikiCacheIndexSave() {
+  if (wikiCacheIndexSaveTimer) return;
+  wikiCacheIndexSaveTimer = setTimeout(
+    saveWikiCacheIndex,
+    WIKI_CACHE_INDEX_SAVE_DELAY,
+  );
+}
+
+// Helper function to run a pending index save right away, e.g. before quitting
+function flushWikiCacheIndex() {
+  return wikiCacheIndexSaveTimer ? saveWikiCacheIndex() : wikiCacheIndexSave;
+}
+
+// Helper function to hash a cache key or URL into a filesystem-safe name
+function hashCacheKey(key) {
+  return crypto.createHash("sha1").update(key).digest("hex");
+}
+
+// Helper function to download an image into the cache, reusing it if already present
+async function cacheWikiImage(url) {
+  const extension = path.extname(new URL(url).pathname).slice(0, 6) || ".img";
+  const file = path.join(
+    WIKI_CACHE_PATH,
+    "images",
+    hashCacheKey(url) + extension,
+  );
+
+  try {
+    const stats = await fs.stat(getFilePath(file));
+    return { file, size: stats.size };
+  } catch {}
+
+  const response = await net.fetch(url);
+  if (!response.ok) {
+    throw new Error(`Image request failed with status ${response.status}`);
+  }
+  const buffer = Buffer.from(await response.arrayBuffer());
+  await writeFile(file, buffer, "binary");
+  return { file, size: buffer.length };
+}
+
+// Helper function to download a page's images into the cache, a few at a time. Maps each URL
+// to its cached image, leaving out images that failed to download.
+async function cacheWikiImages(urls) {
+  const images = {};
+  const queue = [...new Set(urls)].filter((url) => /^https?:/.test(url));
+  const worker = async () => {
+    while (queue.length > 0) {
+      const url = queue.shift();
+      try {
+        images[url] = await cacheWikiImage(url);
+      } catch (error) {
+        // A missing image shouldn't prevent the article itself from being cached
+        console.warn(`Failed to cache wiki image ${url}:`, error.message);
+      }
+    }
+  };
+  await Promise.all(
+    Array.from({ length: WIKI_CACHE_IMAGE_CONCURRENCY }, worker),
+  );
+  return images;
+}
+
+// Helper function to compute total cache size, counting images shared between entries once
+function getWikiCacheSize(index) {
+  const imageSizes = new Map();
+  let size = 0;
+  for (const entry of Object.values(index.entries)) {
+    size += entry.htmlSize;
+    for (const image of Object.values(entry.images)) {
+      imageSizes.set(image.file, image.size);
+    }
+  }
+  for (const imageSize of imageSizes.values()) {
+    size += imageSize;
+  }
+  return size;
+}
+
+// Evict least-recently-used entries until the cache is within its limits
+async function evictWikiCacheEntries(index, keepKey) {
+  const evicted = [];
+  const candidates = Object.values(index.entries)
+    .filter((entry) => entry.key !== keepKey)
+    .sort((a, b) => a.lastAccessedAt - b.lastAccessedAt);
+
+  while (
+    candidates.length > 0 &&
+    (Object.keys(index.entries).length > WIKI_CACHE_MAX_ENTRIES ||
+      getWikiCacheSize(index) > WIKI_CACHE_MAX_BYTES)
+  ) {
+    const entry = candidates.shift();
+    delete index.entries[entry.key];
+    evicted.push(entry);
+  }
+  if (evicted.length === 0) return;
+
+  const referencedImages = new Set(
+    Object.values(index.entries).flatMap((entry) =>
+      Object.values(entry.images).map((image) => image.file),
+    ),
+  );
+  const unusedFiles = evicted.flatMap((entry) => [
+    entry.file,
+    ...Object.values(entry.images)
+      .map((image) => image.file)
+      .filter((file) => !referencedImages.has(file)),
+  ]);
+
+  await Promise.all(
+    [...new Set(unusedFiles)].map((file) =>
+      fs.rm(getFilePath(file), { force: true }),
+    ),
+  );
+  console.log(`Evicted ${evicted.length} wiki cache entries`);
+}
+
+// Get a cached page, with image URLs mapped to their cached file URLs
+ipcMain.handle("wikiCache:get", async (event, key) => {
+  try {
+    const index = await getWikiCacheIndex();
+    const entry = index.entries[key];
+    if (!entry) return null;
+
+    const html = await fs.readFile(getFilePath(entry.file), "utf8");
+    entry.lastAccessedAt = Date.now();
+    scheduleWikiCacheIndexSave();
+
+    return {
+      html,
+      revisionId: entry.revisionId,
+      revisionTimestamp: entry.revisionTimestamp ?? null,
+      fetchedAt: entry.fetchedAt,
+      images: Object.fromEntries(
+        Object.entries(entry.images).map(([url, image]) => [
+          url,
+          pathToFileURL(getFilePath(image.file)).href,
+        ]),
+      ),
+    };
+  } catch (error) {
+    console.error("Error reading wiki cache entry:", error);
+    return null;
+  }
+});
+
+// Store a page along with its inline images
+ipcMain.handle(
+  "wikiCache:put",
+  async (
+    event,
+    key,
+    { html, revisionId, revisionTimestamp, imageUrls = [] },
+  ) => {
+    try {
+      const index = await getWikiCacheIndex();
+      const file = path.join(
+        WIKI_CACHE_PATH,
+        "pages",
+        `${hashCacheKey(key)}.html`,
+      );
+      await writeFile(file, html, "text");
+
+      const images = await cacheWikiImages(imageUrls);
+
+      const now = Date.now();
+      index.entries[key] = {
+        key,
+        file,
+        revisionId: revisionId ?? null,
+        revisionTimestamp: revisionTimestamp ?? null,
+        fetchedAt: now,
+        lastAccessedAt: now,
+        htmlSize: Buffer.byteLength(html),
+        images,
+      };
+
+      await evictWikiCacheEntries(index, key);
+      await saveWikiCacheIndex();
+      return { success: true };
+    } catch (error) {
+      console.error("Error writing wiki cache entry:", error);
+      throw error;
+    }
+  },
+);
+
+// Remove every cached page and image
+ipcMain.handle("wikiCache:clear", async () => {
+  clearTimeout(wikiCacheIndexSaveTimer);
+  wikiCacheIndexSaveTimer = null;
+  await wikiCacheIndexSave;
+  wikiCacheIndex = { entries: {} };
+  await fs.rm(getFilePath(WIKI_CACHE_PATH), { recursive: true, force: true });
+  return { success: true };
+});
+
+// -----------------------------
+// ## Documents
+// -----------------------------
+
+const DOCUMENT_FILTERS = [
+  { name: "Collage Document", extensions: ["json"] },
+  { name: "Collage Bundle (with images)", extensions: ["wikicollage"] },
+];
+// Bundles are ZIP archives of the document JSON plus every image its blocks use
+const BUNDLE_EXTENSION = ".wikicollage";
+const BUNDLE_DOCUMENT_ENTRY = "document.json";
+const BUNDLE_MEDIA_DIRECTORY = "media/";
+
+// Recent document paths for the File menu, most recent first. They're only added here after a
+// granted document was read or written, so the renderer can't slip paths into the list.
+const RECENT_DOCUMENTS_PATH = "user/recent-documents.json";
+const MAX_RECENT_DOCUMENTS = 10;
+let recentDocuments = [];
+
+// Helper function to load the recent documents from disk
+async function loadRecentDocuments() {
+  try {
+    const saved = await readFile(RECENT_DOCUMENTS_PATH, "json");
+    recentDocuments = Array.isArray(saved)
+      ? saved.filter((filePath) => typeof filePath === "string")
+      : [];
+  } catch (error) {
+    console.error("Error reading recent documents:", error);
+    recentDocuments = [];
+  }
+}
+
+// Helper function to replace the recent documents, saving them and rebuilding the File menu
+async function setRecentDocuments(filePaths) {
+  recentDocuments = filePaths.slice(0, MAX_RECENT_DOCUMENTS);
+  buildApplicationMenu();
+  try {
+    await writeFile(RECENT_DOCUMENTS_PATH, recentDocuments, "json");
+  } catch (error) {
+    console.error("Error saving recent documents:", error);
+  }
+}
+
+// Helper function to move a document just read or written to the front of the recent documents
+async function addRecentDocument(filePath) {
+  app.addRecentDocument(filePath);
+  await setRecentDocuments([
+    filePath,
+    ...recentDocuments.filter((recent) => recent !== filePath),
+  ]);
+}
+
+// Helper function to send a File menu command to the focused window's renderer
+function sendMenuCommand(browserWindow, command, arg) {
+  browserWindow?.webContents.send("menu:command", command, arg);
+}
+
+// Helper function to (re)build the application menu with the current recent documents
+function buildApplicationMenu() {
+  const isMac = process.platform === "darwin";
+
+  const fileMenu = {
+    label: "File",
+    submenu: [
+      {
+        label: "New",
+        accelerator: "CmdOrCtrl+N",
+        click: (item, browserWindow) => sendMenuCommand(browserWindow, "new"),
+      },
+      {
+        label: "Open…",
+        accelerator: "CmdOrCtrl+O",
+        click: (item, browserWindow) => sendMenuCommand(browserWindow, "open"),
+      },
+      {
+        label: "Open Recent",
+        submenu: [
+          ...recentDocuments.map((filePath) => ({
+            label: filePath,
+            click: (item, browserWindow) =>
+              sendMenuCommand(browserWindow, "openRecent", filePath),
+          })),
+          ...(recentDocuments.length > 0 ? [{ type: "separator" }] : []),
+          {
+            label: "Clear Recent",
+            enabled: recentDocuments.length > 0,
+            click: () => setRecentDocuments([]),
+          },
+        ],
+      },
+      { type: "separator" },
+      {
+        label: "Save",
+        accelerator: "CmdOrCtrl+S",
+        click: (item, browserWindow) => sendMenuCommand(browserWindow, "save"),
+      },
+      {
+        label: "Save As…",
+        accelerator: "CmdOrCtrl+Shift+S",
+        click: (item, browserWindow) =>
+          sendMenuCommand(browserWindow, "saveAs"),
+      },
+      { type: "separator" },
+      isMac ? { role: "close" } : { role: "quit" },
+    ],
+  };
+
+  Menu.setApplicationMenu(
+    Menu.buildFromTemplate([
+      ...(isMac ? [{ role: "appMenu" }] : []),
+      fileMenu,
+      { role: "editMenu" },
+      { role: "viewMenu" },
+      { role: "windowMenu" },
+    ]),
+  );
+}
+
+// Pick a document to open
+ipcMain.handle("document:showOpenDialog", async (event) => {
+  const { canceled, filePaths } = await dialog.showOpenDialog(
+    BrowserWindow.fromWebContents(event.sender),
+    {
+      title: "Open collage",
+      properties: ["openFile"],
+      filters: DOCUMENT_FILTERS,
+    },
+  );
+  if (canceled || filePaths.length === 0) return null;
+  await grantPaths([filePaths[0]]);
+  return filePaths[0];
+});
+
+// Pick where to save a document, suggesting the format of the document's current file if it has one
+ipcMain.handle(
+  "document:showSaveDialog",
+  async (event, defaultName, currentPath = null) => {
+    const extension = currentPath?.endsWith(BUNDLE_EXTENSION)
+      ? BUNDLE_EXTENSION
+      : ".json";
+    const { canceled, filePath } = await dialog.showSaveDialog(
+      BrowserWindow.fromWebContents(event.sender),
+      {
+        title: "Save collage",
+        defaultPath: `${defaultName}${extension}`,
+        filters: DOCUMENT_FILTERS,
+      },
+    );
+    if (canceled || !filePath) return null;
+    await grantPaths([filePath]);
+    return filePath;
+  },
+);
+
+// Helper function to get the file path of a block's image
+function getImageFilePath(imageSrc) {
+  return imageSrc.startsWith("file://") ? fileURLToPath(imageSrc) : imageSrc;
+}
+
+// Helper function to check whether a file is in the media directory, following symlinks
+async function isInMediaDirectory(filePath, mediaSavePath) {
+  const realpath = (target) =>
+    fs.realpath(target).catch(() => path.resolve(target));
+  return !isOutsideRoot(
+    await realpath(getFilePath(mediaSavePath)),
+    await realpath(filePath),
+  );
+}
+
+// Helper function to pack a document and its images into a bundle,
+// rewriting each block's imageSrc to the image's path inside the archive.
+// Only images in the media directory are packed, so a document can't pull other files into it.
+async function createDocumentBundle(data, mediaSavePath) {
+  const archivePaths = new Map(); // image file path -> archive path
+  const usedArchivePaths = new Set();
+  const mediaEntries = [];
+
+  const pages = [];
+  for (const page of data.pages) {
+    const blocks = [];
+    for (const block of page.blocks) {
+      if (!block.imageSrc) {
+        blocks.push(block);
+        continue;
+      }
+
+      const imagePath = getImageFilePath(block.imageSrc);
+      if (
+        !archivePaths.has(imagePath) &&
+        !(await isInMediaDirectory(imagePath, mediaSavePath))
+      ) {
+        console.warn(
+          `Not bundling ${imagePath}, as it's outside the media directory`,
+        );
+        archivePaths.set(imagePath, null);
+      }
+      if (!archivePaths.has(imagePath)) {
+        try {
+          const imageData = await fs.readFile(imagePath);
+          // Images from different directories can share a name, so suffix duplicates
+          const extension = path.extname(imagePath);
+          const baseName = path.basename(imagePath, extension);
+          let archivePath = `${BUNDLE_MEDIA_DIRECTORY}${baseName}${extension}`;
+          for (let i = 1; usedArchivePaths.has(archivePath); i++) {
+            archivePath = `${BUNDLE_MEDIA_DIRECTORY}${baseName}-${i}${extension}`;
+          }
+          usedArchivePaths.add(archivePath);
+          archivePaths.set(imagePath, archivePath);
+          mediaEntries.push({
+            name: archivePath,
+            data: imageData,
+            compress: false,
+          });
+        } catch (error) {
+          console.warn(`Leaving missing bundle image ${imagePath}:`, error);
+          archivePaths.set(imagePath, null);
+        }
+      }
+
+      const archivePath = archivePaths.get(imagePath);
+      blocks.push(archivePath ? { ...block, imageSrc: archivePath } : block);
+    }
+    pages.push({ ...page, blocks });
+  }
+
+  return createZip([
+    {
+      name: BUNDLE_DOCUMENT_ENTRY,
+      data: Buffer.from(JSON.stringify({ ...data, pages }, null, 2), "utf8"),
+    },
+    ...mediaEntries,
+  ]);
+}
+
+// Helper function to unpack a bundle, copying its images into the media directory and
+// rewriting each block's imageSrc to the local copy. Images already in the media directory
+// are reused, so reopening a bundle doesn't duplicate them.
+async function readDocumentBundle(buffer, mediaSavePath) {
+  const entries = readZip(buffer);
+  const documentEntry = entries.get(BUNDLE_DOCUMENT_ENTRY);
+  if (!documentEntry) {
+    throw new Error(`Bundle has no ${BUNDLE_DOCUMENT_ENTRY}`);
+  }
+  const data = JSON.parse(documentEntry.toString("utf8"));
+
+  const localPaths = new Map(); // archive path -> local file path
+  for (const [name, imageData] of entries) {
+    if (!name.startsWith(BUNDLE_MEDIA_DIRECTORY)) continue;
+
+    // Only the file name is used, so entries can't escape the media directory
+    const targetPath = await saveMediaFile(
+      mediaSavePath,
+      path.basename(name),
+      imageData,
+    );
+    localPaths.set(name, getFilePath(targetPath));
+  }
+
+  // Images the bundle doesn't carry are cleared rather than kept, so a bundle can't point
+  // blocks at other files on this machine. Their blocks show a missing image.
+  return {
+    ...data,
+    pages: (data.pages ?? []).map((page) => ({
+      ...page,
+      blocks: (page.blocks ?? []).map((block) => {
+        if (typeof block?.imageSrc !== "string" || !block.imageSrc) {
+          return block;
+        }
+        if (!localPaths.has(block.imageSrc)) {
+          console.warn(`Clearing image ${block.imageSrc} missing from bundle`);
+        }
+        return { ...block, imageSrc: localPaths.get(block.imageSrc) ?? "" };
+      }),
+    })),
+  };
+}
+
+// Read a document from an absolute path
+ipcMain.handle(
+  "document:read",
+  async (event, filePath, mediaSavePath = "user/media") => {
+    try {
+      await resolveGrantedPath(filePath);
+      const data = filePath.endsWith(BUNDLE_EXTENSION)
+        ? await readDocumentBundle(await fs.readFile(filePath), mediaSavePath)
+        : JSON.parse(await fs.readFile(filePath, "utf8"));
+      await addRecentDocument(filePath);
+      return { success: true, data };
+    } catch (error) {
+      console.error("Error reading document:", error);
+      return { success: false, error: error.message };
+    }
+  },
+);
+
+// Get when a document was last written, or null if it doesn't exist or isn't granted
+ipcMain.handle("document:getModifiedTime", async (event, filePath) => {
+  try {
+    return (await fs.stat(await resolveGrantedPath(filePath))).mtimeMs;
+  } catch {
+    return null;
+  }
+});
+
+// Write a document to an absolute path
+ipcMain.handle(
+  "document:write",
+  async (event, filePath, data, mediaSavePath = "user/media") => {
+    try {
+      await resolveGrantedPath(filePath);
+      if (filePath.endsWith(BUNDLE_EXTENSION)) {
+        await writeFileAtomic(
+          filePath,
+          await createDocumentBundle(data, mediaSavePath),
+        );
+      } else {
+        await writeFileAtomic(filePath, JSON.stringify(data, null, 2), "utf8");
+      }
+      await addRecentDocument(filePath);
+      return { success: true };
+    } catch (error) {
+      console.error("Error writing document:", error);
+      return { success: false, error: error.message };
+    }
+  },
+);
+
+// Ask whether to save a document's unsaved changes before they are discarded
+ipcMain.handle(
+  "document:confirmUnsavedChanges",
+  async (event, documentName) => {
+    const { response } = await dialog.showMessageBox(
+      BrowserWindow.fromWebContents(event.sender),
+      {
+        type: "warning",
+        message: `Do you want to save the changes you made to "${documentName}"?`,
+        detail: "Your changes will be lost if you don't save them.",
+        buttons: ["Save", "Don't Save", "Cancel"],
+        defaultId: 0,
+        cancelId: 2,
+      },
+    );
+    return ["save", "discard", "cancel"][response];
+  },
+);
+
+// -----------------------------
+// ## Clipboard Watch
+// -----------------------------
+
+// The clipboard has no change event, so it's polled here while the window is focused, and
+// checked once when it's focused again so images copied in other apps are still imported.
+// Only a hash of a small copy of the last image is kept, and images are only encoded once they change.
+const CLIPBOARD_POLL_INTERVAL_MS = 500;
+const CLIPBOARD_HASH_SIZE = 64;
+
+// The active clipboard watch, if any: its window, focus listeners and poll interval
+let clipboardWatch = null;
+
+// Helper function to read the clipboard image, or null if the clipboard holds no image
+function readClipboardImage() {
+  const hasImage = clipboard
+    .availableFormats()
+    .some((format) => format.startsWith("image/"));
+  if (!hasImage) return null;
+
+  const image = clipboard.readImage();
+  return image.isEmpty() ? null : image;
+}
+
+// Helper function to hash a clipboard image. Its size and a small copy of its pixels tell
+// images apart without hashing every pixel of a large image.
+function hashClipboardImage(image) {
+  const { width, height } = image.getSize();
+  const thumbnail = image.resize({
+    width: CLIPBOARD_HASH_SIZE,
+    height: CLIPBOARD_HASH_SIZE,
+  });
+  return crypto
+    .createHash("sha1")
+    .update(`${width}x${height}`)
+    .update(thumbnail.toBitmap())
+    .digest("hex");
+}
+
+// Helper function to stop polling the clipboard, keeping the watch for when the window is focused again
+function stopClipboardPoll() {
+  if (clipboardWatch?.interval) {
+    clearInterval(clipboardWatch.interval);
+    clipboardWatch.interval = null;
+  }
+}
+
+// Helper function to stop the active clipboard watch
+function stopClipboardWatch() {
+  if (!clipboardWatch) return;
+  stopClipboardPoll();
+  const { browserWindow, onFocus, onBlur } = clipboardWatch;
+  if (!browserWindow.isDestroyed()) {
+    browserWindow.off("focus", onFocus);
+    browserWindow.off("blur", onBlur);
+  }
+  clipboardWatch = null;
+}
+
+// Start watching the clipboard, saving each newly copied image and sending it to the renderer
+ipcMain.handle("clipboard:watch", (event, mediaSavePath = "user/media") => {
+  stopClipboardWatch();
+
+  const sender = event.sender;
+  const browserWindow = BrowserWindow.fromWebContents(sender);
+  if (!browserWindow) return { success: false };
+
+  // An image already on the clipboard was copied before watching started, so it isn't imported
+  const initialImage = readClipboardImage();
+  let lastHash = initialImage ? hashClipboardImage(initialImage) : null;
+
+  const checkClipboard = async () => {
+    if (sender.isDestroyed()) {
+      stopClipboardWatch();
+      return;
+    }
+
+    const image = readClipboardImage();
+    if (!image) return;
+
+    const hash = hashClipboardImage(image);
+    if (hash === lastHash) return;
+    lastHash = hash;
+
+    try {
+      const result = await saveImageBuffer(
+        image.toPNG(),
+        "image/png",
+        mediaSavePath,
+      );
+      sender.send("clipboard:image", result);
+    } catch (error) {
+      console.error("Error saving clipboard image:", error);
+    }
+  };
+
+  const startClipboardPoll = () => {
+    stopClipboardPoll();
+    clipboardWatch.interval = setInterval(
+      checkClipboard,
+      CLIPBOARD_POLL_INTERVAL_MS,
+    );
+  };
+  const onFocus = () => {
+    checkClipboard();
+    startClipboardPoll();
+  };
+
+  clipboardWatch = {
+    browserWindow,
+    onFocus,
+    onBlur: stopClipboardPoll,
+    interval: null,
+  };
+  browserWindow.on("focus", onFocus);
+  browserWindow.on("blur", stopClipboardPoll);
+  if (browserWindow.isFocused()) {
+    startClipboardPoll();
+  }
+
+  return { success: true };
+});
+
+// Stop watching the clipboard
+ipcMain.handle("clipboard:unwatch", () => {
+  stopClipboardWatch();
+  return { success: true };
+});
+
+// -----------------------------
+// ## Page Export
+// -----------------------------
+
+// Largest canvas side Chromium will reliably encode; larger exports are scaled down to fit
+const MAX_EXPORT_CANVAS_SIZE = 16384;
+// Layout of the references list below vector exports, in canvas pixels
+const EXPORT_REFERENCES_MARGIN = 24;
+const EXPORT_REFERENCES_LINE_HEIGHT = 20;
+// CSS pixels per inch, for converting page sizes for printToPDF
+const PIXELS_PER_INCH = 96;
+
+const EXPORT_MIME_TYPES = {
+  png: "image/png",
+  jpeg: "image/jpeg",
+};
+
+// MIME types of block images by file extension, for data URLs of them
+const IMAGE_MIME_TYPES = {
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  bmp: "image/bmp",
+  webp: "image/webp",
+  avif: "image/avif",
+  svg: "image/svg+xml",
+};
+
+// Helper function to read a block image as a data URL, so the export canvas isn't tainted by file:// images.
+// Blocks rendered by the renderer, like notes, are already data URLs. Image sources come from the
+// document, so only images in the user data directory, the app or granted paths are read.
+async function readImageAsDataUrl(imageSrc) {
+  if (imageSrc.startsWith("data:")) return imageSrc;
+  const filePath = await resolveGrantedPath(
+    path.resolve(__dirname, getImageFilePath(imageSrc)),
+    [userDataPath, __dirname],
+  );
+  const extension = path.extname(filePath).slice(1).toLowerCase();
+  const mimeType = IMAGE_MIME_TYPES[extension] ?? "image/png";
+  const buffer = await fs.readFile(filePath);
+  return `data:${mimeType};base64,${buffer.toString("base64")}`;
+}
+
+// Helper function to read the images of an export layout as data URLs keyed by image path.
+// Each image is read once even if several blocks show it, and missing or ungranted images map to null.
+async function readLayoutImages(layout) {
+  const dataUrls = {};
+  for (const block of layout.blocks) {
+    if (block.imageSrc in dataUrls) continue;
+    try {
+      dataUrls[block.imageSrc] = await readImageAsDataUrl(block.imageSrc);
+    } catch (error) {
+      console.warn(`Skipping export image ${block.imageSrc}:`, error);
+      dataUrls[block.imageSrc] = null;
+    }
+  }
+  return dataUrls;
+}
+
+// Helper function to escape text for use in SVG markup
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Helper function to build an SVG of a page, with each block linking to its article
+// and a references list below the blocks. Returns the markup along with its size.
+async function buildPageSvg(layout, options) {
+  const dataUrls = await readLayoutImages(layout);
+  const referencesHeight =
+    layout.references.length > 0
+      ? EXPORT_REFERENCES_MARGIN * 2 +
+        EXPORT_REFERENCES_LINE_HEIGHT * (layout.references.length + 1)
+      : 0;
+  const width = layout.width;
+  const height = layout.height + referencesHeight;
+
+  const elements = [];
+  if (options.background) {
+    elements.push(
+      `<rect width="100%" height="100%" fill="${escapeXml(options.background)}"/>`,
+    );
+  }
+
+  for (const block of layout.blocks) {
+    const dataUrl = dataUrls[block.imageSrc];
+    if (!dataUrl) continue;
+
+    const image = `<image xlink:href="${dataUrl}" x="${block.x}" y="${block.y}" width="${block.width}" height="${block.height}" preserveAspectRatio="none"/>`;
+    elements.push(
+      block.href
+        ? `<a xlink:href="${escapeXml(block.href)}" target="_blank"><title>${escapeXml(block.title)}</title>${image}</a>`
+        : image,
+    );
+  }
+
+  if (layout.references.length > 0) {
+    const top = layout.height + EXPORT_REFERENCES_MARGIN;
+    const lines = [
+      `<text x="${EXPORT_REFERENCES_MARGIN}" y="${top + EXPORT_REFERENCES_LINE_HEIGHT}" font-weight="bold">References</text>`,
+      ...layout.references.map((reference, index) => {
+        const y = top + EXPORT_REFERENCES_LINE_HEIGHT * (index + 2);
+        return `<a xlink:href="${escapeXml(reference.url)}" target="_blank"><text x="${EXPORT_REFERENCES_MARGIN}" y="${y}">[${reference.number}] ${escapeXml(reference.text)}</text></a>`;
+      }),
+    ];
+    elements.push(
+      `<g font-family="sans-serif" font-size="14" fill="#000">${lines.join("")}</g>`,
+    );
+  }
+
+  const svg = [
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    ...elements,
+    "</svg>",
+  ].join("\n");
+  return { svg, width, height };
+}
+
+// Helper function to print a page SVG to a single-page PDF, keeping its links clickable
+async function renderPagePdf({ svg, width, height }) {
+  // Embedded images make the document too large for a data: URL, so load it from a temporary file
+  const htmlPath = path.join(
+    app.getPath("temp"),
+    `wikicollage-export-${crypto.randomUUID()}.html`,
+  );
+  await fs.writeFile(
+    htmlPath,
+    `<!DOCTYPE html><html><head><meta charset="utf-8"><style>html, body { margin: 0; } svg { display: block; }</style></head><body>${svg}</body></html>`,
+  );
+
+  const exportWindow = new BrowserWindow({
+    show: false,
+    webPreferences: { offscreen: true },
+  });
+
+  try {
+    await exportWindow.loadFile(htmlPath);
+    return await exportWindow.webContents.printToPDF({
+      pageSize: {
+        width: width / PIXELS_PER_INCH,
+        height: height / PIXELS_PER_INCH,
+      },
+      margins: { top: 0, bottom: 0, left: 0, right: 0 },
+      printBackground: true,
+    });
+  } finally {
+    exportWindow.destroy();
+    await fs.rm(htmlPath, { force: true });
+  }
+}
+
+// Helper function to composite a page's blocks into one image in a hidden offscreen window
+async function renderPageImage(layout, options, format) {
+  const scale = Math.min(
+    options.scale,
+    MAX_EXPORT_CANVAS_SIZE / layout.width,
+    MAX_EXPORT_CANVAS_SIZE / layout.height,
+  );
+  // JPEG has no alpha channel, so a transparent background would turn black
+  const background =
+    options.background ?? (format === "jpeg" ? "#ffffff" : null);
+
+  const dataUrls = await readLayoutImages(layout);
+
+  const payload = {
+    width: Math.round(layout.width * scale),
+    height: Math.round(layout.height * scale),
+    scale,
+    background,
+    mimeType: EXPORT_MIME_TYPES[format],
+    blocks: layout.blocks
+      .filter((block) => dataUrls[block.imageSrc])
+      .map((block) => ({ ...block, src: dataUrls[block.imageSrc] })),
+  };
+
+  const exportWindow = new BrowserWindow({
+    show: false,
+    webPreferences: { offscreen: true },
+  });
+
+  try {
+    await exportWindow.loadURL("about:blank");
+    const dataUrl = await exportWindow.webContents.executeJavaScript(`
+      (async (payload) => {
+        const canvas = document.createElement("canvas");
+        canvas.width = payload.width;
+        canvas.height = payload.height;
+        const context = canvas.getContext("2d");
+        if (payload.background) {
+          context.fillStyle = payload.background;
+          context.fillRect(0, 0, canvas.width, canvas.height);
+        }
+        context.scale(payload.scale, payload.scale);
+        for (const block of payload.blocks) {
+          const image = new Image();
+          image.src = block.src;
+          try {
+            await image.decode();
+          } catch {
+            continue;
+          }
+          context.drawImage(image, block.x, block.y, block.width, block.height);
+        }
+        return canvas.toDataURL(payload.mimeType, 0.92);
+      })(${JSON.stringify(payload)})
+    `);
+    return Buffer.from(dataUrl.split(",")[1], "base64");
+  } finally {
+    exportWindow.destroy();
+  }
+}
+
+// Export a page as a PNG, JPEG, SVG or PDF, with the format picked by the save dialog's extension
+ipcMain.handle("export:page", async (event, layout, options) => {
+  try {
+    const { canceled, filePath } = await dialog.showSaveDialog(
+      BrowserWindow.fromWebContents(event.sender),
+      {
+        title: "Export page",
+        defaultPath: `${layout.name}.png`,
+        filters: [
+          { name: "PNG Image", extensions: ["png"] },
+          { name: "JPEG Image", extensions: ["jpg", "jpeg"] },
+          { name: "SVG Image", extensions: ["svg"] },
+          { name: "PDF Document", extensions: ["pdf"] },
+        ],
+      },
+    );
+    if (canceled || !filePath) {
+      return { success: false, canceled: true };
+    }
+
+    const extension = path.extname(filePath).slice(1).toLowerCase();
+    if (extension === "svg") {
+      const { svg } = await buildPageSvg(layout, options);
+      await fs.writeFile(filePath, svg, "utf8");
+    } else if (extension === "pdf") {
+      const pageSvg = await buildPageSvg(layout, options);
+      await fs.writeFile(filePath, await renderPagePdf(pageSvg));
+    } else {
+      const format =
+        extension === "jpg" || extension === "jpeg" ? "jpeg" : "png";
+      await fs.writeFile(
+        filePath,
+        await renderPageImage(layout, options, format),
+      );
+    }
+    return { success: true, path: filePath };
+  } catch (error) {
+    console.error("Error exporting page:", error);
+    return { success: false, error: error.message };
+  }
 });
@@ -0,0 +1,360 @@
+import { h, text } from "./packages/hyperapp/index.js";
+import { getBlockType } from "./block.js";
+import { saveMementoAndReturn } from "./memento.js";
+import { getCurrentPage, updateCurrentPage } from "./pages.js";
+import { getPlainText } from "./rich-text.js";
+import {
+  isBlockSelectable,
+  selectBlock,
+  toggleBlockSelection,
+} from "./selection.js";
+import { getShapeImageUrl } from "./shapes.js";
+
+// Drag data type of a layer being dragged to a new place in the stack
+const LAYER_DRAG_TYPE = "application/x-wikicollage-layer";
+
+// Characters of a note or snippet shown in its layer thumbnail, more than fit at its size
+const LAYER_THUMBNAIL_TEXT_LENGTH = 200;
+
+/**
+ * Gets blocks in stacking order, back to front
+ * @param {Block[]} blocks - Blocks to order
+ * @returns {Block[]} Ordered blocks
+ */
+function getStackOrder(blocks) {
+  return [...blocks].sort((a, b) => a.zIndex - b.zIndex);
+}
+
+/**
+ * Stacks the current page's blocks in a new order, reusing the stacking orders they already have
+ * so blocks on other pages and new blocks stay in front
+ * @param {State} state - Current application state
+ * @param {Block[]} stack - Blocks of the current page in their new order, back to front
+ * @returns {State} Updated state
+ */
+function restackBlocks(state, stack) {
+  const currentPage = getCurrentPage(state);
+  if (!currentPage) return state;
+
+  const zIndexes = getStackOrder(currentPage.blocks).map(
+    (block) => block.zIndex,
+  );
+  // Blocks sharing a stacking order are spread out so every block can be moved past another
+  for (let i = 1; i < zIndexes.length; i++) {
+    zIndexes[i] = Math.max(zIndexes[i], zIndexes[i - 1] + 1);
+  }
+  const newZIndexes = new Map(
+    stack.map((block, index) => [block.id, zIndexes[index]]),
+  );
+  if (
+    currentPage.blocks.every(
+      (block) => newZIndexes.get(block.id) === block.zIndex,
+    )
+  ) {
+    return state;
+  }
+
+  const newState = updateCurrentPage(state, {
+    blocks: currentPage.blocks.map((block) => {
+      const zIndex = newZIndexes.get(block.id) ?? block.zIndex;
+      return zIndex === block.zIndex ? block : { ...block, zIndex };
+    }),
+  });
+  return saveMementoAndReturn(state, newState);
+}
+
+/**
+ * Moves the selected blocks within the stack, keeping their order among themselves
+ * @param {State} state - Current application state
+ * @param {(stack: Block[], isSelected: (block: Block) => boolean) => Block[]} move - Reorders the stack, back to front
+ * @returns {State} Updated state
+ */
+function moveSelectedBlocks(state, move) {
+  const currentPage = getCurrentPage(state);
+  if (!currentPage || currentPage.selectedIds.length === 0) return state;
+
+  return restackBlocks(
+    state,
+    move(getStackOrder(currentPage.blocks), (block) =>
+      currentPage.selectedIds.includes(block.id),
+    ),
+  );
+}
+
+/**
+ * Sends the selected blocks in front of all other blocks
+ * @param {State} state - Current application state
+ * @returns {State} Updated state
+ */
+export function sendToFront(state) {
+  return moveSelectedBlocks(state, (stack, isSelected) => [
+    ...stack.filter((block) => !isSelected(block)),
+    ...stack.filter(isSelected),
+  ]);
+}
+
+/**
+ * Sends the selected blocks behind all other blocks
+ * @param {State} state - Current application state
+ * @returns {State} Updated state
+ */
+export function sendToBack(state) {
+  return moveSelectedBlocks(state, (stack, isSelected) => [
+    ...stack.filter(isSelected),
+    ...stack.filter((block) => !isSelected(block)),
+  ]);
+}
+
+/**
+ * Moves each selected block in front of the block in front of it
+ * @param {State} state - Current application state
+ * @returns {State} Updated state
+ */
+export function bringForward(state) {
+  return moveSelectedBlocks(state, (stack, isSelected) => {
+    const newStack = [...stack];
+    // Front to back, so a run of selected blocks moves together
+    for (let i = newStack.length - 2; i >= 0; i--) {
+      if (isSelected(newStack[i]) && !isSelected(newStack[i + 1])) {
+        [newStack[i], newStack[i + 1]] = [newStack[i + 1], newStack[i]];
+      }
+    }
+    return newStack;
+  });
+}
+
+/**
+ * Moves each selected block behind the block behind it
+ * @param {State} state - Current application state
+ * @returns {State} Updated state
+ */
+export function sendBackward(state) {
+  return moveSelectedBlocks(state, (stack, isSelected) => {
+    const newStack = [...stack];
+    // Back to front, so a run of selected blocks moves together
+    for (let i = 1; i < newStack.length; i++) {
+      if (isSelected(newStack[i]) && !isSelected(newStack[i - 1])) {
+        [newStack[i], newStack[i - 1]] = [newStack[i - 1], newStack[i]];
+      }
+    }
+    return newStack;
+  });
+}
+
+/**
+ * Moves a block to where another block is in the stack, shifting the blocks in between
+ * @param {State} state - Current application state
+ * @param {{id: number, targetId: number}} payload - Block to move, and the block whose place it takes
+ * @returns {State} Updated state
+ */
+function moveBlockToLayer(state, { id, targetId }) {
+  const currentPage = getCurrentPage(state);
+  if (!currentPage || id === targetId) return state;
+
+  const stack = getStackOrder(currentPage.blocks);
+  const from = stack.findIndex((block) => block.id === id);
+  const to = stack.findIndex((block) => block.id === targetId);
+  if (from === -1 || to === -1) return state;
+
+  const [block] = stack.splice(from, 1);
+  stack.splice(to, 0, block);
+  return restackBlocks(state, stack);
+}
+
+/**
+ * Hides or locks a block, or shows or unlocks it. Hidden and locked blocks can't be selected,
+ * so they're taken out of the selection.
+ * @param {State} state - Current application state
+ * @param {{id: number, flags: {isHidden?: boolean, isLocked?: boolean}}} payload - Block and its new flags
+ * @returns {State} Updated state
+ */
+function setBlockFlags(state, { id, flags }) {
+  const currentPage = getCurrentPage(state);
+  if (!currentPage) return state;
+
+  const isRemoved = flags.isHidden || flags.isLocked;
+  const newState = updateCurrentPage(state, {
+    blocks: currentPage.blocks.map((block) =>
+      block.id === id ? { ...block, ...flags } : block,
+    ),
+    ...(isRemoved
+      ? {
+          selectedIds: currentPage.selectedIds.filter(
+            (selectedId) => selectedId !== id,
+          ),
+          editingId:
+            currentPage.editingId === id ? null : currentPage.editingId,
+          hoveringId:
+            currentPage.hoveringId === id ? null : currentPage.hoveringId,
+        }
+      : {}),
+  });
+  return saveMementoAndReturn(state, newState);
+}
+
+/**
+ * Gets the name a block is listed by: the article it's from, or what kind of block it is
+ * @param {Block} block - Block to name
+ * @returns {string} Layer title
+ */
+function getLayerTitle(block) {
+  const source = block.pageSrc ? block.pageSrc.replace(/_/g, " ") : "";
+  switch (getBlockType(block)) {
+    case "text":
+      return "Note";
+    case "snippet":
+      return source ? `Snippet of ${source}` : "Snippet";
+    case "shape":
+      return block.label || `${block.shape ?? "rectangle"} shape`;
+    case "connector":
+      return block.label || "Connector";
+    default:
+      return source || "Image";
+  }
+}
+
+/**
+ * Creates the small picture of a block shown in its layer
+ * @param {Block} block - Block to show
+ * @returns {import("hyperapp").ElementVNode<State>} Thumbnail element
+ */
+function layerThumbnail(block) {
+  switch (getBlockType(block)) {
+    case "text":
+    case "snippet":
+      // Plain text, so the document's markup never reaches the app document
+      return h(
+        "div",
+        { class: "layer-thumbnail layer-thumbnail-text" },
+        text(
+          getPlainText(block.html ?? "").slice(0, LAYER_THUMBNAIL_TEXT_LENGTH),
+        ),
+      );
+    case "shape":
+    case "connector":
+      return h("img", {
+        class: "layer-thumbnail",
+        src: getShapeImageUrl(block),
+      });
+    default: {
+      const imageSrc = block.imageSrc ?? "";
+      return h("img", {
+        class: "layer-thumbnail",
+        src: imageSrc.startsWith("file://") ? imageSrc : `file://${imageSrc}`,
+      });
+    }
+  }
+}
+
+/**
+ * Creates a block's row in the layers panel, which is dragged to restack the block
+ * @param {Page} page - Current page
+ * @param {Block} block - Block the row is for
+ * @returns {import("hyperapp").ElementVNode<State>} Layer row element
+ */
+function layerRow(page, block) {
+  return h(
+    "div",
+    {
+      key: `layer-${block.id}`,
+      class: {
+        "layer-row": true,
+        selected: page.selectedIds.includes(block.id),
+        hidden: !!block.isHidden,
+        locked: !!block.isLocked,
+      },
+      draggable: "true",
+      title: isBlockSelectable(block)
+        ? "Click to select, drag to restack"
+        : "Drag to restack",
+      onclick: (state, event) => {
+        if (!isBlockSelectable(block)) return state;
+        return event.shiftKey
+          ? toggleBlockSelection(state, block.id)
+          : selectBlock(state, block.id);
+      },
+      ondragstart: (state, event) => {
+        const dataTransfer = /** @type {DragEvent} */ (event).dataTransfer;
+        dataTransfer?.setData(LAYER_DRAG_TYPE, String(block.id));
+        if (dataTransfer) dataTransfer.effectAllowed = "move";
+        return state;
+      },
+      ondragover: (state, event) => {
+        // Only layers can be dropped, not files meant for the canvas
+        if (
+          /** @type {DragEvent} */ (event).dataTransfer?.types.includes(
+            LAYER_DRAG_TYPE,
+          )
+        ) {
+          event.preventDefault();
+        }
+        return state;
+      },
+      ondrop: (state, event) => {
+        event.preventDefault();
+        const id = Number(
+          /** @type {DragEvent} */ (event).dataTransfer?.getData(
+            LAYER_DRAG_TYPE,
+          ),
+        );
+        return id ? moveBlockToLayer(state, { id, targetId: block.id }) : state;
+      },
+    },
+    [
+      layerThumbnail(block),
+      h("span", { class: "layer-title" }, text(getLayerTitle(block))),
+      h(
+        "button",
+        {
+          title: block.isHidden ? "Show this block" : "Hide this block",
+          onclick: (state, event) => {
+            event.stopPropagation();
+            return setBlockFlags(state, {
+              id: block.id,
+              flags: { isHidden: !block.isHidden },
+            });
+          },
+        },
+        text(block.isHidden ? "show" : "hide"),
+      ),
+      h(
+        "button",
+        {
+          title: block.isLocked
+            ? "Unlock this block"
+            : "Lock this block so it can't be selected or moved on the canvas",
+          onclick: (state, event) => {
+            event.stopPropagation();
+            return setBlockFlags(state, {
+              id: block.id,
+              flags: { isLocked: !block.isLocked },
+            });
+          },
+        },
+        text(block.isLocked ? "unlock" : "lock"),
+      ),
+    ],
+  );
+}
+
+/**
+ * Creates the layers panel, listing the current page's blocks front to back
+ * @param {State} state - Current application state
+ * @returns {import("hyperapp").ElementVNode<State> | null} Layers panel element, or null without a page
+ */
+export function layersPanel(state) {
+  const currentPage = getCurrentPage(state);
+  if (!currentPage) return null;
+
+  // Open and closed by the browser, so the panel stays as the user left it
+  return h("details", { class: "layers-list" }, [
+    h("summary", {}, text(`Layers (${currentPage.blocks.length})`)),
+    h(
+      "div",
+      { class: "layer-rows" },
+      getStackOrder(currentPage.blocks)
+        .reverse()
+        .map((block) => layerRow(currentPage, block)),
+    ),
+  ]);
+}
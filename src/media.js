@@ -0,0 +1,256 @@
+import { h, text } from "./packages/hyperapp/index.js";
+import { MEDIA_SAVE_PATH } from "./constants.js";
+import { showNotification } from "./utils.js";
+
+const BYTE_UNITS = ["B", "KB", "MB", "GB"];
+
+/**
+ * Formats a size in bytes for display, e.g. "1.4 MB"
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Formatted size
+ */
+export function formatBytes(bytes) {
+  let size = bytes;
+  let unit = 0;
+  while (size >= 1024 && unit < BYTE_UNITS.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? size : size.toFixed(1)} ${BYTE_UNITS[unit]}`;
+}
+
+/**
+ * Gets the image sources blocks in the open document use, including blocks only in the
+ * undo history or the clipboard, so undoing or pasting never shows a deleted image
+ * @param {State} state - Current application state
+ * @returns {string[]} Image sources
+ */
+function getReferencedImageSrcs(state) {
+  const { undoStack, redoStack } = state.mementoManager;
+  const pages = [
+    ...state.pages,
+    ...[...undoStack, ...redoStack].flatMap((memento) => memento.pages),
+  ];
+  const blocks = [
+    ...pages.flatMap((page) => page.blocks),
+    ...(state.clipboard ?? []),
+  ];
+  return [
+    ...new Set(
+      blocks.flatMap((block) => (block.imageSrc ? [block.imageSrc] : [])),
+    ),
+  ];
+}
+
+/**
+ * Gets what the main process needs to tell which media files are in use. It adds the images
+ * of recent documents itself.
+ * @param {State} state - Current application state
+ * @returns {{imageSrcs: string[]}} Image sources in use
+ */
+function getMediaUsage(state) {
+  return { imageSrcs: getReferencedImageSrcs(state) };
+}
+
+// -----------------------------
+// ## Media Library View
+// -----------------------------
+
+/**
+ * Opens the media library view and scans the media directory
+ * @param {State} state - Current application state
+ * @returns {import("hyperapp").Dispatchable<State>} State with scan effect
+ */
+export function openMediaLibrary(state) {
+  return [
+    { ...state, mediaLibrary: { report: null, error: null } },
+    [loadMediaLibraryEffect, getMediaUsage(state)],
+  ];
+}
+
+/**
+ * Closes the media library view
+ * @param {State} state - Current application state
+ * @returns {State} Updated state
+ */
+export function closeMediaLibrary(state) {
+  return { ...state, mediaLibrary: null };
+}
+
+/**
+ * Shows the result of scanning the media directory, if the view is still open
+ * @param {State} state - Current application state
+ * @param {{report: MediaLibraryReport|null, error: string|null}} result - Scan result
+ * @returns {State} Updated state
+ */
+function mediaLibraryLoaded(state, result) {
+  if (!state.mediaLibrary) return state;
+  return { ...state, mediaLibrary: result };
+}
+
+/**
+ * Effect that scans the media directory for disk usage and unused files
+ * @param {import("hyperapp").Dispatch<State>} dispatch
+ * @param {{imageSrcs: string[]}} usage - Media in use
+ */
+async function loadMediaLibraryEffect(dispatch, { imageSrcs }) {
+  try {
+    // @ts-ignore
+    const { success, error, ...report } = await window.fileAPI.getMediaLibrary(
+      MEDIA_SAVE_PATH,
+      imageSrcs,
+    );
+    dispatch(
+      mediaLibraryLoaded,
+      success ? { report, error: null } : { report: null, error },
+    );
+  } catch (error) {
+    console.error("Failed to scan media library:", error);
+    dispatch(mediaLibraryLoaded, {
+      report: null,
+      error: "Failed to scan media library",
+    });
+  }
+}
+
+/**
+ * Effect that moves media files no block uses to the trash, after asking for confirmation
+ * @param {import("hyperapp").Dispatch<State>} dispatch
+ * @param {{report: MediaLibraryReport, usage: {imageSrcs: string[]}}} props - Last scan and media in use
+ */
+async function collectGarbageEffect(dispatch, { report, usage }) {
+  const unusedCount = report.files.filter((file) => !file.isReferenced).length;
+
+  try {
+    // @ts-ignore
+    const response = await window.fileAPI.showMessageBox({
+      type: "warning",
+      message: `Move ${unusedCount} unused image${unusedCount === 1 ? "" : "s"} to the trash?`,
+      detail: `This frees ${formatBytes(report.unreferencedBytes)} once the trash is emptied. Images used by documents that aren't in your recent documents list may also be moved, and can be restored from the trash.`,
+      buttons: ["Move to Trash", "Cancel"],
+      defaultId: 1,
+      cancelId: 1,
+    });
+    if (response !== 0) return;
+
+    // @ts-ignore
+    const result = await window.fileAPI.collectMediaGarbage(
+      MEDIA_SAVE_PATH,
+      usage.imageSrcs,
+    );
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    showNotification(
+      dispatch,
+      `Moved ${result.trashedCount} image${result.trashedCount === 1 ? "" : "s"} to the trash, ${formatBytes(result.freedBytes)} in total`,
+    );
+  } catch (error) {
+    console.error("Failed to clean up media:", error);
+    showNotification(dispatch, "Failed to clean up media");
+  }
+
+  await loadMediaLibraryEffect(dispatch, usage);
+}
+
+/**
+ * Creates the summary of the media directory's disk usage
+ * @param {MediaLibraryReport} report - Scan result
+ * @returns {import("hyperapp").ElementVNode<State>} Summary element
+ */
+function mediaLibrarySummary(report) {
+  const unusedCount = report.files.filter((file) => !file.isReferenced).length;
+
+  return h("dl", { class: "media-library-summary" }, [
+    h("dt", {}, text("Images")),
+    h("dd", {}, text(String(report.files.length))),
+    h("dt", {}, text("Disk usage")),
+    h("dd", {}, text(formatBytes(report.totalBytes))),
+    h("dt", {}, text("Unused")),
+    h(
+      "dd",
+      {},
+      text(`${unusedCount} (${formatBytes(report.unreferencedBytes)})`),
+    ),
+    ...(report.duplicateCount > 0
+      ? [
+          h(
+            "dt",
+            { title: "Files saved before identical images were stored once" },
+            text("Duplicate copies"),
+          ),
+          h("dd", {}, text(String(report.duplicateCount))),
+        ]
+      : []),
+  ]);
+}
+
+/**
+ * Creates the media library view, showing disk usage and the images no block uses
+ * @param {State} state - Current application state
+ * @returns {import("hyperapp").ElementVNode<State> | null} Media library element or null if closed
+ */
+export function mediaLibraryView(state) {
+  if (!state.mediaLibrary) return null;
+
+  const { report, error } = state.mediaLibrary;
+  const unusedFiles = report?.files.filter((file) => !file.isReferenced) ?? [];
+
+  return h(
+    "div",
+    {
+      id: "media-library-backdrop",
+      onpointerdown: (state, event) => {
+        event.stopPropagation();
+        return event.target === event.currentTarget
+          ? closeMediaLibrary(state)
+          : state;
+      },
+    },
+    h("div", { id: "media-library-view" }, [
+      h("h2", {}, text("Media library")),
+      error
+        ? h("p", { class: "media-library-message" }, text(error))
+        : !report
+          ? h("p", { class: "media-library-message" }, text("Scanning media…"))
+          : mediaLibrarySummary(report),
+      unusedFiles.length > 0
+        ? h(
+            "ul",
+            { class: "media-library-list" },
+            unusedFiles.map((file) =>
+              h("li", { key: file.name, title: file.path }, [
+                h("img", { src: `file://${file.path}`, alt: "" }),
+                h("span", {}, text(file.name)),
+                h("span", {}, text(formatBytes(file.size))),
+              ]),
+            ),
+          )
+        : null,
+      h("div", { class: "media-library-footer" }, [
+        h(
+          "button",
+          {
+            disabled: unusedFiles.length === 0,
+            onclick: (state) =>
+              report
+                ? [
+                    state,
+                    [
+                      collectGarbageEffect,
+                      { report, usage: getMediaUsage(state) },
+                    ],
+                  ]
+                : state,
+          },
+          text("Move unused images to trash…"),
+        ),
+        h(
+          "button",
+          { onclick: (state) => closeMediaLibrary(state) },
+          text("Close"),
+        ),
+      ]),
+    ]),
+  );
+}
@@ -21,6 +21,9 @@ export function createMemento(state) {
     selectedIds: [],
     dragStart: null,
     resizing: null,
+    editingId: null,
+    enteredGroupId: null,
+    isTextEditorFocused: false,
   }));
 
   return {
@@ -49,6 +52,7 @@ export function saveMementoAndReturn(prevState, newState) {
   return {
     ...newState,
     mementoManager: newMementoManager,
+    isDirty: true,
   };
 }
 
@@ -75,6 +79,7 @@ export function undoState(state) {
     pages: memento.pages,
     currentPageId: memento.currentPageId,
     mementoManager: newMementoManager,
+    isDirty: true,
   };
 }
 
@@ -101,5 +106,6 @@ export function redoState(state) {
     pages: memento.pages,
     currentPageId: memento.currentPageId,
     mementoManager: newMementoManager,
+    isDirty: true,
   };
 }
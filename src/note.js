@@ -0,0 +1,162 @@
+import { h, text } from "./packages/hyperapp/index.js";
+import { NOTE_SIZE } from "./constants.js";
+import { insertBlock } from "./block.js";
+import { saveMementoAndReturn } from "./memento.js";
+import { getCurrentPage, updateCurrentPage } from "./pages.js";
+import { sanitizeRichText } from "./rich-text.js";
+import { getViewportCenterCoordinates } from "./viewport.js";
+
+/**
+ * Look of a note, shared by the canvas and exports
+ * @type {Record<string, string>}
+ */
+const NOTE_STYLE = {
+  boxSizing: "border-box",
+  width: "100%",
+  height: "100%",
+  padding: "12px",
+  overflow: "hidden",
+  overflowWrap: "break-word",
+  background: "#fff6b3",
+  color: "#222",
+  fontFamily: "sans-serif",
+  fontSize: "16px",
+  lineHeight: "1.4",
+};
+
+/**
+ * Effect that focuses a note's editor once it's rendered, with the caret after its text
+ * @param {import("hyperapp").Dispatch<State>} dispatch
+ * @param {number} blockId - ID of the note being edited
+ */
+export function focusNoteEditorEffect(dispatch, blockId) {
+  requestAnimationFrame(() => {
+    const editor = document.querySelector(`[data-id="${blockId}"] .note-text`);
+    if (!(editor instanceof HTMLElement)) return;
+
+    editor.focus();
+    const selection = window.getSelection();
+    selection?.selectAllChildren(editor);
+    selection?.collapseToEnd();
+  });
+}
+
+/**
+ * Adds an empty note in the middle of the viewport and starts editing it
+ * @param {State} state - Current application state
+ * @returns {import("hyperapp").Dispatchable<State>} Updated state with the new note
+ */
+export function addNote(state) {
+  const viewportCenter = getViewportCenterCoordinates(state);
+  const newState = insertBlock(state, {
+    type: "text",
+    html: "",
+    pageSrc: "",
+    x: viewportCenter.x - NOTE_SIZE.width / 2,
+    y: viewportCenter.y - NOTE_SIZE.height / 2,
+    width: NOTE_SIZE.width,
+    height: NOTE_SIZE.height,
+    viewportPosition: null,
+  });
+
+  const blockId = getCurrentPage(newState)?.selectedIds[0];
+  if (blockId === undefined) return newState;
+  return [
+    updateCurrentPage(newState, { editingId: blockId }),
+    [focusNoteEditorEffect, blockId],
+  ];
+}
+
+/**
+ * Saves the text typed into a note once its editor loses focus
+ * @param {State} state - Current application state
+ * @param {{blockId: number, html: string}} payload - Note and its editor's contents
+ * @returns {State} Updated state
+ */
+function saveNoteText(state, { blockId, html }) {
+  const currentPage = getCurrentPage(state);
+  if (!currentPage) return state;
+
+  const blurredState = updateCurrentPage(state, { isTextEditorFocused: false });
+  const note = currentPage.blocks.find((block) => block.id === blockId);
+  const sanitizedHtml = sanitizeRichText(html);
+  if (!note || note.html === sanitizedHtml) return blurredState;
+
+  return saveMementoAndReturn(
+    state,
+    updateCurrentPage(blurredState, {
+      blocks: currentPage.blocks.map((block) =>
+        block.id === blockId ? { ...block, html: sanitizedHtml } : block,
+      ),
+    }),
+  );
+}
+
+/**
+ * Creates the contents of a note, which are typed into while the note is in edit mode.
+ * The editor's text is only saved to the state when it loses focus, so rendering while
+ * typing doesn't reset the caret.
+ * @param {Block} block - Note to render
+ * @param {boolean} isEditing - Whether the note is in edit mode
+ * @returns {import("hyperapp").ElementVNode<State>} Note element
+ */
+export function noteContents(block, isEditing) {
+  return h("div", {
+    class: { "note-text": true, editing: isEditing },
+    contenteditable: isEditing ? "true" : false,
+    innerHTML: block.html ?? "",
+    style: {
+      ...NOTE_STYLE,
+      pointerEvents: isEditing ? "auto" : "none",
+    },
+    onfocus: (state) => updateCurrentPage(state, { isTextEditorFocused: true }),
+    onblur: (state, event) =>
+      saveNoteText(state, {
+        blockId: block.id,
+        html: /** @type {HTMLElement} */ (event.currentTarget).innerHTML,
+      }),
+    onkeydown: (state, event) => {
+      if (event.key !== "Escape") return state;
+
+      // Escape leaves edit mode instead of deselecting the note
+      event.preventDefault();
+      event.stopPropagation();
+      const editor = /** @type {HTMLElement} */ (event.currentTarget);
+      editor.blur();
+      return updateCurrentPage(
+        saveNoteText(state, { blockId: block.id, html: editor.innerHTML }),
+        { editingId: null },
+      );
+    },
+  });
+}
+
+/**
+ * Creates the button that adds a note
+ * @param {State} state - Current application state
+ * @returns {import("hyperapp").ElementVNode<State>} Add note button
+ */
+export function noteButton(state) {
+  return h(
+    "button",
+    {
+      title: "Add a note to the canvas",
+      onclick: (state) => addNote(state),
+    },
+    text("Note"),
+  );
+}
+
+/**
+ * Renders a note as an SVG image for export, as data URL like the exported block images
+ * @param {Block} block - Note to render
+ * @returns {string} SVG data URL
+ */
+export function getNoteImageUrl(block) {
+  const content = document.createElement("div");
+  Object.assign(content.style, NOTE_STYLE);
+  content.innerHTML = sanitizeRichText(block.html ?? "");
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${block.width}" height="${block.height}"><foreignObject width="100%" height="100%">${new XMLSerializer().serializeToString(content)}</foreignObject></svg>`;
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+}
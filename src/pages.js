@@ -59,6 +59,8 @@ export const defaultPage = {
   isTextEditorFocused: false,
   isInteractMode: false,
   selectedIds: [],
+  groups: [],
+  enteredGroupId: null,
   editingId: null,
   hoveringId: null,
   resizing: null,
@@ -75,6 +77,9 @@ export const defaultPage = {
 }`,
   wikiPage: "Cat",
   wikiViewportPosition: null,
+  wikiRevision: null,
+  wikiRevisionMode: "pinned",
+  wikiHighlight: null,
 };
 
 /**
@@ -180,3 +185,19 @@ export function updateCurrentPage(state, pageData) {
     ),
   };
 }
+
+/**
+ * Shows an article in the current page's wiki viewer
+ * @param {State} state - Current application state
+ * @param {string} wikiPage - Title of the article
+ * @returns {State} Updated state
+ */
+export function showWikiPage(state, wikiPage) {
+  return updateCurrentPage(state, {
+    wikiPage,
+    // Navigating away leaves the pinned revision and highlight behind
+    wikiRevision: null,
+    wikiRevisionMode: "pinned",
+    wikiHighlight: null,
+  });
+}
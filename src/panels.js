@@ -1,14 +1,36 @@
 import { h, text } from "./packages/hyperapp/index.js";
-import { deleteSelectedBlocks, sendToBack, sendToFront } from "./block.js";
+import {
+  deleteSelectedBlocks,
+  getBlockType,
+  resetSelectedBlocksImageSize,
+} from "./block.js";
 import {
   createPage,
   switchPage,
   deletePage,
   renamePage,
   updateCurrentPage,
+  showWikiPage,
   getCurrentPage,
 } from "./pages.js";
 import { getSelectedBlocks } from "./selection.js";
+import { DEFAULT_WIKI_SOURCE } from "./constants.js";
+import { WIKI_SOURCE_PROVIDERS } from "./wiki-sources.js";
+import { captureButton, captureOverlay } from "./capture.js";
+import { noteButton } from "./note.js";
+import { snippetButton, snippetControls } from "./snippet.js";
+import { shapeButtons, shapeControls } from "./shapes.js";
+import { groupButtons } from "./groups.js";
+import { arrangeControls } from "./arrange.js";
+import {
+  bringForward,
+  layersPanel,
+  sendBackward,
+  sendToBack,
+  sendToFront,
+} from "./layers.js";
+import { clipboardImportControls } from "./clipboard-import.js";
+import { imageExportControls } from "./export.js";
 import "./wiki-viewer.js";
 
 /**
@@ -152,6 +174,15 @@ function wikipediaViewer(state) {
 
   return h("wiki-viewer", {
     page: currentPage?.wikiPage,
+    source: JSON.stringify(currentPage?.wikiSource ?? DEFAULT_WIKI_SOURCE),
+    revision: currentPage?.wikiRevision
+      ? JSON.stringify(currentPage.wikiRevision)
+      : null,
+    revisionmode: currentPage?.wikiRevisionMode ?? "pinned",
+    highlight: currentPage?.wikiHighlight
+      ? JSON.stringify(currentPage.wikiHighlight)
+      : null,
+    flashhighlight: "true",
     viewportposition: viewportPosition
       ? JSON.stringify(viewportPosition)
       : null,
@@ -160,16 +191,107 @@ function wikipediaViewer(state) {
       display: "block",
     },
     //@ts-ignore custom `pagechanged` event
-    onpagechanged: (state, event) => {
+    onpagechanged: (state, event) =>
+      showWikiPage(state, /** @type {CustomEvent} */ (event).detail.page),
+    //@ts-ignore custom `revisionmodechanged` event
+    onrevisionmodechanged: (state, event) => {
       const detail = /** @type {CustomEvent} */ (event).detail;
-      const newPage = detail.page;
       return updateCurrentPage(state, {
-        wikiPage: newPage,
+        wikiRevisionMode: detail.mode,
       });
     },
   });
 }
 
+/**
+ * Updates the current page's wiki source
+ * @param {State} state - Current application state
+ * @param {Partial<WikiSource>} sourceData - Source fields to update
+ * @returns {State} Updated state
+ */
+function updateWikiSource(state, sourceData) {
+  const currentPage = getCurrentPage(state);
+  return updateCurrentPage(state, {
+    wikiSource: {
+      ...(currentPage?.wikiSource ?? DEFAULT_WIKI_SOURCE),
+      ...sourceData,
+    },
+  });
+}
+
+/**
+ * Effect that lets the user pick a local directory of wiki HTML files
+ * @param {import("hyperapp").Dispatch<State>} dispatch
+ */
+async function selectWikiDirectoryEffect(dispatch) {
+  try {
+    // @ts-ignore
+    const result = await window.fileAPI.showOpenDialog({
+      properties: ["openDirectory"],
+    });
+    if (result.canceled || result.filePaths.length === 0) return;
+    dispatch((state) =>
+      updateWikiSource(state, { directory: result.filePaths[0] }),
+    );
+  } catch (error) {
+    console.error("Failed to select wiki directory:", error);
+  }
+}
+
+/**
+ * Creates the wiki source controls for choosing where pages are fetched from
+ * @param {State} state - Current application state
+ * @returns {import("hyperapp").ElementVNode<State>} Wiki source controls element
+ */
+function wikiSourceControls(state) {
+  const source = getCurrentPage(state)?.wikiSource ?? DEFAULT_WIKI_SOURCE;
+
+  return h("div", { class: "wiki-source-controls" }, [
+    h(
+      "select",
+      {
+        value: source.type,
+        onchange: (state, event) =>
+          updateWikiSource(state, {
+            type: /** @type {WikiSourceType} */ (
+              /** @type {HTMLSelectElement} */ (event.target).value
+            ),
+          }),
+      },
+      Object.entries(WIKI_SOURCE_PROVIDERS).map(([type, provider]) =>
+        h(
+          "option",
+          { value: type, selected: type === source.type },
+          text(provider.label),
+        ),
+      ),
+    ),
+    source.type === "local"
+      ? h(
+          "button",
+          {
+            title: source.directory || "No directory selected",
+            onclick: (state) => [state, selectWikiDirectoryEffect],
+          },
+          text(source.directory ? "Change directory" : "Choose directory"),
+        )
+      : h("input", {
+          type: "text",
+          value: source.origin,
+          placeholder: DEFAULT_WIKI_SOURCE.origin,
+          onchange: (state, event) =>
+            updateWikiSource(state, {
+              origin:
+                /** @type {HTMLInputElement} */ (event.target).value.trim() ||
+                DEFAULT_WIKI_SOURCE.origin,
+            }),
+        }),
+    captureButton(state),
+    noteButton(state),
+    snippetButton(state),
+  ]);
+}
+
 /**
  * Creates the programs panel on the right side
  * @param {State} state - Current application state
@@ -191,7 +313,19 @@ function rightPanel(state) {
         return state;
       },
     },
-    [wikipediaViewer(state), blockButtons(state)],
+    [
+      wikiSourceControls(state),
+      clipboardImportControls(state),
+      shapeButtons(state),
+      // The capture overlay covers only the viewer, so nothing else in the panel is captured
+      h("div", { class: "wiki-viewer-frame" }, [
+        wikipediaViewer(state),
+        captureOverlay(state),
+      ]),
+      blockButtons(state),
+      layersPanel(state),
+      imageExportControls(state),
+    ],
   );
 }
 
@@ -201,8 +335,12 @@ function rightPanel(state) {
  * @returns {import("hyperapp").ElementVNode<State>} Program buttons element
  */
 function blockButtons(state) {
-  const selectedBlock = getSelectedBlocks(state)[0];
+  const selectedBlocks = getSelectedBlocks(state);
+  const selectedBlock = selectedBlocks[0];
   if (!selectedBlock) return h("div", {});
+  const hasImages = selectedBlocks.some(
+    (block) => getBlockType(block) === "image",
+  );
 
   return h("div", {}, [
     h("div", {}, [
@@ -211,7 +349,7 @@ function blockButtons(state) {
         {
           onclick: (state, event) => {
             event.stopPropagation();
-            return sendToBack(state, selectedBlock.id);
+            return sendToBack(state);
           },
         },
         text("send to back"),
@@ -219,13 +357,63 @@ function blockButtons(state) {
       h(
         "button",
         {
+          title: "Move behind the block behind",
+          onclick: (state, event) => {
+            event.stopPropagation();
+            return sendBackward(state);
+          },
+        },
+        text("send backward"),
+      ),
+      h(
+        "button",
+        {
+          title: "Move in front of the block in front",
           onclick: (state, event) => {
             event.stopPropagation();
-            return sendToFront(state, selectedBlock.id);
+            return bringForward(state);
+          },
+        },
+        text("bring forward"),
+      ),
+      h(
+        "button",
+        {
+          onclick: (state, event) => {
+            event.stopPropagation();
+            return sendToFront(state);
           },
         },
         text("send to front"),
       ),
+      // Notes have no image to take a size from
+      ...(hasImages
+        ? [
+            h(
+              "button",
+              {
+                title: "Resize to the image's size in pixels",
+                onclick: (state, event) => {
+                  event.stopPropagation();
+                  return resetSelectedBlocksImageSize(state, "size");
+                },
+              },
+              text("original size"),
+            ),
+            h(
+              "button",
+              {
+                title: "Fix the height to match the image's proportions",
+                onclick: (state, event) => {
+                  event.stopPropagation();
+                  return resetSelectedBlocksImageSize(state, "aspectRatio");
+                },
+              },
+              text("original aspect ratio"),
+            ),
+          ]
+        : []),
+      ...groupButtons(state),
       h(
         "button",
         {
@@ -237,6 +425,9 @@ function blockButtons(state) {
         text("delete"),
       ),
     ]),
+    arrangeControls(state),
+    shapeControls(state),
+    snippetControls(state),
   ]);
 }
 
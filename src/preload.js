@@ -2,17 +2,47 @@
 // See the Electron documentation for details on how to use preload scripts:
 // https://www.electronjs.org/docs/latest/tutorial/process-model#preload-scripts
 
-const { contextBridge, ipcRenderer } = require("electron");
+const { contextBridge, ipcRenderer, webUtils } = require("electron");
 
 // Expose file operations to renderer process
 contextBridge.exposeInMainWorld("fileAPI", {
-  writeFile: (filename, data) =>
-    ipcRenderer.invoke("file:write", filename, data),
-  readFile: (filename) => ipcRenderer.invoke("file:read", filename),
+  // Files in the user data directory, as contentType "json", "text" or "binary".
+  // These resolve to { success, data } or { success: false, code, error } rather than throwing.
+  writeFile: (filename, data, contentType) =>
+    ipcRenderer.invoke("file:write", filename, data, contentType),
+  readFile: (filename, contentType) =>
+    ipcRenderer.invoke("file:read", filename, contentType),
+  deleteFile: (filename) => ipcRenderer.invoke("file:delete", filename),
   showOpenDialog: (options) =>
     ipcRenderer.invoke("dialog:showOpenDialog", options),
+  showOpenDocumentDialog: () => ipcRenderer.invoke("document:showOpenDialog"),
+  showSaveDocumentDialog: (defaultName, currentPath) =>
+    ipcRenderer.invoke("document:showSaveDialog", defaultName, currentPath),
+  readDocument: (filePath, mediaSavePath) =>
+    ipcRenderer.invoke("document:read", filePath, mediaSavePath),
+  getDocumentModifiedTime: (filePath) =>
+    ipcRenderer.invoke("document:getModifiedTime", filePath),
+  writeDocument: (filePath, data, mediaSavePath) =>
+    ipcRenderer.invoke("document:write", filePath, data, mediaSavePath),
+  confirmUnsavedChanges: (documentName) =>
+    ipcRenderer.invoke("document:confirmUnsavedChanges", documentName),
+  showMessageBox: (options) =>
+    ipcRenderer.invoke("dialog:showMessageBox", options),
+  saveTextFile: (content, options) =>
+    ipcRenderer.invoke("dialog:saveTextFile", content, options),
   uploadImageFromDialog: (mediaSavePath) =>
     ipcRenderer.invoke("image:selectFromDialog", mediaSavePath),
+  // Path of a File from a drop event, empty if it isn't on disk. The main process only
+  // imports files outside the user data directory once they've been dropped.
+  getPathForFile: (file) => {
+    const filePath = webUtils.getPathForFile(file);
+    if (filePath) ipcRenderer.send("file:grantDroppedPath", filePath);
+    return filePath;
+  },
+  importImageFile: (filePath, mediaSavePath) =>
+    ipcRenderer.invoke("image:importFile", filePath, mediaSavePath),
+  saveImageFromUrl: (url, mediaSavePath) =>
+    ipcRenderer.invoke("image:saveFromUrl", url, mediaSavePath),
   saveImageFromBuffer: (imageBuffer, mimeType, mediaSavePath) =>
     ipcRenderer.invoke(
       "image:saveFromBuffer",
@@ -20,10 +50,23 @@ contextBridge.exposeInMainWorld("fileAPI", {
       mimeType,
       mediaSavePath,
     ),
+  captureRegion: (rect, mediaSavePath) =>
+    ipcRenderer.invoke("image:captureRegion", rect, mediaSavePath),
   getImageDimensions: (imagePath) =>
     ipcRenderer.invoke("image:getDimensions", imagePath),
+  getMediaLibrary: (mediaSavePath, imageSrcs) =>
+    ipcRenderer.invoke("media:getLibrary", mediaSavePath, imageSrcs),
+  collectMediaGarbage: (mediaSavePath, imageSrcs) =>
+    ipcRenderer.invoke("media:collectGarbage", mediaSavePath, imageSrcs),
   getSystemTheme: () => ipcRenderer.invoke("theme:getSystemTheme"),
   listDirectory: (dirPath) => ipcRenderer.invoke("file:listDirectory", dirPath),
+  readLocalWikiPage: (directory, title) =>
+    ipcRenderer.invoke("wiki:readLocalPage", directory, title),
+  getCachedWikiPage: (key) => ipcRenderer.invoke("wikiCache:get", key),
+  cacheWikiPage: (key, page) => ipcRenderer.invoke("wikiCache:put", key, page),
+  clearWikiCache: () => ipcRenderer.invoke("wikiCache:clear"),
+  exportPage: (layout, options) =>
+    ipcRenderer.invoke("export:page", layout, options),
 });
 
 contextBridge.exposeInMainWorld("electronAPI", {
@@ -41,4 +84,23 @@ contextBridge.exposeInMainWorld("electronAPI", {
   removeThemeListener: (listener) => {
     ipcRenderer.removeListener("theme-changed", listener);
   },
+  onMenuCommand: (callback) => {
+    const listener = (event, command, arg) => callback(command, arg);
+    ipcRenderer.on("menu:command", listener);
+    return listener; // Return the listener so it can be removed later
+  },
+  removeMenuCommandListener: (listener) => {
+    ipcRenderer.removeListener("menu:command", listener);
+  },
+  watchClipboard: (mediaSavePath) =>
+    ipcRenderer.invoke("clipboard:watch", mediaSavePath),
+  unwatchClipboard: () => ipcRenderer.invoke("clipboard:unwatch"),
+  onClipboardImage: (callback) => {
+    const listener = (event, image) => callback(image);
+    ipcRenderer.on("clipboard:image", listener);
+    return listener; // Return the listener so it can be removed later
+  },
+  removeClipboardImageListener: (listener) => {
+    ipcRenderer.removeListener("clipboard:image", listener);
+  },
 });
@@ -0,0 +1,487 @@
+import { h, text } from "./packages/hyperapp/index.js";
+import { DEFAULT_WIKI_SOURCE } from "./constants.js";
+import { getCurrentPage } from "./pages.js";
+import { showNotification } from "./utils.js";
+import { getWikiArticleUrl } from "./wiki-sources.js";
+
+/** @type {Record<CitationStyle, string>} */
+export const CITATION_STYLE_LABELS = {
+  mla: "MLA",
+  apa: "APA",
+  chicago: "Chicago",
+  bibtex: "BibTeX",
+};
+
+const MONTH_NAMES = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+
+// MLA abbreviates months longer than four letters, and September to "Sept."
+const MLA_MONTH_NAMES = MONTH_NAMES.map((month) =>
+  month === "September"
+    ? "Sept."
+    : month.length > 4
+      ? `${month.slice(0, 3)}.`
+      : month,
+);
+
+// -----------------------------
+// ## Collecting References
+// -----------------------------
+
+/**
+ * Gets the site name and publisher to cite for a wiki source
+ * @param {WikiSource|null|undefined} source - Wiki source configuration
+ * @returns {{siteName: string, publisher: string|null}} Site name and publisher
+ */
+function getWikiSiteInfo(source) {
+  const { type, origin, directory } = source ?? DEFAULT_WIKI_SOURCE;
+  if (type === "local") {
+    return {
+      siteName: directory?.split(/[\\/]/).filter(Boolean).pop() || "Local wiki",
+      publisher: null,
+    };
+  }
+
+  let hostname = origin;
+  try {
+    hostname = new URL(origin).hostname;
+  } catch {}
+  if (/(^|\.)wikipedia\.org$/.test(hostname)) {
+    return { siteName: "Wikipedia", publisher: "Wikimedia Foundation" };
+  }
+  return { siteName: hostname, publisher: null };
+}
+
+/**
+ * Collects the articles the blocks of some pages were captured from, numbered in the order they
+ * were first added. Blocks pinned to different revisions of the same article cite each revision.
+ * @param {Page[]} pages - Pages to collect references for
+ * @returns {Reference[]} References in citation order
+ */
+function collectReferences(pages) {
+  /** @type {Map<string, Reference>} */
+  const references = new Map();
+
+  for (const page of pages) {
+    for (const block of page.blocks) {
+      if (!block.pageSrc) continue;
+
+      const revisionId = block.pageRevision?.id ?? null;
+      const url = getWikiArticleUrl(page.wikiSource, block.pageSrc, revisionId);
+      const existing = references.get(url);
+      if (existing) {
+        existing.blockIds.push(block.id);
+        continue;
+      }
+
+      references.set(url, {
+        number: references.size + 1,
+        title: block.pageSrc.replace(/_/g, " "),
+        url,
+        ...getWikiSiteInfo(page.wikiSource),
+        revisionId,
+        revisionTimestamp: block.pageRevision?.timestamp ?? null,
+        accessedAt: block.pageRevision?.capturedAt ?? null,
+        blockIds: [block.id],
+      });
+    }
+  }
+
+  return [...references.values()];
+}
+
+/**
+ * Collects the articles a page's blocks were captured from
+ * @param {Page} page - Page to collect references for
+ * @returns {Reference[]} References in citation order
+ */
+export function getPageReferences(page) {
+  return collectReferences([page]);
+}
+
+/**
+ * Collects the articles the blocks of every page were captured from
+ * @param {State} state - Current application state
+ * @returns {Reference[]} References in citation order
+ */
+export function getAllReferences(state) {
+  return collectReferences(state.pages);
+}
+
+/**
+ * Gets the reference a block cites
+ * @param {Reference[]} references - References from getPageReferences
+ * @param {number} blockId - Block ID
+ * @returns {Reference|undefined} Reference the block was captured from
+ */
+export function getBlockReference(references, blockId) {
+  return references.find((reference) => reference.blockIds.includes(blockId));
+}
+
+// -----------------------------
+// ## Citation Formats
+// -----------------------------
+
+/**
+ * Parses an ISO timestamp into its UTC date parts
+ * @param {string|null} timestamp - ISO timestamp
+ * @returns {{year: number, month: number, day: number}|null} Date parts, or null if missing or invalid
+ */
+function getDateParts(timestamp) {
+  if (!timestamp) return null;
+  const date = new Date(timestamp);
+  if (Number.isNaN(date.getTime())) return null;
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth(),
+    day: date.getUTCDate(),
+  };
+}
+
+/**
+ * Formats a date as "Month D, YYYY", used by APA and Chicago
+ * @param {{year: number, month: number, day: number}} date - Date parts
+ * @returns {string} Formatted date
+ */
+function formatLongDate({ year, month, day }) {
+  return `${MONTH_NAMES[month]} ${day}, ${year}`;
+}
+
+/**
+ * Removes the protocol from a URL, as MLA recommends
+ * @param {string} url
+ * @returns {string}
+ */
+function stripProtocol(url) {
+  return url.replace(/^https?:\/\//, "");
+}
+
+/**
+ * Escapes LaTeX special characters in a BibTeX field value
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeBibTeX(value) {
+  return value.replace(/[\\{}&%$#_]/g, (char) => `\\${char}`);
+}
+
+/**
+ * @type {Record<CitationStyle, (reference: Reference) => string>}
+ */
+const CITATION_FORMATTERS = {
+  mla(reference) {
+    const revised = getDateParts(reference.revisionTimestamp);
+    const accessed = getDateParts(reference.accessedAt);
+    const parts = [`"${reference.title}." ${reference.siteName}`];
+    if (reference.publisher) parts.push(reference.publisher);
+    if (revised) {
+      parts.push(
+        `${revised.day} ${MLA_MONTH_NAMES[revised.month]} ${revised.year}`,
+      );
+    }
+    parts.push(stripProtocol(reference.url));
+    const citation = `${parts.join(", ")}.`;
+    return accessed
+      ? `${citation} Accessed ${accessed.day} ${MLA_MONTH_NAMES[accessed.month]} ${accessed.year}.`
+      : citation;
+  },
+
+  apa(reference) {
+    const revised = getDateParts(reference.revisionTimestamp);
+    const accessed = getDateParts(reference.accessedAt);
+    const date = revised
+      ? `${revised.year}, ${MONTH_NAMES[revised.month]} ${revised.day}`
+      : "n.d.";
+    const citation = `${reference.title}. (${date}). In ${reference.siteName}.`;
+    // A permanent link needs no retrieval date, but a link to the latest revision does
+    return reference.revisionId || !accessed
+      ? `${citation} ${reference.url}`
+      : `${citation} Retrieved ${formatLongDate(accessed)}, from ${reference.url}`;
+  },
+
+  chicago(reference) {
+    const revised = getDateParts(reference.revisionTimestamp);
+    const accessed = getDateParts(reference.accessedAt);
+    const parts = [`"${reference.title}." ${reference.siteName}.`];
+    if (revised) parts.push(`Last modified ${formatLongDate(revised)}.`);
+    if (accessed) parts.push(`Accessed ${formatLongDate(accessed)}.`);
+    parts.push(`${reference.url}.`);
+    return parts.join(" ");
+  },
+
+  bibtex(reference) {
+    const revised = getDateParts(reference.revisionTimestamp);
+    const accessed = getDateParts(reference.accessedAt);
+    const key = `wiki:${reference.title.replace(/[^A-Za-z0-9]+/g, "_")}${
+      reference.revisionId ? `_${reference.revisionId}` : ""
+    }`;
+    const notes = [];
+    if (reference.revisionId) notes.push(`Revision ${reference.revisionId}`);
+    if (accessed) {
+      notes.push(
+        `[Online; accessed ${accessed.day}-${MONTH_NAMES[accessed.month]}-${accessed.year}]`,
+      );
+    }
+
+    const fields = [
+      ["author", `{${escapeBibTeX(reference.siteName)} contributors}`],
+      ["title", `{${escapeBibTeX(reference.title)}}`],
+      ["howpublished", `{${escapeBibTeX(reference.siteName)}}`],
+      ...(reference.publisher
+        ? [["publisher", `{${escapeBibTeX(reference.publisher)}}`]]
+        : []),
+      ...(revised ? [["year", `{${revised.year}}`]] : []),
+      ["url", `{${reference.url}}`],
+      ...(notes.length > 0 ? [["note", `{${notes.join(". ")}}`]] : []),
+    ];
+    return [
+      `@misc{${key},`,
+      ...fields.map(([name, value]) => `  ${name} = ${value},`),
+      "}",
+    ].join("\n");
+  },
+};
+
+/**
+ * Formats a reference as a citation
+ * @param {Reference} reference - Reference to format
+ * @param {CitationStyle} style - Citation style
+ * @returns {string} Formatted citation
+ */
+export function formatCitation(reference, style) {
+  return (CITATION_FORMATTERS[style] ?? CITATION_FORMATTERS.mla)(reference);
+}
+
+/**
+ * Formats references as a bibliography, one citation per entry
+ * @param {Reference[]} references - References to format
+ * @param {CitationStyle} style - Citation style
+ * @returns {string} Formatted bibliography
+ */
+export function formatBibliography(references, style) {
+  return references
+    .map((reference) => formatCitation(reference, style))
+    .join(style === "bibtex" ? "\n\n" : "\n");
+}
+
+// -----------------------------
+// ## References View
+// -----------------------------
+
+/**
+ * Opens the references view
+ * @param {State} state - Current application state
+ * @returns {State} Updated state
+ */
+export function openReferencesView(state) {
+  return { ...state, referencesView: { scope: "page" } };
+}
+
+/**
+ * Closes the references view
+ * @param {State} state - Current application state
+ * @returns {State} Updated state
+ */
+export function closeReferencesView(state) {
+  return { ...state, referencesView: null };
+}
+
+/**
+ * Gets the references shown in the references view
+ * @param {State} state - Current application state
+ * @returns {Reference[]} References for the view's scope
+ */
+function getViewReferences(state) {
+  if (state.referencesView?.scope === "all") return getAllReferences(state);
+  const currentPage = getCurrentPage(state);
+  return currentPage ? getPageReferences(currentPage) : [];
+}
+
+/**
+ * Effect that copies text to the clipboard
+ * @param {import("hyperapp").Dispatch<State>} dispatch
+ * @param {string} citation - Text to copy
+ */
+async function copyCitationEffect(dispatch, citation) {
+  try {
+    await navigator.clipboard.writeText(citation);
+    showNotification(dispatch, "Copied to clipboard");
+  } catch (error) {
+    console.error("Failed to copy citation:", error);
+    showNotification(dispatch, "Failed to copy to clipboard");
+  }
+}
+
+/**
+ * Effect that writes a bibliography to a file picked through a save dialog
+ * @param {import("hyperapp").Dispatch<State>} dispatch
+ * @param {{bibliography: string, name: string, style: CitationStyle}} props - Bibliography and default file name
+ */
+async function exportBibliographyEffect(
+  dispatch,
+  { bibliography, name, style },
+) {
+  const extension = style === "bibtex" ? "bib" : "txt";
+  try {
+    // @ts-ignore
+    const result = await window.fileAPI.saveTextFile(bibliography, {
+      title: "Export references",
+      defaultPath: `${name}.${extension}`,
+      filters: [
+        style === "bibtex"
+          ? { name: "BibTeX", extensions: ["bib"] }
+          : { name: "Text", extensions: ["txt"] },
+      ],
+    });
+    if (result.canceled) return;
+    showNotification(
+      dispatch,
+      result.success ? "References exported" : "Failed to export references",
+    );
+  } catch (error) {
+    console.error("Failed to export references:", error);
+    showNotification(dispatch, "Failed to export references");
+  }
+}
+
+/**
+ * Creates the references view listing citations for the current page or all pages
+ * @param {State} state - Current application state
+ * @returns {import("hyperapp").ElementVNode<State> | null} References view element or null if closed
+ */
+export function referencesView(state) {
+  if (!state.referencesView) return null;
+
+  const { scope } = state.referencesView;
+  const style = state.citationStyle;
+  const references = getViewReferences(state);
+  const bibliography = formatBibliography(references, style);
+  const exportName =
+    scope === "all"
+      ? "References"
+      : `${getCurrentPage(state)?.name ?? "Page"} references`;
+
+  return h(
+    "div",
+    {
+      id: "references-backdrop",
+      onpointerdown: (state, event) => {
+        event.stopPropagation();
+        return event.target === event.currentTarget
+          ? closeReferencesView(state)
+          : state;
+      },
+    },
+    h("div", { id: "references-view" }, [
+      h("div", { class: "references-header" }, [
+        h("h2", {}, text("References")),
+        h(
+          "select",
+          {
+            value: scope,
+            onchange: (state, event) => ({
+              ...state,
+              referencesView: {
+                scope: /** @type {ReferencesScope} */ (
+                  /** @type {HTMLSelectElement} */ (event.target).value
+                ),
+              },
+            }),
+          },
+          [
+            h(
+              "option",
+              { value: "page", selected: scope === "page" },
+              text("This page"),
+            ),
+            h(
+              "option",
+              { value: "all", selected: scope === "all" },
+              text("All pages"),
+            ),
+          ],
+        ),
+        h(
+          "select",
+          {
+            value: style,
+            onchange: (state, event) => ({
+              ...state,
+              citationStyle: /** @type {CitationStyle} */ (
+                /** @type {HTMLSelectElement} */ (event.target).value
+              ),
+            }),
+          },
+          Object.entries(CITATION_STYLE_LABELS).map(([value, label]) =>
+            h("option", { value, selected: value === style }, text(label)),
+          ),
+        ),
+      ]),
+      references.length === 0
+        ? h(
+            "p",
+            { class: "references-empty" },
+            text("No blocks have a source article yet"),
+          )
+        : h(
+            "ol",
+            { class: "references-list" },
+            references.map((reference) => {
+              const citation = formatCitation(reference, style);
+              return h("li", { key: reference.url }, [
+                h("pre", {}, text(citation)),
+                h(
+                  "button",
+                  {
+                    title: "Copy citation",
+                    onclick: (state) => [state, [copyCitationEffect, citation]],
+                  },
+                  text("Copy"),
+                ),
+              ]);
+            }),
+          ),
+      h("div", { class: "references-footer" }, [
+        h(
+          "button",
+          {
+            disabled: references.length === 0,
+            onclick: (state) => [state, [copyCitationEffect, bibliography]],
+          },
+          text("Copy all"),
+        ),
+        h(
+          "button",
+          {
+            disabled: references.length === 0,
+            onclick: (state) => [
+              state,
+              [
+                exportBibliographyEffect,
+                { bibliography, name: exportName, style },
+              ],
+            ],
+          },
+          text("Export…"),
+        ),
+        h(
+          "button",
+          { onclick: (state) => closeReferencesView(state) },
+          text("Close"),
+        ),
+      ]),
+    ]),
+  );
+}
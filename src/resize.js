@@ -11,6 +11,7 @@ import {
   getSelectedBlocks,
   selectBlock,
 } from "./selection.js";
+import { routeConnectors } from "./shapes.js";
 
 /**
  * @type {Record<ResizeString, ResizeHandler>}
@@ -318,31 +319,34 @@ export function handleResizePointerMove(state, event) {
     const scaleY = newBBox.height / page.resizing.startHeight;
 
     return updateCurrentPage(state, {
-      blocks: blocks.map((block) => {
-        const originalBlock = page.resizing?.originalBlocks?.find(
-          (o) => o.id === block.id,
-        );
-        if (!originalBlock) return block;
-        if (!page.resizing) return block; //possibly redundant
-
-        const relativeX =
-          (originalBlock.x - page.resizing.startX) / page.resizing.startWidth;
-        const relativeY =
-          (originalBlock.y - page.resizing.startY) / page.resizing.startHeight;
-
-        const newWidth = Math.max(MIN_SIZE, originalBlock.width * scaleX);
-        const newHeight = Math.max(MIN_SIZE, originalBlock.height * scaleY);
-        const newX = newBBox.x + relativeX * newBBox.width;
-        const newY = newBBox.y + relativeY * newBBox.height;
-
-        return {
-          ...block,
-          x: newX,
-          y: newY,
-          width: newWidth,
-          height: newHeight,
-        };
-      }),
+      blocks: routeConnectors(
+        blocks.map((block) => {
+          const originalBlock = page.resizing?.originalBlocks?.find(
+            (o) => o.id === block.id,
+          );
+          if (!originalBlock) return block;
+          if (!page.resizing) return block; //possibly redundant
+
+          const relativeX =
+            (originalBlock.x - page.resizing.startX) / page.resizing.startWidth;
+          const relativeY =
+            (originalBlock.y - page.resizing.startY) /
+            page.resizing.startHeight;
+
+          const newWidth = Math.max(MIN_SIZE, originalBlock.width * scaleX);
+          const newHeight = Math.max(MIN_SIZE, originalBlock.height * scaleY);
+          const newX = newBBox.x + relativeX * newBBox.width;
+          const newY = newBBox.y + relativeY * newBBox.height;
+
+          return {
+            ...block,
+            x: newX,
+            y: newY,
+            width: newWidth,
+            height: newHeight,
+          };
+        }),
+      ),
     });
   }
 
@@ -357,10 +361,12 @@ export function handleResizePointerMove(state, event) {
   const finalHeight = Math.max(MIN_SIZE, newDimensions.height);
 
   return updateCurrentPage(state, {
-    blocks: blocks.map((b) =>
-      b.id == page.resizing?.id
-        ? { ...b, ...newDimensions, width: finalWidth, height: finalHeight }
-        : b,
+    blocks: routeConnectors(
+      blocks.map((b) =>
+        b.id == page.resizing?.id
+          ? { ...b, ...newDimensions, width: finalWidth, height: finalHeight }
+          : b,
+      ),
     ),
   });
 }
@@ -0,0 +1,186 @@
+// Elements kept in rich text. Others are replaced by their contents, so text pasted from a
+// web page keeps its words but not its scripts, styles or layout.
+const ALLOWED_ELEMENTS = [
+  "A",
+  "B",
+  "BLOCKQUOTE",
+  "BR",
+  "DIV",
+  "EM",
+  "H1",
+  "H2",
+  "H3",
+  "I",
+  "LI",
+  "OL",
+  "P",
+  "S",
+  "STRIKE",
+  "STRONG",
+  "SUB",
+  "SUP",
+  "U",
+  "UL",
+];
+
+// Elements removed along with their contents
+const DROPPED_ELEMENTS = [
+  "SCRIPT",
+  "STYLE",
+  "TEMPLATE",
+  "IFRAME",
+  "OBJECT",
+  "EMBED",
+  "SVG",
+  "MATH",
+];
+
+/**
+ * Copies the allowed parts of a node's children into a parent
+ * @param {Node} source - Node whose children are copied
+ * @param {Node} target - Node the copies are appended to
+ */
+function copyAllowedChildren(source, target) {
+  for (const child of Array.from(source.childNodes)) {
+    if (child.nodeType === Node.TEXT_NODE) {
+      target.appendChild(document.createTextNode(child.textContent ?? ""));
+      continue;
+    }
+    if (child.nodeType !== Node.ELEMENT_NODE) continue;
+
+    const element = /** @type {Element} */ (child);
+    if (DROPPED_ELEMENTS.includes(element.tagName)) continue;
+    if (!ALLOWED_ELEMENTS.includes(element.tagName)) {
+      copyAllowedChildren(element, target);
+      continue;
+    }
+
+    // Attributes are dropped, except web links
+    const copy = document.createElement(element.tagName);
+    const href = element.getAttribute("href");
+    if (element.tagName === "A" && href && /^https?:/i.test(href)) {
+      copy.setAttribute("href", href);
+    }
+    copyAllowedChildren(element, copy);
+    target.appendChild(copy);
+  }
+}
+
+/**
+ * Sanitizes rich text HTML, keeping only basic formatting, lists and web links
+ * @param {string} html - Untrusted HTML, e.g. from a note editor or a saved document
+ * @returns {string} Sanitized HTML
+ */
+export function sanitizeRichText(html) {
+  const source = new DOMParser().parseFromString(html, "text/html").body;
+  const target = document.createElement("div");
+  copyAllowedChildren(source, target);
+  return target.innerHTML;
+}
+
+/**
+ * Gets the text of HTML without its markup. The HTML is parsed into a separate document, so
+ * nothing in it runs or loads.
+ * @param {string} html - HTML, e.g. a note or snippet
+ * @returns {string} Text with runs of whitespace collapsed
+ */
+export function getPlainText(html) {
+  const body = new DOMParser().parseFromString(html, "text/html").body;
+  return (body.textContent ?? "").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Checks whether rich text has no visible text
+ * @param {string} html - Sanitized HTML
+ * @returns {boolean} Whether the text is empty
+ */
+export function isRichTextEmpty(html) {
+  return getPlainText(html) === "";
+}
+
+// Elements removed from article HTML, which can run code, load other pages or style the app
+const UNSAFE_ARTICLE_ELEMENTS = [
+  "script",
+  "style",
+  "link",
+  "iframe",
+  "frame",
+  "object",
+  "embed",
+  "base",
+  "meta",
+  "form",
+  // SVG animations can set an attribute like href to a javascript: URL
+  "animate",
+  "animateTransform",
+  "set",
+].join(", ");
+
+// Attributes holding URLs, which are only kept with a safe scheme
+const URL_ATTRIBUTES = [
+  "href",
+  "xlink:href",
+  "src",
+  "srcset",
+  "action",
+  "formaction",
+  "poster",
+  "background",
+  "cite",
+];
+
+// Schemes article links and images may use. URLs without a scheme are relative.
+const SAFE_URL_SCHEMES = ["http:", "https:", "mailto:"];
+
+/**
+ * Checks whether a URL in article HTML is relative or uses a safe scheme. Browsers ignore
+ * control characters and whitespace in a scheme, e.g. "java\tscript:", so those are removed first.
+ * @param {string} url - Attribute value
+ * @returns {boolean} Whether the URL is safe to keep
+ */
+export function isSafeUrl(url) {
+  const scheme = url
+    .replace(/[\u0000-\u0020\u007f]/g, "")
+    .match(/^[a-z][a-z0-9+.-]*:/i)?.[0];
+  return !scheme || SAFE_URL_SCHEMES.includes(scheme.toLowerCase());
+}
+
+/**
+ * Checks whether a URL attribute is safe to keep. Every candidate of a srcset is checked.
+ * @param {Attr} attribute - URL attribute
+ * @returns {boolean} Whether the attribute is safe to keep
+ */
+function isSafeUrlAttribute(attribute) {
+  if (attribute.name.toLowerCase() !== "srcset") {
+    return isSafeUrl(attribute.value);
+  }
+  return attribute.value
+    .split(",")
+    .every((candidate) => isSafeUrl(candidate.trim().split(/\s+/)[0]));
+}
+
+/**
+ * Sanitizes article HTML, e.g. an excerpt saved in a document. Unlike rich text, the article's
+ * markup is kept for its layout, only elements that run code or load pages and styles, event
+ * handlers and URLs with unsafe schemes are removed.
+ * @param {string} html - Untrusted article HTML
+ * @returns {string} Sanitized HTML
+ */
+export function sanitizeArticleHtml(html) {
+  const body = new DOMParser().parseFromString(html, "text/html").body;
+  body
+    .querySelectorAll(UNSAFE_ARTICLE_ELEMENTS)
+    .forEach((element) => element.remove());
+  for (const element of Array.from(body.querySelectorAll("*"))) {
+    for (const attribute of Array.from(element.attributes)) {
+      const name = attribute.name.toLowerCase();
+      if (
+        name.startsWith("on") ||
+        (URL_ATTRIBUTES.includes(name) && !isSafeUrlAttribute(attribute))
+      ) {
+        element.removeAttribute(attribute.name);
+      }
+    }
+  }
+  return body.innerHTML;
+}
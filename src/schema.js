@@ -0,0 +1,564 @@
+import { defaultPage } from "./pages.js";
+import { migrateViewportPosition } from "./text-anchor.js";
+import { sanitizeArticleHtml, sanitizeRichText } from "./rich-text.js";
+import { removeEmptyGroups } from "./groups.js";
+
+// -----------------------------
+// ## Migrations
+// -----------------------------
+
+/**
+ * Migrations in order, each upgrading data saved at the previous version to its own.
+ * Data saved before versioning existed is version 0.
+ * To change the shape of saved data, add a migration to the end rather than editing an existing
+ * one. New optional fields and block types don't need one, as bumping the version makes older
+ * versions of the app refuse the data.
+ * @type {SchemaMigration[]}
+ */
+const migrations = [
+  {
+    version: 1,
+    description: "Viewport positions are text anchors instead of CSS selectors",
+    migrate: (data) =>
+      mapSavedPages(data, (page) => ({
+        ...page,
+        wikiViewportPosition: migrateViewportPosition(
+          page.wikiViewportPosition,
+        ),
+        blocks: Array.isArray(page.blocks)
+          ? page.blocks.map((/** @type {any} */ block) => ({
+              ...block,
+              viewportPosition: migrateViewportPosition(
+                block?.viewportPosition,
+              ),
+            }))
+          : page.blocks,
+      })),
+  },
+];
+
+/** Schema version of data saved by this version of the app */
+export const SCHEMA_VERSION = migrations[migrations.length - 1].version;
+
+/**
+ * Applies a function to each page in saved data, leaving data without pages alone
+ * @param {any} data - Saved session or document
+ * @param {(page: any) => any} fn - Function to apply to each page object
+ * @returns {any} Data with updated pages
+ */
+function mapSavedPages(data, fn) {
+  if (!Array.isArray(data.pages)) return data;
+  return {
+    ...data,
+    pages: data.pages.map((/** @type {any} */ page) =>
+      isPlainObject(page) ? fn(page) : page,
+    ),
+  };
+}
+
+/**
+ * Upgrades saved data to the current schema version
+ * @param {any} data - Saved session or document
+ * @returns {any} Data at the current schema version
+ */
+function migrate(data) {
+  const version = data.schemaVersion ?? 0;
+  if (!Number.isInteger(version) || version < 0) {
+    throw new Error(`Unknown schema version ${JSON.stringify(version)}`);
+  }
+  if (version > SCHEMA_VERSION) {
+    throw new Error(
+      `Saved by a newer version of Wiki Collage (schema ${version}, this version supports up to ${SCHEMA_VERSION}).`,
+    );
+  }
+
+  let migrated = data;
+  for (const migration of migrations) {
+    if (migration.version <= version) continue;
+    try {
+      migrated = migration.migrate(migrated);
+    } catch (error) {
+      throw new Error(
+        `Couldn't upgrade to schema ${migration.version} (${migration.description}): ${error instanceof Error ? error.message : error}`,
+      );
+    }
+  }
+  return { ...migrated, schemaVersion: SCHEMA_VERSION };
+}
+
+// -----------------------------
+// ## Validation
+// -----------------------------
+
+/**
+ * Expected types of saved Page properties, mirroring the typedef in types.js.
+ * Missing or invalid properties are reset to their value in `defaultPage`.
+ * @type {Record<string, string>}
+ */
+const PAGE_FIELDS = {
+  name: "string",
+  blocks: "array",
+  offsetX: "number",
+  offsetY: "number",
+  zoom: "number",
+  mouseX: "number",
+  mouseY: "number",
+  cursorStyle: "string",
+  isViewportDragging: "boolean",
+  isTextEditorFocused: "boolean",
+  isInteractMode: "boolean",
+  selectedIds: "array",
+  previewSelectedIds: "array",
+  groups: "array",
+  enteredGroupId: "number|null",
+  editingId: "number|null",
+  hoveringId: "number|null",
+  resizing: "object|null",
+  dragStart: "object|null",
+  selectionBox: "object|null",
+  css: "string",
+  wikiPage: "string",
+  wikiViewportPosition: "object|null",
+  wikiSource: "object|undefined",
+  wikiRevision: "object|null|undefined",
+  wikiRevisionMode: "string|undefined",
+  wikiHighlight: "object|null|undefined",
+};
+
+/**
+ * Block properties a block can't be shown without. Blocks missing any are removed.
+ * @type {Record<string, string>}
+ */
+const REQUIRED_BLOCK_FIELDS = {
+  x: "number",
+  y: "number",
+  width: "number",
+  height: "number",
+};
+
+/**
+ * Properties each type of block can't be shown without, see BlockType.
+ * Blocks of other types, e.g. from a newer version, are removed.
+ * @type {Record<BlockType, Record<string, string>>}
+ */
+const BLOCK_TYPE_FIELDS = {
+  image: { imageSrc: "string" },
+  text: { html: "string" },
+  shape: { shape: "string" },
+  connector: { fromId: "number", toId: "number" },
+  snippet: { html: "string" },
+};
+
+/**
+ * Expected types and defaults of the other saved Block properties, mirroring the typedef in types.js
+ * @type {Record<string, {type: string, default: any}>}
+ */
+const OPTIONAL_BLOCK_FIELDS = {
+  zIndex: { type: "number", default: 0 },
+  pageSrc: { type: "string", default: "" },
+  viewportPosition: { type: "object|null", default: null },
+  pageRevision: { type: "object|null|undefined", default: undefined },
+  sourceRegion: { type: "object|null|undefined", default: undefined },
+  route: { type: "object|undefined", default: undefined },
+  strokeColor: { type: "string|undefined", default: undefined },
+  fillColor: { type: "string|null|undefined", default: undefined },
+  label: { type: "string|undefined", default: undefined },
+  arrowStart: { type: "boolean|undefined", default: undefined },
+  arrowEnd: { type: "boolean|undefined", default: undefined },
+  isFlipped: { type: "boolean|undefined", default: undefined },
+  isLive: { type: "boolean|undefined", default: undefined },
+  groupId: { type: "number|null|undefined", default: undefined },
+  isHidden: { type: "boolean|undefined", default: undefined },
+  isLocked: { type: "boolean|undefined", default: undefined },
+};
+
+/**
+ * Expected types of saved session settings. Invalid settings fall back to their defaults.
+ * @type {Record<string, string>}
+ */
+const SESSION_FIELDS = {
+  isDarkMode: "boolean",
+  panelsVisible: "boolean",
+  programsPanelWidth: "number",
+  programFilter: "string",
+  clipboardImport: "object",
+  maxImageBlockSize: "number",
+  imageExportOptions: "object",
+  citationStyle: "string",
+  documentPath: "string|null",
+};
+
+/**
+ * @param {any} value
+ * @returns {boolean} Whether the value is a non-null, non-array object
+ */
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Checks a value against a type like "number|null"
+ * @param {any} value - Value to check
+ * @param {string} type - Allowed types separated by "|"
+ * @returns {boolean} Whether the value has one of the types
+ */
+function matchesType(value, type) {
+  return type.split("|").some((allowed) => {
+    switch (allowed) {
+      case "null":
+        return value === null;
+      case "array":
+        return Array.isArray(value);
+      case "object":
+        return isPlainObject(value);
+      case "number":
+        return typeof value === "number" && Number.isFinite(value);
+      default:
+        return typeof value === allowed;
+    }
+  });
+}
+
+/**
+ * Validates a saved block, filling in defaults for missing properties
+ * @param {any} block - Saved block
+ * @param {string} label - Where the block is, for repair messages
+ * @param {string[]} repairs - Repairs made, appended to
+ * @returns {Block|null} Repaired block, or null if it can't be shown
+ */
+function validateBlock(block, label, repairs) {
+  if (!isPlainObject(block)) {
+    repairs.push(`Removed ${label}, which isn't a block`);
+    return null;
+  }
+  const blockType = block.type ?? "image";
+  if (!Object.hasOwn(BLOCK_TYPE_FIELDS, blockType)) {
+    repairs.push(
+      `Removed ${label}, which has unknown type ${JSON.stringify(blockType)}`,
+    );
+    return null;
+  }
+  const requiredFields = {
+    ...REQUIRED_BLOCK_FIELDS,
+    ...BLOCK_TYPE_FIELDS[/** @type {BlockType} */ (blockType)],
+  };
+  for (const [key, type] of Object.entries(requiredFields)) {
+    if (!matchesType(block[key], type)) {
+      repairs.push(`Removed ${label}, which has no valid ${key}`);
+      return null;
+    }
+  }
+
+  const repaired = { ...block };
+  // Notes and snippets are shown as HTML, so scripts in saved files are removed,
+  // and only formatting is kept from notes
+  if (blockType === "text") {
+    repaired.html = sanitizeRichText(block.html);
+  } else if (blockType === "snippet") {
+    repaired.html = sanitizeArticleHtml(block.html);
+  }
+  for (const [key, field] of Object.entries(OPTIONAL_BLOCK_FIELDS)) {
+    if (matchesType(repaired[key], field.type)) continue;
+    if (repaired[key] !== undefined) {
+      repairs.push(`Reset invalid ${key} of ${label}`);
+    }
+    repaired[key] = field.default;
+  }
+  return repaired;
+}
+
+/**
+ * Validates a saved page and its blocks, filling in defaults for missing properties
+ * @param {any} page - Saved page
+ * @param {number} index - Position of the page, for repair messages
+ * @param {string[]} repairs - Repairs made, appended to
+ * @returns {Page|null} Repaired page, or null if it isn't a page
+ */
+function validatePage(page, index, repairs) {
+  if (!isPlainObject(page)) {
+    repairs.push(`Removed page ${index + 1}, which isn't a page`);
+    return null;
+  }
+
+  const label =
+    typeof page.name === "string" ? `page "${page.name}"` : `page ${index + 1}`;
+  const repaired = { ...page };
+  if (typeof repaired.id !== "string" || !repaired.id) {
+    repairs.push(`Gave ${label} a missing ID`);
+    repaired.id = crypto.randomUUID();
+  }
+  for (const [key, type] of Object.entries(PAGE_FIELDS)) {
+    if (matchesType(repaired[key], type)) continue;
+    // Properties added since the page was saved are expected to be missing
+    if (repaired[key] !== undefined) {
+      repairs.push(`Reset invalid ${key} of ${label}`);
+    }
+    repaired[key] = /** @type {any} */ (defaultPage)[key];
+  }
+  // Nothing is being typed into after loading, even if something was when the page was saved
+  repaired.isTextEditorFocused = false;
+
+  repaired.blocks = repaired.blocks
+    .map((/** @type {any} */ block, /** @type {number} */ i) =>
+      validateBlock(block, `block ${i + 1} on ${label}`, repairs),
+    )
+    .filter(Boolean);
+
+  // Connectors can't be shown without both of the blocks they connect
+  const blockIds = new Set(
+    repaired.blocks.map((/** @type {Block} */ block) => block.id),
+  );
+  repaired.blocks = repaired.blocks.filter((/** @type {Block} */ block) => {
+    if (
+      block.type !== "connector" ||
+      (blockIds.has(block.fromId) && blockIds.has(block.toId))
+    ) {
+      return true;
+    }
+    repairs.push(
+      `Removed a connector on ${label}, which connects a missing block`,
+    );
+    return false;
+  });
+
+  repaired.groups = validateGroups(repaired, label, repairs);
+  return repaired;
+}
+
+/**
+ * Validates the groups on a saved page, moving blocks out of missing groups and breaking loops of nested groups
+ * @param {any} page - Saved page, with validated blocks whose groupId is updated
+ * @param {string} label - Page name, for repair messages
+ * @param {string[]} repairs - Repairs made, appended to
+ * @returns {BlockGroup[]} Repaired groups, without empty ones
+ */
+function validateGroups(page, label, repairs) {
+  /** @type {BlockGroup[]} */
+  const groups = [];
+  for (const group of page.groups) {
+    if (
+      !isPlainObject(group) ||
+      !Number.isInteger(group.id) ||
+      groups.some(({ id }) => id === group.id)
+    ) {
+      repairs.push(`Removed an invalid group on ${label}`);
+      continue;
+    }
+    groups.push({
+      id: group.id,
+      parentId: typeof group.parentId === "number" ? group.parentId : null,
+    });
+  }
+
+  // Groups nested in a missing group, or in themselves through a loop, move to the top level
+  const groupIds = new Set(groups.map((group) => group.id));
+  for (const group of groups) {
+    /** @type {Set<number>} */
+    const visitedIds = new Set([group.id]);
+    let parentId = group.parentId;
+    while (
+      parentId !== null &&
+      groupIds.has(parentId) &&
+      !visitedIds.has(parentId)
+    ) {
+      visitedIds.add(parentId);
+      parentId =
+        groups.find((parent) => parent.id === parentId)?.parentId ?? null;
+    }
+    if (parentId !== null) {
+      repairs.push(`Moved a group on ${label} out of a missing group`);
+      group.parentId = null;
+    }
+  }
+
+  page.blocks = page.blocks.map((/** @type {Block} */ block) => {
+    if (block.groupId == null || groupIds.has(block.groupId)) return block;
+    repairs.push(`Moved a block on ${label} out of a missing group`);
+    return { ...block, groupId: null };
+  });
+  return removeEmptyGroups(groups, page.blocks);
+}
+
+/**
+ * Validates saved pages, giving duplicated page and block IDs fresh ones
+ * @param {any[]} savedPages - Saved pages
+ * @param {string[]} repairs - Repairs made, appended to
+ * @returns {Page[]} Repaired pages
+ */
+function validatePages(savedPages, repairs) {
+  const pages = /** @type {Page[]} */ (
+    savedPages
+      .map((page, index) => validatePage(page, index, repairs))
+      .filter(Boolean)
+  );
+
+  // Block IDs are unique across pages, see addBlock
+  const pageIds = new Set();
+  const blockIds = new Set();
+  let nextBlockId =
+    Math.max(
+      0,
+      ...pages.flatMap((page) =>
+        page.blocks.map((block) => (Number.isInteger(block.id) ? block.id : 0)),
+      ),
+    ) + 1;
+
+  return pages.map((page) => {
+    const id = pageIds.has(page.id) ? crypto.randomUUID() : page.id;
+    if (id !== page.id) {
+      repairs.push(`Gave page "${page.name}" a new ID, its ID was duplicated`);
+    }
+    pageIds.add(id);
+
+    const blocks = page.blocks.map((block) => {
+      if (Number.isInteger(block.id) && !blockIds.has(block.id)) {
+        blockIds.add(block.id);
+        return block;
+      }
+      repairs.push(`Gave a block on page "${page.name}" a new ID`);
+      blockIds.add(nextBlockId);
+      return { ...block, id: nextBlockId++ };
+    });
+    return { ...page, id, blocks };
+  });
+}
+
+/**
+ * Picks the page to show, falling back to the first
+ * @param {Page[]} pages - Validated pages
+ * @param {any} currentPageId - Saved current page ID
+ * @returns {string} ID of a page in `pages`
+ */
+function validateCurrentPageId(pages, currentPageId) {
+  return pages.some((page) => page.id === currentPageId)
+    ? currentPageId
+    : pages[0].id;
+}
+
+// -----------------------------
+// ## Loading
+// -----------------------------
+
+/**
+ * Migrates and validates a saved document
+ * @param {any} data - Parsed document file
+ * @returns {LoadResult<CollageDocument>} Document at the current schema, or why it can't be loaded
+ */
+export function loadDocumentData(data) {
+  try {
+    if (!isPlainObject(data)) {
+      throw new Error("The file doesn't contain a collage.");
+    }
+    const migrated = migrate(data);
+    if (!Array.isArray(migrated.pages)) {
+      throw new Error("The file has no pages.");
+    }
+
+    /** @type {string[]} */
+    const repairs = [];
+    const pages = validatePages(migrated.pages, repairs);
+    if (pages.length === 0) {
+      throw new Error("None of the file's pages could be read.");
+    }
+    return {
+      success: true,
+      data: {
+        schemaVersion: SCHEMA_VERSION,
+        pages,
+        currentPageId: validateCurrentPageId(pages, migrated.currentPageId),
+      },
+      repairs,
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error instanceof Error ? error.message : String(error),
+    };
+  }
+}
+
+/**
+ * Migrates and validates a saved session. Invalid settings are dropped so their defaults apply.
+ * @param {any} data - Parsed session file
+ * @returns {LoadResult<Partial<State>>} Session at the current schema, or why it can't be loaded
+ */
+export function loadSessionData(data) {
+  try {
+    if (!isPlainObject(data)) {
+      throw new Error("The session file is damaged and couldn't be read.");
+    }
+    const { schemaVersion, ...session } = migrate(data);
+    // Recent documents are kept by the main process, which only lists files it has opened
+    delete session.recentDocuments;
+
+    /** @type {string[]} */
+    const repairs = [];
+    for (const [key, type] of Object.entries(SESSION_FIELDS)) {
+      if (key in session && !matchesType(session[key], type)) {
+        repairs.push(`Reset invalid setting ${key}`);
+        delete session[key];
+      }
+    }
+
+    // Pages are only saved in the session while the document is untitled
+    if ("pages" in session) {
+      const pages = Array.isArray(session.pages)
+        ? validatePages(session.pages, repairs)
+        : [];
+      if (pages.length === 0) {
+        repairs.push("Replaced unreadable pages with a new page");
+        delete session.pages;
+        delete session.currentPageId;
+      } else {
+        session.pages = pages;
+        session.currentPageId = validateCurrentPageId(
+          pages,
+          session.currentPageId,
+        );
+      }
+    }
+
+    return { success: true, data: session, repairs };
+  } catch (error) {
+    return {
+      success: false,
+      error: error instanceof Error ? error.message : String(error),
+    };
+  }
+}
+
+/**
+ * Tells the user a file was repaired or couldn't be loaded
+ * @param {string} message - What was being loaded, e.g. `Couldn't open "Trip"`
+ * @param {string} detail - Error, or list of repairs
+ * @returns {Promise<void>}
+ */
+export async function showLoadProblem(message, detail) {
+  try {
+    // @ts-ignore
+    await window.fileAPI.showMessageBox({
+      type: "warning",
+      message,
+      detail,
+      buttons: ["OK"],
+    });
+  } catch (error) {
+    console.error("Failed to show load problem:", error);
+  }
+}
+
+/**
+ * Formats repairs for a message box, listing the first few
+ * @param {string[]} repairs - Repairs made while loading
+ * @returns {string} Repairs, one per line
+ */
+export function formatRepairs(repairs) {
+  const MAX_LISTED_REPAIRS = 8;
+  const listed = repairs
+    .slice(0, MAX_LISTED_REPAIRS)
+    .map((repair) => `• ${repair}`);
+  if (repairs.length > MAX_LISTED_REPAIRS) {
+    listed.push(`…and ${repairs.length - MAX_LISTED_REPAIRS} more`);
+  }
+  return listed.join("\n");
+}
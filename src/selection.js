@@ -6,6 +6,16 @@ import {
   getCurrentViewport,
 } from "./pages.js";
 import { RESIZE_HANDLERS, ResizeHandle } from "./resize.js";
+import { expandToGroups, getEnteredGroupIdForSelection } from "./groups.js";
+
+/**
+ * Checks if a block can be selected, which hidden and locked blocks can't
+ * @param {Block} block - Block to check
+ * @returns {boolean} True if the block can be selected
+ */
+export function isBlockSelectable(block) {
+  return !block.isHidden && !block.isLocked;
+}
 
 /**
  * Checks if a block is currently selected
@@ -83,6 +93,25 @@ export function hasSelection(state) {
   return (currentPage?.selectedIds?.length ?? 0) > 0;
 }
 
+/**
+ * Selects blocks along with the rest of the groups they're in, leaving the entered group
+ * unless they're all inside it
+ * @param {State} state - Current application state
+ * @param {number[]} blockIds - IDs of blocks to select
+ * @returns {State} Updated state with the blocks selected
+ */
+function selectBlocksInGroups(state, blockIds) {
+  const currentPage = getCurrentPage(state);
+  if (!currentPage) return state;
+
+  const enteredGroupId = getEnteredGroupIdForSelection(currentPage, blockIds);
+  return updateCurrentPage(state, {
+    selectedIds: expandToGroups({ ...currentPage, enteredGroupId }, blockIds),
+    enteredGroupId,
+    editingId: null, // Exit edit mode when selecting
+  });
+}
+
 /**
  * Selects a block (replaces current selection for single-select behavior)
  * @param {State} state - Current application state
@@ -90,10 +119,7 @@ export function hasSelection(state) {
  * @returns {State} Updated state with block selected
  */
 export function selectBlock(state, blockId) {
-  return updateCurrentPage(state, {
-    selectedIds: [blockId],
-    editingId: null, // Exit edit mode when selecting
-  });
+  return selectBlocksInGroups(state, [blockId]);
 }
 
 /**
@@ -104,6 +130,7 @@ export function selectBlock(state, blockId) {
 export function deselectAllBlocks(state) {
   return updateCurrentPage(state, {
     selectedIds: [],
+    enteredGroupId: null,
     editingId: null,
   });
 }
@@ -143,14 +170,11 @@ export function addBlockToSelection(state, blockId) {
     return state; // Already selected
   }
 
-  return updateCurrentPage(state, {
-    selectedIds: [...currentSelectedIds, blockId],
-    editingId: null, // Exit edit mode when selecting
-  });
+  return selectBlocksInGroups(state, [...currentSelectedIds, blockId]);
 }
 
 /**
- * Removes a block from the current selection (for multi-select)
+ * Removes a block from the current selection (for multi-select), along with the rest of its group
  * @param {State} state - Current application state
  * @param {number} blockId - ID of block to remove from selection
  * @returns {State} Updated state with block removed from selection
@@ -160,7 +184,10 @@ export function removeBlockFromSelection(state, blockId) {
   if (!currentPage) return state;
 
   const currentSelectedIds = currentPage.selectedIds || [];
-  const newSelectedIds = currentSelectedIds.filter((id) => id !== blockId);
+  const removedIds = expandToGroups(currentPage, [blockId]);
+  const newSelectedIds = currentSelectedIds.filter(
+    (id) => !removedIds.includes(id),
+  );
 
   return updateCurrentPage(state, {
     selectedIds: newSelectedIds,
@@ -188,7 +215,15 @@ export function toggleBlockSelection(state, blockId) {
  * @returns {{x: number, y: number, width: number, height: number} | null} Bounding box or null if no selection
  */
 export function getSelectionBoundingBox(state) {
-  const selectedBlocks = getSelectedBlocks(state);
+  return getBlocksBoundingBox(getSelectedBlocks(state));
+}
+
+/**
+ * Calculates the bounding box that encompasses blocks
+ * @param {Block[]} selectedBlocks - Blocks to encompass
+ * @returns {{x: number, y: number, width: number, height: number} | null} Bounding box or null if there are no blocks
+ */
+export function getBlocksBoundingBox(selectedBlocks) {
   if (selectedBlocks.length === 0) {
     return null;
   }
@@ -271,10 +306,14 @@ export function selectionBoxComponent(state) {
  * @returns {State} Updated state with blocks selected
  */
 export function handleSelectionBoxComplete(state, selectionBox) {
+  const currentPage = getCurrentPage(state);
+  if (!currentPage) return state;
+
   const newSelectedIds = calculatePreviewSelection(state, selectionBox);
 
   return updateCurrentPage(state, {
     selectedIds: newSelectedIds,
+    enteredGroupId: getEnteredGroupIdForSelection(currentPage, newSelectedIds),
     previewSelectedIds: [], // Clear preview after selection is finalized
   });
 }
@@ -297,7 +336,7 @@ export function calculatePreviewSelection(state, selectionBox) {
   const maxY = Math.max(selectionBox.startY, selectionBox.currentY);
 
   // Find blocks that intersect with selection rectangle
-  const blocks = getCurrentBlocks(state);
+  const blocks = getCurrentBlocks(state).filter(isBlockSelectable);
   const intersectingBlockIds = blocks
     .filter((block) => {
       // Check if block intersects with selection rectangle
@@ -315,14 +354,18 @@ export function calculatePreviewSelection(state, selectionBox) {
 
   // Return preview selection based on current selection and shift key
   const currentSelectedIds = currentPage.selectedIds || [];
-
-  if (state.isShiftPressed) {
-    // Shift+drag: add to existing selection
-    return [...new Set([...currentSelectedIds, ...intersectingBlockIds])];
-  } else {
-    // Regular drag: replace selection
-    return intersectingBlockIds;
-  }
+  const selectedIds = state.isShiftPressed
+    ? // Shift+drag: add to existing selection
+      [...new Set([...currentSelectedIds, ...intersectingBlockIds])]
+    : // Regular drag: replace selection
+      intersectingBlockIds;
+
+  // Grouped blocks are selected with the rest of their groups
+  const enteredGroupId = getEnteredGroupIdForSelection(
+    currentPage,
+    selectedIds,
+  );
+  return expandToGroups({ ...currentPage, enteredGroupId }, selectedIds);
 }
 
 /**
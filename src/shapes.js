@@ -0,0 +1,474 @@
+import { h, text } from "./packages/hyperapp/index.js";
+import { SHAPE_SIZE } from "./constants.js";
+import { getBlockType, insertBlock } from "./block.js";
+import { saveMementoAndReturn } from "./memento.js";
+import {
+  getCurrentBlocks,
+  getCurrentPage,
+  updateCurrentPage,
+} from "./pages.js";
+import { getSelectedBlocks } from "./selection.js";
+import { getViewportCenterCoordinates } from "./viewport.js";
+
+const DEFAULT_STROKE_COLOR = "#333333";
+const DEFAULT_FILL_COLOR = "#dbeafe";
+const STROKE_WIDTH = 3;
+const ARROW_LENGTH = 14;
+const LABEL_FONT_SIZE = 16;
+// Room around a connector's line for its arrowheads and label
+const CONNECTOR_PADDING = 24;
+// Width of the invisible line lines and connectors are clicked on by, so thin lines are easy to hit
+const HIT_STROKE_WIDTH = 16;
+
+/** @type {Array<{shape: ShapeKind, label: string, hasArrow: boolean}>} */
+const SHAPE_BUTTONS = [
+  { shape: "rectangle", label: "Rectangle", hasArrow: false },
+  { shape: "ellipse", label: "Ellipse", hasArrow: false },
+  { shape: "line", label: "Line", hasArrow: false },
+  { shape: "line", label: "Arrow", hasArrow: true },
+];
+
+/**
+ * Checks whether a block is only drawn as a line, so it's only clicked on by its line
+ * rather than its whole bounding box, which would cover the blocks beneath
+ * @param {Block} block - Block to check
+ * @returns {boolean} Whether the block is a line or connector
+ */
+export function isLineBlock(block) {
+  const type = getBlockType(block);
+  return type === "connector" || (type === "shape" && block.shape === "line");
+}
+
+// -----------------------------
+// ## Connector Routing
+// -----------------------------
+
+/**
+ * Gets where a line from a block's center towards a point leaves the block
+ * @param {Block} block - Block the line starts in
+ * @param {{x: number, y: number}} toward - Point the line heads towards
+ * @returns {{x: number, y: number}} Point on the block's edge, or the point itself if it's inside the block
+ */
+function getEdgePoint(block, toward) {
+  const centerX = block.x + block.width / 2;
+  const centerY = block.y + block.height / 2;
+  const dx = toward.x - centerX;
+  const dy = toward.y - centerY;
+  const scale = Math.min(
+    1,
+    dx === 0 ? Infinity : block.width / 2 / Math.abs(dx),
+    dy === 0 ? Infinity : block.height / 2 / Math.abs(dy),
+  );
+  return { x: centerX + dx * scale, y: centerY + dy * scale };
+}
+
+/**
+ * Routes a connector straight between the edges of the blocks it connects
+ * @param {Block} connector - Connector to route
+ * @param {Block} from - Block the connector starts at
+ * @param {Block} to - Block the connector ends at
+ * @returns {Block} Connector with its route and bounding box updated
+ */
+function routeConnector(connector, from, to) {
+  const start = getEdgePoint(from, {
+    x: to.x + to.width / 2,
+    y: to.y + to.height / 2,
+  });
+  const end = getEdgePoint(to, {
+    x: from.x + from.width / 2,
+    y: from.y + from.height / 2,
+  });
+
+  return {
+    ...connector,
+    x: Math.min(start.x, end.x) - CONNECTOR_PADDING,
+    y: Math.min(start.y, end.y) - CONNECTOR_PADDING,
+    width: Math.abs(end.x - start.x) + CONNECTOR_PADDING * 2,
+    height: Math.abs(end.y - start.y) + CONNECTOR_PADDING * 2,
+    route: { x1: start.x, y1: start.y, x2: end.x, y2: end.y },
+  };
+}
+
+/**
+ * Re-routes connectors between the blocks they connect, after blocks are moved or resized.
+ * Connectors whose blocks were deleted are removed.
+ * @param {Block[]} blocks - Blocks on a page
+ * @returns {Block[]} Blocks with connectors routed
+ */
+export function routeConnectors(blocks) {
+  const blocksById = new Map(blocks.map((block) => [block.id, block]));
+  return blocks.flatMap((block) => {
+    if (getBlockType(block) !== "connector") return [block];
+
+    const from = blocksById.get(/** @type {number} */ (block.fromId));
+    const to = blocksById.get(/** @type {number} */ (block.toId));
+    return from && to ? [routeConnector(block, from, to)] : [];
+  });
+}
+
+// -----------------------------
+// ## Drawing
+// -----------------------------
+
+/**
+ * @param {string} value
+ * @returns {string} Value escaped for SVG markup
+ */
+function escapeXml(value) {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Draws an arrowhead pointing at the end of a line
+ * @param {{x: number, y: number}} tip - End of the line the arrowhead points at
+ * @param {{x: number, y: number}} from - Other end of the line
+ * @param {string} color - Arrowhead color
+ * @returns {string} SVG polygon
+ */
+function arrowhead(tip, from, color) {
+  const angle = Math.atan2(tip.y - from.y, tip.x - from.x);
+  const spread = Math.PI / 7;
+  const points = [
+    tip,
+    {
+      x: tip.x - ARROW_LENGTH * Math.cos(angle - spread),
+      y: tip.y - ARROW_LENGTH * Math.sin(angle - spread),
+    },
+    {
+      x: tip.x - ARROW_LENGTH * Math.cos(angle + spread),
+      y: tip.y - ARROW_LENGTH * Math.sin(angle + spread),
+    },
+  ];
+  return `<polygon points="${points.map((point) => `${point.x},${point.y}`).join(" ")}" fill="${color}"/>`;
+}
+
+/**
+ * Draws a line with its arrowheads and an invisible wider line to click it by
+ * @param {Block} block - Line or connector
+ * @param {{x: number, y: number}} start - Start of the line in block coordinates
+ * @param {{x: number, y: number}} end - End of the line in block coordinates
+ * @param {string} color - Line color
+ * @returns {string[]} SVG elements
+ */
+function lineElements(block, start, end, color) {
+  const coordinates = `x1="${start.x}" y1="${start.y}" x2="${end.x}" y2="${end.y}"`;
+  return [
+    `<line class="shape-hit" ${coordinates} stroke="transparent" stroke-width="${HIT_STROKE_WIDTH}"/>`,
+    `<line ${coordinates} stroke="${color}" stroke-width="${STROKE_WIDTH}" stroke-linecap="round"/>`,
+    ...(block.arrowStart ? [arrowhead(start, end, color)] : []),
+    ...(block.arrowEnd ? [arrowhead(end, start, color)] : []),
+  ];
+}
+
+/**
+ * Draws a shape or connector as SVG markup, used on the canvas and in exports
+ * @param {Block} block - Shape or connector block
+ * @returns {string} SVG markup sized to the block
+ */
+export function getShapeSvg(block) {
+  const { width, height } = block;
+  const color = escapeXml(block.strokeColor ?? DEFAULT_STROKE_COLOR);
+  const fill = block.fillColor ? escapeXml(block.fillColor) : "none";
+  const inset = STROKE_WIDTH / 2;
+
+  /** @type {string[]} */
+  const elements = [];
+  // Where the label goes, with a halo so it reads over the line
+  let labelPosition = { x: width / 2, y: height / 2 };
+  let hasLabelHalo = false;
+
+  if (getBlockType(block) === "connector") {
+    const route = block.route ?? {
+      x1: block.x,
+      y1: block.y,
+      x2: block.x + width,
+      y2: block.y + height,
+    };
+    const start = { x: route.x1 - block.x, y: route.y1 - block.y };
+    const end = { x: route.x2 - block.x, y: route.y2 - block.y };
+    elements.push(...lineElements(block, start, end, color));
+    labelPosition = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+    hasLabelHalo = true;
+  } else if (block.shape === "line") {
+    const start = { x: 0, y: block.isFlipped ? height : 0 };
+    const end = { x: width, y: block.isFlipped ? 0 : height };
+    elements.push(...lineElements(block, start, end, color));
+    hasLabelHalo = true;
+  } else if (block.shape === "ellipse") {
+    elements.push(
+      `<ellipse cx="${width / 2}" cy="${height / 2}" rx="${Math.max(0, width / 2 - inset)}" ry="${Math.max(0, height / 2 - inset)}" fill="${fill}" stroke="${color}" stroke-width="${STROKE_WIDTH}"/>`,
+    );
+  } else {
+    elements.push(
+      `<rect x="${inset}" y="${inset}" width="${Math.max(0, width - STROKE_WIDTH)}" height="${Math.max(0, height - STROKE_WIDTH)}" rx="4" fill="${fill}" stroke="${color}" stroke-width="${STROKE_WIDTH}"/>`,
+    );
+  }
+
+  if (block.label) {
+    const halo = hasLabelHalo
+      ? ` stroke="#ffffff" stroke-width="4" paint-order="stroke"`
+      : "";
+    elements.push(
+      `<text x="${labelPosition.x}" y="${labelPosition.y}" text-anchor="middle" dominant-baseline="central" font-family="sans-serif" font-size="${LABEL_FONT_SIZE}" fill="${color}"${halo}>${escapeXml(block.label)}</text>`,
+    );
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" overflow="visible">${elements.join("")}</svg>`;
+}
+
+/**
+ * Renders a shape or connector as an SVG image for export, as a data URL like the exported block images
+ * @param {Block} block - Shape or connector block
+ * @returns {string} SVG data URL
+ */
+export function getShapeImageUrl(block) {
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(getShapeSvg(block))}`;
+}
+
+/**
+ * Creates the contents of a shape or connector block
+ * @param {Block} block - Shape or connector block
+ * @returns {import("hyperapp").ElementVNode<State>} Shape element
+ */
+export function shapeContents(block) {
+  return h("div", {
+    class: "shape",
+    innerHTML: getShapeSvg(block),
+  });
+}
+
+// -----------------------------
+// ## Actions
+// -----------------------------
+
+/**
+ * Adds a shape in the middle of the viewport
+ * @param {State} state - Current application state
+ * @param {{shape: ShapeKind, hasArrow: boolean}} options - Shape to add, and whether a line ends in an arrowhead
+ * @returns {State} Updated state with the new shape selected
+ */
+function addShape(state, { shape, hasArrow }) {
+  const viewportCenter = getViewportCenterCoordinates(state);
+  return insertBlock(state, {
+    type: "shape",
+    shape,
+    strokeColor: DEFAULT_STROKE_COLOR,
+    ...(shape === "line"
+      ? { arrowStart: false, arrowEnd: hasArrow, isFlipped: false }
+      : { fillColor: null }),
+    label: "",
+    pageSrc: "",
+    x: viewportCenter.x - SHAPE_SIZE.width / 2,
+    y: viewportCenter.y - SHAPE_SIZE.height / 2,
+    width: SHAPE_SIZE.width,
+    height: SHAPE_SIZE.height,
+    viewportPosition: null,
+  });
+}
+
+/**
+ * Gets the two selected blocks a connector can be added between
+ * @param {State} state - Current application state
+ * @returns {[Block, Block]|null} Blocks in the order they were selected, or null unless exactly two are selected
+ */
+function getConnectableBlocks(state) {
+  const currentPage = getCurrentPage(state);
+  if (!currentPage) return null;
+
+  const blocks = currentPage.selectedIds
+    .map((id) => currentPage.blocks.find((block) => block.id === id))
+    .filter((block) => block && getBlockType(block) !== "connector");
+  return blocks.length === 2 ? /** @type {[Block, Block]} */ (blocks) : null;
+}
+
+/**
+ * Connects the two selected blocks with an arrow from the first selected to the second
+ * @param {State} state - Current application state
+ * @returns {State} Updated state with the new connector selected
+ */
+function connectSelectedBlocks(state) {
+  const connectable = getConnectableBlocks(state);
+  if (!connectable) return state;
+
+  const [from, to] = connectable;
+  const { id, zIndex, ...connector } = routeConnector(
+    {
+      id: -1,
+      zIndex: 0,
+      type: "connector",
+      fromId: from.id,
+      toId: to.id,
+      strokeColor: DEFAULT_STROKE_COLOR,
+      arrowStart: false,
+      arrowEnd: true,
+      label: "",
+      pageSrc: "",
+      x: 0,
+      y: 0,
+      width: 0,
+      height: 0,
+      viewportPosition: null,
+    },
+    from,
+    to,
+  );
+  return insertBlock(state, connector);
+}
+
+/**
+ * Updates the look of a shape or connector
+ * @param {State} state - Current application state
+ * @param {{id: number, props: Partial<Block>}} payload - Block to update and its new properties
+ * @returns {State} Updated state
+ */
+function updateShape(state, { id, props }) {
+  const newState = updateCurrentPage(state, {
+    blocks: getCurrentBlocks(state).map((block) =>
+      block.id === id ? { ...block, ...props } : block,
+    ),
+  });
+  return saveMementoAndReturn(state, newState);
+}
+
+// -----------------------------
+// ## Controls
+// -----------------------------
+
+/**
+ * Creates the buttons that add shapes, and connect the two selected blocks
+ * @param {State} state - Current application state
+ * @returns {import("hyperapp").ElementVNode<State>} Shape buttons element
+ */
+export function shapeButtons(state) {
+  return h("div", { class: "shape-buttons" }, [
+    ...SHAPE_BUTTONS.map((button) =>
+      h(
+        "button",
+        {
+          title: `Add a ${button.label.toLowerCase()} to the canvas`,
+          onclick: (state) => addShape(state, button),
+        },
+        text(button.label),
+      ),
+    ),
+    h(
+      "button",
+      {
+        title: "Select two blocks to connect them with an arrow",
+        disabled: !getConnectableBlocks(state),
+        onclick: (state) => connectSelectedBlocks(state),
+      },
+      text("Connect"),
+    ),
+  ]);
+}
+
+/**
+ * Creates the controls for the label, colors and arrowheads of the selected shape or connector
+ * @param {State} state - Current application state
+ * @returns {import("hyperapp").ElementVNode<State> | null} Shape controls element, or null unless one shape or connector is selected
+ */
+export function shapeControls(state) {
+  const selectedBlocks = getSelectedBlocks(state);
+  const block = selectedBlocks.length === 1 ? selectedBlocks[0] : null;
+  const type = block ? getBlockType(block) : null;
+  if (!block || (type !== "shape" && type !== "connector")) return null;
+
+  const isLine = isLineBlock(block);
+
+  /**
+   * @param {Partial<Block>} props
+   * @returns {import("hyperapp").Dispatchable<State>}
+   */
+  const update = (props) => [updateShape, { id: block.id, props }];
+
+  return h("div", { class: "shape-controls" }, [
+    h("input", {
+      type: "text",
+      placeholder: "Label",
+      value: block.label ?? "",
+      onchange: (state, event) =>
+        update({
+          label: /** @type {HTMLInputElement} */ (event.target).value,
+        }),
+    }),
+    h("input", {
+      type: "color",
+      title: "Line color",
+      value: block.strokeColor ?? DEFAULT_STROKE_COLOR,
+      onchange: (state, event) =>
+        update({
+          strokeColor: /** @type {HTMLInputElement} */ (event.target).value,
+        }),
+    }),
+    ...(isLine
+      ? [
+          h("label", { title: "Arrowhead at the start" }, [
+            h("input", {
+              type: "checkbox",
+              checked: !!block.arrowStart,
+              onchange: (state, event) =>
+                update({
+                  arrowStart: /** @type {HTMLInputElement} */ (event.target)
+                    .checked,
+                }),
+            }),
+            text("Start arrow"),
+          ]),
+          h("label", { title: "Arrowhead at the end" }, [
+            h("input", {
+              type: "checkbox",
+              checked: !!block.arrowEnd,
+              onchange: (state, event) =>
+                update({
+                  arrowEnd: /** @type {HTMLInputElement} */ (event.target)
+                    .checked,
+                }),
+            }),
+            text("End arrow"),
+          ]),
+        ]
+      : [
+          h("label", { title: "Fill the shape" }, [
+            h("input", {
+              type: "checkbox",
+              checked: !!block.fillColor,
+              onchange: (state, event) =>
+                update({
+                  fillColor: /** @type {HTMLInputElement} */ (event.target)
+                    .checked
+                    ? DEFAULT_FILL_COLOR
+                    : null,
+                }),
+            }),
+            text("Fill"),
+          ]),
+          block.fillColor
+            ? h("input", {
+                type: "color",
+                title: "Fill color",
+                value: block.fillColor,
+                onchange: (state, event) =>
+                  update({
+                    fillColor: /** @type {HTMLInputElement} */ (event.target)
+                      .value,
+                  }),
+              })
+            : null,
+        ]),
+    type === "shape" && block.shape === "line"
+      ? h(
+          "button",
+          {
+            title: "Run the line across the other diagonal",
+            onclick: () => update({ isFlipped: !block.isFlipped }),
+          },
+          text("Flip"),
+        )
+      : null,
+  ]);
+}
@@ -0,0 +1,300 @@
+import { h, text } from "./packages/hyperapp/index.js";
+import { DEFAULT_WIKI_SOURCE, SNIPPET_SIZE } from "./constants.js";
+import { getBlockType, insertBlock } from "./block.js";
+import { saveMementoAndReturn } from "./memento.js";
+import {
+  getCurrentBlocks,
+  getCurrentPage,
+  showWikiPage,
+  updateCurrentPage,
+} from "./pages.js";
+import { getSelectedBlocks } from "./selection.js";
+import { showNotification } from "./utils.js";
+import { getViewportCenterCoordinates } from "./viewport.js";
+import { WIKI_CONTENT_STYLES, loadWikiPageContent } from "./wiki-viewer.js";
+import { extractArticleExcerpt } from "./wiki-snippet.js";
+
+/**
+ * Adds a snippet of the passage taken from the wiki viewer in the middle of the viewport
+ * @param {State} state - Current application state
+ * @param {{html: string, pageRevision: PageRevision, sourceRegion: SourceRegion, viewportPosition: ViewportAnchor|null}} payload - Excerpt and where it was taken from
+ * @returns {State} Updated state with the new snippet selected
+ */
+function addSnippet(
+  state,
+  { html, pageRevision, sourceRegion, viewportPosition },
+) {
+  const currentPage = getCurrentPage(state);
+  if (!currentPage) return state;
+
+  const viewportCenter = getViewportCenterCoordinates(state);
+  return insertBlock(state, {
+    type: "snippet",
+    html,
+    isLive: true,
+    pageSrc: currentPage.wikiPage,
+    pageRevision,
+    sourceRegion,
+    x: viewportCenter.x - SNIPPET_SIZE.width / 2,
+    y: viewportCenter.y - SNIPPET_SIZE.height / 2,
+    width: SNIPPET_SIZE.width,
+    height: SNIPPET_SIZE.height,
+    viewportPosition,
+  });
+}
+
+/**
+ * Effect that takes the selected text in the wiki viewer, or the passage in view, as a snippet
+ * @param {import("hyperapp").Dispatch<State>} dispatch
+ */
+function addSnippetEffect(dispatch) {
+  const wikiViewer =
+    /** @type {import("./wiki-viewer.js").WikiViewer | null} */ (
+      document.querySelector("wiki-viewer")
+    );
+  if (!wikiViewer || wikiViewer.loading) {
+    showNotification(dispatch, "Wait for the article to load");
+    return;
+  }
+  if (wikiViewer.revisionMode === "diff" && wikiViewer.pinnedRevision?.id) {
+    showNotification(dispatch, "Snippets can't be taken from a diff");
+    return;
+  }
+
+  const sourceRegion = wikiViewer.saveSourceRegion();
+  const html = sourceRegion
+    ? extractArticleExcerpt(wikiViewer.content, sourceRegion)
+    : null;
+  if (!html) {
+    showNotification(dispatch, "Couldn't find a passage to take a snippet of");
+    return;
+  }
+
+  dispatch(addSnippet, {
+    html,
+    pageRevision: wikiViewer.getPageRevision(),
+    sourceRegion,
+    viewportPosition: wikiViewer.saveViewportPosition(),
+  });
+}
+
+/**
+ * Replaces a snippet's captured excerpt, keeping the previous one in the undo history
+ * @param {State} state - Current application state
+ * @param {{id: number, html: string, pageRevision: PageRevision}} payload - Snippet and its new excerpt
+ * @returns {State} Updated state
+ */
+function updateSnippetCapture(state, { id, html, pageRevision }) {
+  const newState = updateCurrentPage(state, {
+    blocks: getCurrentBlocks(state).map((block) =>
+      block.id === id ? { ...block, html, pageRevision } : block,
+    ),
+  });
+  return saveMementoAndReturn(state, newState);
+}
+
+/**
+ * Loads the latest revision of a snippet's article and cuts the snippet's passage out of it
+ * @param {Block} block - Snippet
+ * @param {WikiSource} source - Wiki source of the snippet's article
+ * @returns {Promise<{html: string|null, revisionId: number|null, revisionTimestamp: string|null}>} Excerpt, or null html if the passage is gone, and the revision it's from
+ */
+async function loadLatestSnippetExcerpt(block, source) {
+  const loaded = await loadWikiPageContent(source, block.pageSrc, null);
+  return {
+    html: block.sourceRegion
+      ? extractArticleExcerpt(loaded.html, block.sourceRegion)
+      : null,
+    revisionId: loaded.revisionId,
+    revisionTimestamp: loaded.revisionTimestamp,
+  };
+}
+
+/**
+ * Gets a page's blocks with live snippets showing the passage in the latest revision of their
+ * article, as they're shown on the canvas. Snippets whose latest passage can't be loaded keep
+ * their captured excerpt, which the canvas falls back to as well.
+ * @param {Page} page - Page whose blocks to get
+ * @returns {Promise<Block[]>} Blocks with the latest excerpts
+ */
+export async function getBlocksWithLatestSnippets(page) {
+  const source = page.wikiSource ?? DEFAULT_WIKI_SOURCE;
+  return Promise.all(
+    page.blocks.map(async (block) => {
+      if (getBlockType(block) !== "snippet" || !block.isLive) return block;
+      try {
+        const { html } = await loadLatestSnippetExcerpt(block, source);
+        return html ? { ...block, html } : block;
+      } catch (error) {
+        console.warn("Failed to load latest snippet for export:", error);
+        return block;
+      }
+    }),
+  );
+}
+
+/**
+ * Effect that captures the passage of a snippet from the latest revision of its article
+ * @param {import("hyperapp").Dispatch<State>} dispatch
+ * @param {{block: Block, source: WikiSource}} props - Snippet and the wiki source of its article
+ */
+async function captureLatestSnippetEffect(dispatch, { block, source }) {
+  if (!block.sourceRegion) return;
+
+  try {
+    const { html, revisionId, revisionTimestamp } =
+      await loadLatestSnippetExcerpt(block, source);
+    if (!html) {
+      showNotification(
+        dispatch,
+        `The passage is no longer in "${block.pageSrc}"`,
+      );
+      return;
+    }
+
+    dispatch(updateSnippetCapture, {
+      id: block.id,
+      html,
+      pageRevision: {
+        id: revisionId,
+        timestamp: revisionTimestamp,
+        capturedAt: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error("Failed to update snippet:", error);
+    showNotification(dispatch, `Couldn't load "${block.pageSrc}"`);
+  }
+}
+
+/**
+ * Switches a snippet between following the latest revision of its article and showing its captured excerpt
+ * @param {State} state - Current application state
+ * @param {{id: number, isLive: boolean}} payload - Snippet and whether it's live
+ * @returns {State} Updated state
+ */
+function setSnippetLive(state, { id, isLive }) {
+  const newState = updateCurrentPage(state, {
+    blocks: getCurrentBlocks(state).map((block) =>
+      block.id === id ? { ...block, isLive } : block,
+    ),
+  });
+  return saveMementoAndReturn(state, newState);
+}
+
+/**
+ * Creates the contents of a snippet, whose text can be selected and links followed while it's in edit mode
+ * @param {Block} block - Snippet to render
+ * @param {boolean} isEditing - Whether the snippet is in edit mode
+ * @param {WikiSource} source - Wiki source of the snippet's article
+ * @returns {import("hyperapp").ElementVNode<State>} Snippet element
+ */
+export function snippetContents(block, isEditing, source) {
+  return h("wiki-snippet", {
+    page: block.pageSrc,
+    source: JSON.stringify(source),
+    region: block.sourceRegion ? JSON.stringify(block.sourceRegion) : null,
+    html: block.html ?? "",
+    live: block.isLive ? "true" : "false",
+    style: {
+      pointerEvents: isEditing ? "auto" : "none",
+      userSelect: isEditing ? "text" : "none",
+    },
+    //@ts-ignore custom `pagechanged` event
+    onpagechanged: (state, event) =>
+      showWikiPage(state, /** @type {CustomEvent} */ (event).detail.page),
+  });
+}
+
+/**
+ * Creates the button that takes a snippet of the wiki viewer
+ * @param {State} state - Current application state
+ * @returns {import("hyperapp").ElementVNode<State>} Add snippet button
+ */
+export function snippetButton(state) {
+  return h(
+    "button",
+    {
+      title:
+        "Embed the selected text in the article, or the passage in view, as a block",
+      onclick: (state) => [state, addSnippetEffect],
+    },
+    text("Snippet"),
+  );
+}
+
+/**
+ * Creates the controls that switch the selected snippet between live and frozen, and update its captured excerpt
+ * @param {State} state - Current application state
+ * @returns {import("hyperapp").ElementVNode<State> | null} Snippet controls element, or null unless one snippet is selected
+ */
+export function snippetControls(state) {
+  const selectedBlocks = getSelectedBlocks(state);
+  const block = selectedBlocks.length === 1 ? selectedBlocks[0] : null;
+  if (!block || getBlockType(block) !== "snippet") return null;
+
+  const source = getCurrentPage(state)?.wikiSource ?? DEFAULT_WIKI_SOURCE;
+
+  return h("div", { class: "snippet-controls" }, [
+    h(
+      "label",
+      {
+        title:
+          "Show the passage in the latest revision of the article, or freeze it to the captured revision",
+      },
+      [
+        h("input", {
+          type: "checkbox",
+          checked: !!block.isLive,
+          onchange: (state, event) =>
+            setSnippetLive(state, {
+              id: block.id,
+              isLive: /** @type {HTMLInputElement} */ (event.target).checked,
+            }),
+        }),
+        text("Live"),
+      ],
+    ),
+    h(
+      "button",
+      {
+        title: "Capture the passage again from the latest revision",
+        onclick: (state) => [
+          state,
+          [captureLatestSnippetEffect, { block, source }],
+        ],
+      },
+      text("update to latest"),
+    ),
+  ]);
+}
+
+/**
+ * Renders a snippet's excerpt as an SVG image for export, as a data URL like the exported block images.
+ * Live snippets are exported with their latest excerpt, see getBlocksWithLatestSnippets.
+ * @param {Block} block - Snippet to render
+ * @returns {string} SVG data URL
+ */
+export function getSnippetImageUrl(block) {
+  const content = document.createElement("div");
+  content.className = "content";
+  Object.assign(content.style, {
+    boxSizing: "border-box",
+    width: "100%",
+    height: "100%",
+    padding: "4px 12px",
+    overflow: "hidden",
+    background: "#ffffff",
+    color: "#222222",
+    fontFamily: "sans-serif",
+    fontSize: "14px",
+    lineHeight: "1.6",
+  });
+  const style = document.createElement("style");
+  style.textContent = WIKI_CONTENT_STYLES;
+  content.append(style);
+  content.insertAdjacentHTML("beforeend", block.html ?? "");
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${block.width}" height="${block.height}"><foreignObject width="100%" height="100%">${new XMLSerializer().serializeToString(content)}</foreignObject></svg>`;
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+}
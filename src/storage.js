@@ -0,0 +1,278 @@
+//@ts-nocheck
+// Storage for app files in the user data directory, shared by the main process and file IPC.
+// Paths are relative to a root directory and can't resolve outside it, content is read and
+// written as an explicit type, and writes go through a temporary file so they're atomic.
+// Operations resolve to { success: true, ... } or { success: false, code, error } rather than
+// throwing, so failures reach the renderer intact.
+
+const path = require("node:path");
+const crypto = require("node:crypto");
+const fs = require("node:fs").promises;
+
+const CONTENT_TYPES = ["json", "text", "binary"];
+
+// Codes of failed results
+const STORAGE_ERRORS = {
+  INVALID_PATH: "INVALID_PATH",
+  OUTSIDE_ROOT: "OUTSIDE_ROOT",
+  INVALID_CONTENT_TYPE: "INVALID_CONTENT_TYPE",
+  INVALID_DATA: "INVALID_DATA",
+  INVALID_JSON: "INVALID_JSON",
+  NOT_FOUND: "NOT_FOUND",
+  IO_ERROR: "IO_ERROR",
+};
+
+// Helper function to create an error with a storage error code, like Node's fs errors
+function storageError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+// Helper function to turn a thrown error into a failed result
+function toFailure(error, relativePath) {
+  if (Object.values(STORAGE_ERRORS).includes(error.code)) {
+    return { success: false, code: error.code, error: error.message };
+  }
+  if (error.code === "ENOENT") {
+    return {
+      success: false,
+      code: STORAGE_ERRORS.NOT_FOUND,
+      error: `File not found: ${relativePath}`,
+    };
+  }
+  return {
+    success: false,
+    code: STORAGE_ERRORS.IO_ERROR,
+    error: error.message,
+  };
+}
+
+// Helper function to check whether an absolute path is outside a root directory
+function isOutsideRoot(root, filePath) {
+  const relative = path.relative(root, filePath);
+  return (
+    relative === ".." ||
+    relative.startsWith(`..${path.sep}`) ||
+    path.isAbsolute(relative)
+  );
+}
+
+// Resolve a path relative to the root, throwing if it's absolute or escapes the root,
+// e.g. "../../etc/passwd" or "user/../../secrets"
+function resolveStoragePath(root, relativePath) {
+  if (
+    typeof relativePath !== "string" ||
+    relativePath.trim() === "" ||
+    relativePath.includes("\0")
+  ) {
+    throw storageError(
+      STORAGE_ERRORS.INVALID_PATH,
+      `Invalid path: ${JSON.stringify(relativePath)}`,
+    );
+  }
+  // Windows drive and UNC paths are absolute even when checked on another platform
+  if (path.isAbsolute(relativePath) || path.win32.isAbsolute(relativePath)) {
+    throw storageError(
+      STORAGE_ERRORS.OUTSIDE_ROOT,
+      `Absolute paths aren't allowed: ${relativePath}`,
+    );
+  }
+
+  const resolved = path.resolve(root, relativePath);
+  if (isOutsideRoot(root, resolved)) {
+    throw storageError(
+      STORAGE_ERRORS.OUTSIDE_ROOT,
+      `Path is outside the storage directory: ${relativePath}`,
+    );
+  }
+  return resolved;
+}
+
+// Helper function to resolve symlinks in a path that may not exist yet, by resolving its
+// nearest existing ancestor and appending the rest
+async function realpathNearest(filePath) {
+  try {
+    return await fs.realpath(filePath);
+  } catch (error) {
+    const parent = path.dirname(filePath);
+    if (error.code !== "ENOENT" || parent === filePath) throw error;
+    return path.join(await realpathNearest(parent), path.basename(filePath));
+  }
+}
+
+// Resolve a path relative to the root like resolveStoragePath, also throwing if a symlink
+// inside the root points outside it
+async function resolveRealStoragePath(root, relativePath) {
+  const resolved = resolveStoragePath(root, relativePath);
+  if (
+    isOutsideRoot(await realpathNearest(root), await realpathNearest(resolved))
+  ) {
+    throw storageError(
+      STORAGE_ERRORS.OUTSIDE_ROOT,
+      `Path links outside the storage directory: ${relativePath}`,
+    );
+  }
+  return resolved;
+}
+
+// Helper function to check a content type is one of CONTENT_TYPES
+function checkContentType(contentType) {
+  if (!CONTENT_TYPES.includes(contentType)) {
+    throw storageError(
+      STORAGE_ERRORS.INVALID_CONTENT_TYPE,
+      `Unknown content type ${JSON.stringify(contentType)}, expected ${CONTENT_TYPES.join(", ")}`,
+    );
+  }
+}
+
+// Helper function to convert data to what's written to disk for a content type
+function serialize(data, contentType) {
+  switch (contentType) {
+    case "json": {
+      const json = JSON.stringify(data, null, 2);
+      if (json === undefined) {
+        throw storageError(
+          STORAGE_ERRORS.INVALID_DATA,
+          "Data can't be written as JSON",
+        );
+      }
+      return json;
+    }
+    case "text":
+      if (typeof data !== "string") {
+        throw storageError(
+          STORAGE_ERRORS.INVALID_DATA,
+          "Text content must be a string",
+        );
+      }
+      return data;
+    case "binary":
+      if (Buffer.isBuffer(data)) return data;
+      if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+        return Buffer.from(
+          data.buffer ?? data,
+          data.byteOffset,
+          data.byteLength,
+        );
+      }
+      throw storageError(
+        STORAGE_ERRORS.INVALID_DATA,
+        "Binary content must be a Buffer, ArrayBuffer or typed array",
+      );
+  }
+}
+
+// Helper function to parse what's read from disk for a content type
+function deserialize(buffer, contentType, relativePath) {
+  switch (contentType) {
+    case "json":
+      try {
+        return JSON.parse(buffer.toString("utf8"));
+      } catch (error) {
+        throw storageError(
+          STORAGE_ERRORS.INVALID_JSON,
+          `${relativePath} isn't valid JSON: ${error.message}`,
+        );
+      }
+    case "text":
+      return buffer.toString("utf8");
+    case "binary":
+      return buffer;
+  }
+}
+
+// Write a file atomically: the data goes to a temporary file in the same directory
+// which is then renamed over the target, so a crash mid-write never leaves a partial file
+async function writeFileAtomic(filePath, content, encoding) {
+  const tempPath = `${filePath}.${process.pid}-${crypto.randomUUID()}.tmp`;
+  try {
+    await fs.writeFile(tempPath, content, encoding);
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+// Create storage confined to a root directory
+function createStorage(root) {
+  const rootPath = path.resolve(root);
+
+  return {
+    // Resolve a relative path to an absolute one, throwing if it escapes the root. Symlinks
+    // aren't followed here; reading and writing also reject ones that point outside the root.
+    resolve: (relativePath) => resolveStoragePath(rootPath, relativePath),
+
+    // Read a file as "json", "text" or "binary", resolving to { success, data }
+    read: async (relativePath, contentType) => {
+      try {
+        checkContentType(contentType);
+        const filePath = await resolveRealStoragePath(rootPath, relativePath);
+        const buffer = await fs.readFile(filePath);
+        return {
+          success: true,
+          data: deserialize(buffer, contentType, relativePath),
+        };
+      } catch (error) {
+        return toFailure(error, relativePath);
+      }
+    },
+
+    // Write a file as "json", "text" or "binary", creating its directory,
+    // resolving to { success, path } with the absolute path written to
+    write: async (relativePath, data, contentType) => {
+      try {
+        checkContentType(contentType);
+        const filePath = await resolveRealStoragePath(rootPath, relativePath);
+        const content = serialize(data, contentType);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await writeFileAtomic(
+          filePath,
+          content,
+          contentType === "binary" ? null : "utf8",
+        );
+        return { success: true, path: filePath };
+      } catch (error) {
+        return toFailure(error, relativePath);
+      }
+    },
+
+    // Delete a file, succeeding if it doesn't exist
+    delete: async (relativePath) => {
+      try {
+        await fs.rm(await resolveRealStoragePath(rootPath, relativePath), {
+          force: true,
+        });
+        return { success: true };
+      } catch (error) {
+        return toFailure(error, relativePath);
+      }
+    },
+
+    // List a directory, resolving to { success, entries } of { name, isDirectory }
+    list: async (relativePath) => {
+      try {
+        const items = await fs.readdir(
+          await resolveRealStoragePath(rootPath, relativePath),
+          { withFileTypes: true },
+        );
+        return {
+          success: true,
+          entries: items.map((item) => ({
+            name: item.name,
+            isDirectory: item.isDirectory(),
+          })),
+        };
+      } catch (error) {
+        return toFailure(error, relativePath);
+      }
+    },
+  };
+}
+
+module.exports = {
+  CONTENT_TYPES,
+  STORAGE_ERRORS,
+  createStorage,
+  isOutsideRoot,
+  writeFileAtomic,
+};
@@ -0,0 +1,307 @@
+// -----------------------------
+// ## Text Anchors
+// -----------------------------
+
+// Elements that can anchor a viewport position. Nested matches (e.g. a <p> inside an <li>) are skipped.
+const ANCHOR_ELEMENT_SELECTOR =
+  "h1, h2, h3, h4, h5, h6, p, li, dt, dd, blockquote, pre, figcaption, caption";
+const HEADING_SELECTOR = "h1, h2, h3, h4, h5, h6";
+const QUOTE_LENGTH = 80;
+const CONTEXT_LENGTH = 40;
+// Minimum score for a fuzzy match to be trusted over the scroll fallback
+const MIN_MATCH_SCORE = 0.5;
+
+/**
+ * Collapses whitespace so anchors survive reflowed or reformatted markup
+ * @param {string|null} text - Raw text content
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return (text ?? "").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Gets the elements of a container that can anchor a viewport position, in document order
+ * @param {Element} container - Article content container
+ * @returns {Element[]} Anchor candidates
+ */
+function getAnchorElements(container) {
+  return Array.from(container.querySelectorAll(ANCHOR_ELEMENT_SELECTOR)).filter(
+    (el) =>
+      !el.parentElement?.closest(ANCHOR_ELEMENT_SELECTOR) &&
+      normalizeText(el.textContent).length > 0,
+  );
+}
+
+/**
+ * Gets the ID of a heading, which MediaWiki puts either on the heading or on an inner headline span
+ * @param {Element} heading - Heading element
+ * @returns {string|null} Heading ID
+ */
+function getHeadingId(heading) {
+  return heading.id || heading.querySelector("[id]")?.id || null;
+}
+
+/**
+ * Gets the ID of the section an element belongs to
+ * @param {Element[]} elements - Anchor candidates in document order
+ * @param {number} index - Index of the element
+ * @returns {string|null} ID of the closest heading at or before the element
+ */
+function getSectionId(elements, index) {
+  for (let i = index; i >= 0; i--) {
+    if (elements[i].matches(HEADING_SELECTOR)) {
+      const id = getHeadingId(elements[i]);
+      if (id) return id;
+    }
+  }
+  return null;
+}
+
+/**
+ * Scores how similar two strings are using character bigrams (Dice coefficient)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Similarity between 0 and 1
+ */
+function similarity(a, b) {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  /** @type {Map<string, number>} */
+  const bigrams = new Map();
+  for (let i = 0; i < a.length - 1; i++) {
+    const bigram = a.slice(i, i + 2);
+    bigrams.set(bigram, (bigrams.get(bigram) ?? 0) + 1);
+  }
+
+  let matches = 0;
+  for (let i = 0; i < b.length - 1; i++) {
+    const bigram = b.slice(i, i + 2);
+    const count = bigrams.get(bigram) ?? 0;
+    if (count > 0) {
+      bigrams.set(bigram, count - 1);
+      matches++;
+    }
+  }
+
+  return (2 * matches) / (a.length + b.length - 2);
+}
+
+/**
+ * Gets the quote and surrounding context of an anchor candidate
+ * @param {Element[]} elements - Anchor candidates in document order
+ * @param {number} index - Index of the element
+ * @returns {{quote: string, prefix: string, suffix: string}} Text context
+ */
+function getTextContext(elements, index) {
+  const text = normalizeText(elements[index].textContent);
+  const previousText =
+    index > 0 ? normalizeText(elements[index - 1].textContent) : "";
+  const nextText =
+    index < elements.length - 1
+      ? normalizeText(elements[index + 1].textContent)
+      : "";
+
+  return {
+    quote: text.slice(0, QUOTE_LENGTH),
+    prefix: previousText.slice(-CONTEXT_LENGTH),
+    suffix: (text.slice(QUOTE_LENGTH) + " " + nextText)
+      .trim()
+      .slice(0, CONTEXT_LENGTH),
+  };
+}
+
+/**
+ * Creates a text anchor for the element at the top of the visible area
+ * @param {Element} container - Article content container
+ * @param {number} viewTop - Client Y coordinate of the top of the visible area
+ * @param {number} scrollFraction - Fraction of the article scrolled past, used as a fallback
+ * @returns {ViewportAnchor} Anchor describing the current viewport position
+ */
+export function createTextAnchor(container, viewTop, scrollFraction) {
+  const elements = getAnchorElements(container);
+  const index = elements.findIndex(
+    (el) => el.getBoundingClientRect().bottom > viewTop,
+  );
+
+  if (index === -1) {
+    return {
+      type: "anchor",
+      sectionId: null,
+      quote: "",
+      prefix: "",
+      suffix: "",
+      offset: 0,
+      scrollFraction,
+    };
+  }
+
+  const rect = elements[index].getBoundingClientRect();
+  return {
+    type: "anchor",
+    sectionId: getSectionId(elements, index),
+    ...getTextContext(elements, index),
+    // Relative rather than pixel offset, so it holds at different window widths
+    offset:
+      rect.height > 0
+        ? Math.min(1, Math.max(0, (viewTop - rect.top) / rect.height))
+        : 0,
+    scrollFraction,
+  };
+}
+
+/**
+ * Finds the element an anchor points to, tolerating edits to the article
+ * @param {Element} container - Article content container
+ * @param {ViewportAnchor} anchor - Anchor to resolve
+ * @returns {Element|null} Best matching element, or null if nothing matches well enough
+ */
+export function findTextAnchor(container, anchor) {
+  const elements = getAnchorElements(container);
+  let bestElement = null;
+  let bestScore = 0;
+
+  for (let i = 0; anchor.quote && i < elements.length; i++) {
+    const context = getTextContext(elements, i);
+
+    // Exact match including context is unambiguous even for repeated paragraphs
+    if (
+      context.quote === anchor.quote &&
+      context.prefix === anchor.prefix &&
+      context.suffix === anchor.suffix
+    ) {
+      return elements[i];
+    }
+
+    const quoteScore = context.quote.startsWith(anchor.quote)
+      ? 1
+      : similarity(context.quote, anchor.quote);
+    // Context only disambiguates, so it can't rescue a poor quote match
+    if (quoteScore < MIN_MATCH_SCORE) continue;
+
+    const contextScore =
+      (anchor.prefix ? similarity(context.prefix, anchor.prefix) : 1) * 0.5 +
+      (anchor.suffix ? similarity(context.suffix, anchor.suffix) : 1) * 0.5;
+    const sectionScore =
+      anchor.sectionId && getSectionId(elements, i) === anchor.sectionId
+        ? 1
+        : 0;
+    const score = quoteScore * 0.6 + contextScore * 0.3 + sectionScore * 0.1;
+
+    if (score > bestScore) {
+      bestScore = score;
+      bestElement = elements[i];
+    }
+  }
+
+  if (bestElement) return bestElement;
+
+  // The passage is gone, fall back to the start of its section
+  if (anchor.sectionId) {
+    return (
+      elements.find(
+        (el) =>
+          el.matches(HEADING_SELECTOR) && getHeadingId(el) === anchor.sectionId,
+      ) ?? null
+    );
+  }
+  return null;
+}
+
+/**
+ * Converts viewport positions saved before text anchors existed
+ * (`{type: "element", selector: 'p:contains("...")'}` and `{type: "scroll"}`) into anchors
+ * @param {any} position - Saved viewport position in any format
+ * @returns {ViewportAnchor|null} Equivalent anchor
+ */
+export function migrateViewportPosition(position) {
+  if (!position || position.type === "anchor") return position ?? null;
+
+  /** @type {ViewportAnchor} */
+  const anchor = {
+    type: "anchor",
+    sectionId: null,
+    quote: "",
+    prefix: "",
+    suffix: "",
+    offset: 0,
+    scrollFraction: null,
+    scrollPosition: position.scrollPosition,
+  };
+
+  if (position.type === "element" && typeof position.selector === "string") {
+    const containsMatch = position.selector.match(/:contains\("(.*)"\)$/);
+    if (containsMatch) {
+      anchor.quote = normalizeText(containsMatch[1].replace(/\\"/g, '"'));
+    } else if (position.selector.startsWith("#")) {
+      anchor.sectionId = position.selector.slice(1);
+    }
+  }
+
+  return anchor;
+}
+
+/**
+ * Finds the DOM range of a quote spanning from one element to another, tolerating whitespace
+ * differences such as the line breaks a selection inserts between paragraphs
+ * @param {Element} fromElement - Element the quote starts in
+ * @param {Element} toElement - Element the quote ends in
+ * @param {string} quote - Quoted text
+ * @returns {Range|null} Range covering the quote, or null if it isn't found
+ */
+export function findQuoteRange(fromElement, toElement, quote) {
+  const words = normalizeText(quote).split(" ").filter(Boolean);
+  if (words.length === 0) return null;
+
+  const document = fromElement.ownerDocument;
+  const root = /** @type {Node} */ (
+    fromElement.parentNode ?? fromElement
+  ).getRootNode();
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+
+  /** @type {{node: Text, start: number}[]} */
+  const textNodes = [];
+  let text = "";
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const isBeforeStart =
+      !fromElement.contains(node) &&
+      !(
+        fromElement.compareDocumentPosition(node) &
+        Node.DOCUMENT_POSITION_FOLLOWING
+      );
+    if (isBeforeStart) continue;
+
+    const isAfterEnd =
+      !toElement.contains(node) &&
+      toElement.compareDocumentPosition(node) &
+        Node.DOCUMENT_POSITION_FOLLOWING;
+    if (isAfterEnd) break;
+
+    textNodes.push({ node: /** @type {Text} */ (node), start: text.length });
+    text += node.textContent;
+  }
+
+  const pattern = words
+    .map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .join("\\s*");
+  const match = new RegExp(pattern).exec(text);
+  if (!match) return null;
+
+  /**
+   * @param {number} index - Index into the concatenated text
+   * @returns {{node: Text, offset: number}} Text node position
+   */
+  const locate = (index) => {
+    let i = textNodes.length - 1;
+    while (i > 0 && textNodes[i].start > index) i--;
+    return { node: textNodes[i].node, offset: index - textNodes[i].start };
+  };
+
+  const start = locate(match.index);
+  const end = locate(match.index + match[0].length);
+  const range = document.createRange();
+  range.setStart(start.node, start.offset);
+  range.setEnd(end.node, end.offset);
+  return range;
+}
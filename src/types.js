@@ -6,9 +6,64 @@
  * @property {number} x - X position on canvas
  * @property {number} y - Y position on canvas
  * @property {number} zIndex - Stacking order (higher = front)
- * @property {string} imageSrc - program image
+ * @property {BlockType} [type] - Kind of block. Blocks without a type are images
+ * @property {string} [imageSrc] - program image, for image blocks
+ * @property {string} [html] - note contents as sanitized rich text, for text blocks, or the captured article excerpt, for snippet blocks
+ * @property {boolean} [isHidden] - Whether the block is hidden from the canvas and exports
+ * @property {boolean} [isLocked] - Whether the block can't be selected, moved or resized on the canvas
+ * @property {number|null} [groupId] - ID of the innermost group the block is in, see BlockGroup
+ * @property {boolean} [isLive] - whether a snippet shows the latest revision of its article instead of its captured excerpt
+ * @property {ShapeKind} [shape] - shape drawn, for shape blocks
+ * @property {number} [fromId] - ID of the block a connector starts at, for connectors
+ * @property {number} [toId] - ID of the block a connector ends at, for connectors
+ * @property {ConnectorRoute} [route] - ends of a connector's line in canvas coordinates, for connectors
+ * @property {string} [strokeColor] - line color, for shapes and connectors
+ * @property {string|null} [fillColor] - fill color, null for none, for rectangles and ellipses
+ * @property {string} [label] - text shown on a shape or connector
+ * @property {boolean} [arrowStart] - whether a line or connector has an arrowhead at its start
+ * @property {boolean} [arrowEnd] - whether a line or connector has an arrowhead at its end
+ * @property {boolean} [isFlipped] - whether a line runs from bottom left to top right instead of top left to bottom right
  * @property {string} pageSrc - wikipedia page source
- * @property {Object|null} viewportPosition - viewport position data when block was captured
+ * @property {ViewportAnchor|null} viewportPosition - viewport position data when block was captured
+ * @property {PageRevision|null} [pageRevision] - article revision when block was captured
+ * @property {SourceRegion|null} [sourceRegion] - passage of the article the block was captured from
+ */
+
+/**
+ * @typedef {"image"|"text"|"shape"|"connector"|"snippet"} BlockType
+ */
+
+/**
+ * @typedef {"rectangle"|"ellipse"|"line"} ShapeKind
+ */
+
+/**
+ * Edge or center line selected blocks are aligned to
+ * @typedef {"left"|"center"|"right"|"top"|"middle"|"bottom"} Alignment
+ */
+
+/**
+ * Selected block, or selected group, moved as one when arranging the selection
+ * @typedef {Object} ArrangeItem
+ * @property {Block[]} blocks - Blocks moved together
+ * @property {{x: number, y: number, width: number, height: number}} box - Bounding box of the blocks
+ */
+
+/**
+ * Persistent group of blocks and nested groups, selected, moved and resized as a unit.
+ * Blocks belong to a group through their groupId, and groups to a parent group through parentId.
+ * @typedef {Object} BlockGroup
+ * @property {number} id - Group identifier, unique on its page
+ * @property {number|null} parentId - ID of the group this group is nested in, null at the top level
+ */
+
+/**
+ * Ends of a connector's line, on the edges of the blocks it connects
+ * @typedef {Object} ConnectorRoute
+ * @property {number} x1 - Start X position on canvas
+ * @property {number} y1 - Start Y position on canvas
+ * @property {number} x2 - End X position on canvas
+ * @property {number} y2 - End Y position on canvas
  */
 
 /**
@@ -26,6 +81,8 @@
  * @property {boolean} isTextEditorFocused - Whether any text editor is currently focused
  * @property {boolean} isInteractMode - Whether alt key (option on Mac) is currently pressed
  * @property {number[]} selectedIds - IDs of selected blocks
+ * @property {BlockGroup[]} groups - Groups of blocks on this page
+ * @property {number|null} enteredGroupId - ID of the group double-clicked into, whose blocks and nested groups are selected on their own
  * @property {number[]} previewSelectedIds - IDs of blocks that would be selected (during selection box drag)
  * @property {number|null} editingId - ID of block in edit mode
  * @property {number|null} hoveringId - ID of hovered block
@@ -35,9 +92,85 @@
  * @property {any} state - State of app inside this page
  * @property {String} css - CSS string
  * @property {string} wikiPage
- * @property {Object|null} wikiViewportPosition - Current viewport position of wiki viewer
+ * @property {ViewportAnchor|null} wikiViewportPosition - Current viewport position of wiki viewer
+ * @property {WikiSource} [wikiSource] - Wiki backend pages are fetched from. Defaults to English Wikipedia
+ * @property {PageRevision|null} [wikiRevision] - Revision pinned in the wiki viewer, from the last hovered block
+ * @property {RevisionMode} [wikiRevisionMode] - Whether the wiki viewer shows the pinned revision, the latest one, or their diff
+ * @property {SourceRegion|null} [wikiHighlight] - Region highlighted in the wiki viewer, from the last hovered block
  **/
 
+/**
+ * @typedef {"rest"|"action"|"local"} WikiSourceType
+ */
+
+/**
+ * @typedef {Object} WikiSource
+ * @property {WikiSourceType} type - Provider used to fetch pages
+ * @property {string} origin - Wiki origin, e.g. "https://en.wikipedia.org" (rest and action)
+ * @property {string} [apiPath] - Action API path relative to origin. Defaults to "/w/api.php"
+ * @property {string} [directory] - Absolute directory containing `<title>.html` files (local)
+ */
+
+/**
+ * @typedef {Object} WikiPageResult
+ * @property {string} html - Raw page HTML
+ * @property {number|null} revisionId - Revision the HTML was rendered from, if the source reports one
+ * @property {string|null} revisionTimestamp - ISO timestamp of that revision, if the source reports one
+ */
+
+/**
+ * @typedef {Object} PageRevision
+ * @property {number|null} id - Article revision ID, null if the wiki source doesn't report revisions
+ * @property {string|null} timestamp - ISO timestamp of the revision, if known
+ * @property {string} capturedAt - ISO timestamp of when the block was captured
+ */
+
+/**
+ * @typedef {"pinned"|"latest"|"diff"} RevisionMode
+ */
+
+/**
+ * @typedef {Object} CachedWikiPage
+ * @property {string} html - Processed page HTML
+ * @property {number|null} revisionId - Revision the HTML was rendered from
+ * @property {string|null} revisionTimestamp - ISO timestamp of that revision
+ * @property {number} fetchedAt - Unix time in ms when the page was fetched
+ * @property {Record<string, string>} images - Original image URL to cached `file://` URL
+ */
+
+/**
+ * @typedef {Object} WikiSourceProvider
+ * @property {string} label - Display name
+ * @property {boolean} cacheable - Whether fetched pages should be stored in the offline article cache
+ * @property {(source: WikiSource, title: string, revisionId: number|null) => Promise<WikiPageResult>} fetchPage - Fetches a page by title, optionally at a specific revision
+ * @property {(source: WikiSource, title: string, revisionId: number) => Promise<string>} [fetchDiff] - Fetches diff table rows from a revision to the latest revision
+ * @property {(source: WikiSource) => string} getBaseUrl - URL relative links and images resolve against
+ * @property {(source: WikiSource, title: string, revisionId: number|null) => string} getArticleUrl - URL of a page, optionally at a specific revision
+ */
+
+/**
+ * Text-fragment anchor for a position in an article, matched fuzzily on restore so it survives
+ * article edits and different window widths
+ * @typedef {Object} ViewportAnchor
+ * @property {"anchor"} type
+ * @property {string|null} sectionId - ID of the heading of the section containing the quote
+ * @property {string} quote - Start of the passage's text at the top of the viewport
+ * @property {string} prefix - Text immediately before the passage
+ * @property {string} suffix - Text immediately after the quote
+ * @property {number} offset - Fraction of the passage's height scrolled past (0-1)
+ * @property {number|null} scrollFraction - Fraction of the article scrolled past, fallback if the quote isn't found
+ * @property {number} [scrollPosition] - Absolute scroll position, only present on migrated legacy positions
+ */
+
+/**
+ * Passage of an article a block was captured from
+ * @typedef {Object} SourceRegion
+ * @property {"selection"|"viewport"} kind - Whether the user had text selected, or an area of the viewer was captured
+ * @property {string} quote - Selected text, empty for viewport regions
+ * @property {ViewportAnchor} start - Anchor at the top of the region
+ * @property {ViewportAnchor} end - Anchor at the bottom of the region
+ */
+
 /**
  * @typedef {Object} Memento
  * @property {Page[]} pages - Snapshot of pages state
@@ -95,12 +228,172 @@
  * @property {boolean} panelsVisible - Whether panels are visible
  * @property {number} programsPanelWidth - Width of programs panel in pixels
  * @property {Block[]|null} clipboard - Copied block data
+ * @property {BlockGroup[]} clipboardGroups - Groups copied along with the blocks in them
  * @property {string} programFilter - Filter text for program buttons
  * @property {string|null} notification - Current notification message
  * @property {boolean} notificationVisible - Whether notification is visible
  * @property {string|null} editingPageId - ID of page currently being renamed
  * @property {boolean} isShiftPressed - Whether shift key is currently pressed
  * @property {boolean} isOptionPressed - Whether option/alt key is currently pressed
+ * @property {boolean} isCaptureMode - Whether a region of the wiki viewer is being captured
+ * @property {SelectionBoxState|null} captureBox - Capture rectangle being dragged, in client coordinates
+ * @property {ClipboardImportSettings} clipboardImport - Settings for adding copied images as blocks
+ * @property {number} maxImageBlockSize - Longest side new image blocks are scaled down to fit on screen, in px
+ * @property {ImageExportOptions} imageExportOptions - Options for exporting a page
+ * @property {CitationStyle} citationStyle - Style references are formatted in
+ * @property {ReferencesView|null} referencesView - References view state, null when closed
+ * @property {string|null} documentPath - File the open document is saved to, null while untitled
+ * @property {boolean} isDirty - Whether the open document has unsaved changes
+ * @property {Page[]} savedPages - Pages as last saved, loaded or created, which isDirty compares against
+ * @property {MediaLibraryView|null} mediaLibrary - Media library view state, null when closed
+ */
+
+/**
+ * Contents of a collage document file
+ * @typedef {Object} CollageDocument
+ * @property {number} schemaVersion - Schema version the document was saved with, see schema.js
+ * @property {Page[]} pages - All pages in the document
+ * @property {string} currentPageId - ID of the page shown when the document is opened
+ */
+
+/**
+ * Upgrades saved sessions and documents from the previous schema version
+ * @typedef {Object} SchemaMigration
+ * @property {number} version - Schema version the migration upgrades to
+ * @property {string} description - What changed in this version
+ * @property {(data: any) => any} migrate - Upgrades data saved at the previous version
+ */
+
+/**
+ * Saved data migrated to the current schema and repaired where it didn't match it,
+ * or why it couldn't be loaded
+ * @template T
+ * @typedef {{success: true, data: T, repairs: string[]} | {success: false, error: string}} LoadResult
+ */
+
+/**
+ * Autosaved copy of a document with unsaved changes, kept until it is saved or discarded
+ * @typedef {Object} RecoveryFile
+ * @property {number} savedAt - When the autosave was written, in milliseconds since the epoch
+ * @property {string|null} documentPath - File the document belongs to, null if untitled
+ * @property {CollageDocument} document - Document contents
+ */
+
+/**
+ * Image file in the media directory
+ * @typedef {Object} MediaFile
+ * @property {string} name - File name in the media directory
+ * @property {string} path - Absolute path of the file
+ * @property {number} size - Size in bytes
+ * @property {string} hash - SHA-256 of the file's contents
+ * @property {boolean} isReferenced - Whether a block in the open document, its undo history or a recent document uses the file
+ */
+
+/**
+ * @typedef {Object} MediaLibraryReport
+ * @property {MediaFile[]} files - Files in the media directory
+ * @property {number} totalBytes - Total size of the files
+ * @property {number} unreferencedBytes - Total size of the files no block uses
+ * @property {number} duplicateCount - Files with the same contents as another file
+ */
+
+/**
+ * @typedef {Object} MediaLibraryView
+ * @property {MediaLibraryReport|null} report - Scan of the media directory, null while scanning
+ * @property {string|null} error - Why the scan failed
+ */
+
+/**
+ * @typedef {"mla"|"apa"|"chicago"|"bibtex"} CitationStyle
+ */
+
+/**
+ * @typedef {"page"|"all"} ReferencesScope
+ */
+
+/**
+ * @typedef {Object} ReferencesView
+ * @property {ReferencesScope} scope - Whether references of the current page or all pages are listed
+ */
+
+/**
+ * @typedef {Object} ImageExportOptions
+ * @property {number} scale - Output pixels per canvas pixel, for PNG and JPEG
+ * @property {string|null} background - Background color, or null for transparent (PNG only)
+ * @property {number} padding - Padding around the blocks' bounding box, in canvas pixels
+ */
+
+/**
+ * @typedef {Object} PageExportBlock
+ * @property {string} imageSrc - Image path
+ * @property {number} x - X position relative to the export origin
+ * @property {number} y - Y position relative to the export origin
+ * @property {number} width - Width in canvas pixels
+ * @property {number} height - Height in canvas pixels
+ * @property {string|null} href - URL of the article the block was captured from, linked in SVG and PDF
+ * @property {string|null} title - Title of the article the block was captured from
+ */
+
+/**
+ * @typedef {Object} PageExportReference
+ * @property {number} number - Position in the references list
+ * @property {string} text - Formatted reference
+ * @property {string} url - URL of the article
+ */
+
+/**
+ * @typedef {Object} PageExportLayout
+ * @property {string} name - Page name, used as the default filename
+ * @property {number} width - Width of the exported area in canvas pixels
+ * @property {number} height - Height of the exported area in canvas pixels
+ * @property {PageExportBlock[]} blocks - Blocks ordered back to front
+ * @property {PageExportReference[]} references - References listed below the blocks in SVG and PDF
+ */
+
+/**
+ * Article a page's blocks were captured from
+ * @typedef {Object} Reference
+ * @property {number} number - Position in the page's references list, starting at 1
+ * @property {string} title - Article title
+ * @property {string} url - Article URL, a permanent link when the revision is known
+ * @property {string} siteName - Name of the wiki, e.g. "Wikipedia"
+ * @property {string|null} publisher - Publisher of the wiki, if known
+ * @property {number|null} revisionId - Revision the blocks were captured from
+ * @property {string|null} revisionTimestamp - ISO timestamp of the revision, if known
+ * @property {string|null} accessedAt - ISO timestamp of when the first block was captured
+ * @property {number[]} blockIds - Blocks citing this reference
+ */
+
+/**
+ * @typedef {"current"|"inbox"} ClipboardImportTarget
+ */
+
+/**
+ * @typedef {Object} ClipboardImportSettings
+ * @property {boolean} isPaused - Whether copied images are no longer added as blocks
+ * @property {ClipboardImportTarget} target - Page copied images are added to
+ * @property {string|null} inboxPageId - ID of the inbox page, created on first import to it
+ */
+
+/**
+ * What resetting a block to its image's natural size changes: its whole size, or only its height to match the aspect ratio
+ * @typedef {"size"|"aspectRatio"} ImageSizeReset
+ */
+
+/**
+ * Something dropped onto the canvas to import as an image block: an image file on disk,
+ * a file only in memory, an image URL, or a wiki article whose lead image is imported
+ * @typedef {{type: "file", path: string} | {type: "blob", file: File} | {type: "url", url: string} | {type: "article", origin: string, title: string}} DropImportItem
+ */
+
+/**
+ * @typedef {Object} ClipboardImportPayload
+ * @property {string} path - Path of the saved image
+ * @property {number} width - Natural width of the image in pixels
+ * @property {number} height - Natural height of the image in pixels
+ * @property {ViewportAnchor|null} viewportPosition - Wiki viewer position when the image was copied
+ * @property {PageRevision|null} pageRevision - Article revision the image was copied from
+ * @property {SourceRegion|null} sourceRegion - Passage the image was copied from
  */
 
 /**
@@ -1,6 +1,7 @@
 import { addBlock, pasteClipboardBlocks } from "./block.js";
 import { MEDIA_SAVE_PATH, STATE_SAVE_PATH } from "./constants.js";
 import { h, text } from "./packages/hyperapp/index.js";
+import { SCHEMA_VERSION } from "./schema.js";
 
 /**
  * Creates a notification component that displays in the top middle
@@ -26,7 +27,7 @@ export function notification(state) {
  * @param {import("hyperapp").Dispatch<State>} dispatch - Function to dispatch actions
  * @param {string} message - Notification message to display
  */
-function showNotification(dispatch, message) {
+export function showNotification(dispatch, message) {
   dispatch((state) => ({
     ...state,
     notification: message,
@@ -43,22 +44,8 @@ function showNotification(dispatch, message) {
 }
 
 /**
- * Saves the application state to disk and shows success notification
- * @param {import("hyperapp").Dispatch<State>} dispatch - Function to dispatch actions
- * @param {State} state - Current application state to save
- * @returns {Promise<void>}
- */
-export async function saveApplicationAndNotify(dispatch, state) {
-  try {
-    await saveApplication(state);
-    showNotification(dispatch, "State saved successfully!");
-  } catch (error) {
-    showNotification(dispatch, "Failed to save state");
-  }
-}
-
-/**
- * Saves the application state to disk and shows success notification
+ * Saves the session (settings, recent documents and which document is open) to disk.
+ * Pages are only included while the document is untitled, otherwise they live in its file.
  * @param {State} state - Current application state to save
  * @returns {Promise<void>}
  */
@@ -69,13 +56,33 @@ export async function saveApplication(state) {
       mementoManager,
       notification,
       notificationVisible,
+      isCaptureMode,
+      captureBox,
+      referencesView,
+      mediaLibrary,
+      isDirty,
+      savedPages,
+      pages,
+      currentPageId,
       ...serializableSaveState
     } = state;
     // Don't need to save session clipboard and notification state
     serializableSaveState.clipboard = null;
+    serializableSaveState.clipboardGroups = [];
+    Object.assign(serializableSaveState, { schemaVersion: SCHEMA_VERSION });
+    if (!state.documentPath) {
+      Object.assign(serializableSaveState, { pages, currentPageId });
+    }
 
     // @ts-ignore
-    await window.fileAPI.writeFile(STATE_SAVE_PATH, serializableSaveState);
+    const result = await window.fileAPI.writeFile(
+      STATE_SAVE_PATH,
+      serializableSaveState,
+      "json",
+    );
+    if (!result.success) {
+      throw new Error(result.error);
+    }
   } catch (error) {
     console.error("Failed to save application state:", error);
   }
@@ -1,6 +1,5 @@
 import { h } from "./packages/hyperapp/index.js";
 import { pasteEffect } from "./utils.js";
-import { saveApplicationAndNotify } from "./utils.js";
 import { copySelectedBlocks, deleteSelectedBlocks, block } from "./block.js";
 import { handleResizePointerMove } from "./resize.js";
 import { saveMementoAndReturn, redoState, undoState } from "./memento.js";
@@ -22,10 +21,21 @@ import {
   selectionBoundingBox,
   selectionBoxComponent,
 } from "./selection.js";
+import { exitCaptureMode } from "./capture.js";
+import { closeReferencesView } from "./references.js";
+import { closeMediaLibrary } from "./media.js";
+import { acceptsDrop, importDrop } from "./drop-import.js";
+import { routeConnectors } from "./shapes.js";
+import {
+  enteredGroupOutline,
+  exitGroup,
+  groupSelectedBlocks,
+  ungroupSelectedBlocks,
+} from "./groups.js";
 
 /**
  * Calculates canvas coordinates from screen coordinates
- * @param {PointerEvent} event - Pointer event
+ * @param {MouseEvent} event - Pointer or drag event
  * @param {State} state - Application state
  * @returns {{canvasX: number, canvasY: number}} Canvas coordinates
  */
@@ -147,17 +157,20 @@ function handleBlockDrag(state, dx, dy) {
   const blocks = getCurrentBlocks(state);
   const selectedBlockIds = getSelectedBlockIds(state);
 
+  // Connectors follow the blocks they connect
   return updateCurrentPage(state, {
-    blocks: blocks.map((block) => {
-      if (selectedBlockIds.includes(block.id)) {
-        return {
-          ...block,
-          x: block.x + adjustedDx,
-          y: block.y + adjustedDy,
-        };
-      }
-      return block;
-    }),
+    blocks: routeConnectors(
+      blocks.map((block) => {
+        if (selectedBlockIds.includes(block.id)) {
+          return {
+            ...block,
+            x: block.x + adjustedDx,
+            y: block.y + adjustedDy,
+          };
+        }
+        return block;
+      }),
+    ),
   });
 }
 
@@ -284,12 +297,14 @@ function handleDragCompletion(state, newState) {
       (draggedBlock.y || 0) - (currentPage.dragStart.startY || 0);
 
     const beforeDragState = updateCurrentPage(state, {
-      blocks: blocks.map((b) => {
-        if (selectedBlockIds.includes(b.id)) {
-          return { ...b, x: b.x - dragDeltaX, y: b.y - dragDeltaY };
-        }
-        return b;
-      }),
+      blocks: routeConnectors(
+        blocks.map((b) => {
+          if (selectedBlockIds.includes(b.id)) {
+            return { ...b, x: b.x - dragDeltaX, y: b.y - dragDeltaY };
+          }
+          return b;
+        }),
+      ),
     });
     return saveMementoAndReturn(beforeDragState, newState);
   }
@@ -326,18 +341,22 @@ function handleResizeCompletion(state, newState) {
 
     if (hasAnyBlockChanged) {
       const beforeResizeState = updateCurrentPage(state, {
-        blocks: blocks.map((b) => {
-          const originalBlock = originalBlocks.find((orig) => orig.id === b.id);
-          return originalBlock
-            ? {
-                ...b,
-                x: originalBlock.x,
-                y: originalBlock.y,
-                width: originalBlock.width,
-                height: originalBlock.height,
-              }
-            : b;
-        }),
+        blocks: routeConnectors(
+          blocks.map((b) => {
+            const originalBlock = originalBlocks.find(
+              (orig) => orig.id === b.id,
+            );
+            return originalBlock
+              ? {
+                  ...b,
+                  x: originalBlock.x,
+                  y: originalBlock.y,
+                  width: originalBlock.width,
+                  height: originalBlock.height,
+                }
+              : b;
+          }),
+        ),
       });
       return saveMementoAndReturn(beforeResizeState, newState);
     }
@@ -352,16 +371,18 @@ function handleResizeCompletion(state, newState) {
         resizedBlock.y !== currentPage.resizing.startY)
     ) {
       const beforeResizeState = updateCurrentPage(state, {
-        blocks: blocks.map((b) =>
-          b.id === resizedBlock.id
-            ? {
-                ...b,
-                width: currentPage.resizing?.startWidth || 0,
-                height: currentPage.resizing?.startHeight || 0,
-                x: currentPage.resizing?.startX || 0,
-                y: currentPage.resizing?.startY || 0,
-              }
-            : b,
+        blocks: routeConnectors(
+          blocks.map((b) =>
+            b.id === resizedBlock.id
+              ? {
+                  ...b,
+                  width: currentPage.resizing?.startWidth || 0,
+                  height: currentPage.resizing?.startHeight || 0,
+                  x: currentPage.resizing?.startX || 0,
+                  y: currentPage.resizing?.startY || 0,
+                }
+              : b,
+          ),
         ),
       });
       return saveMementoAndReturn(beforeResizeState, newState);
@@ -451,6 +472,33 @@ function onwheel(state, event) {
 
   return state;
 }
+/**
+ * Lets files, images and links be dropped onto the canvas
+ * @param {State} state
+ * @param {DragEvent} event
+ * @returns {import("hyperapp").Dispatchable<State>}
+ */
+function ondragover(state, event) {
+  if (acceptsDrop(event.dataTransfer)) {
+    event.preventDefault();
+    /** @type {DataTransfer} */ (event.dataTransfer).dropEffect = "copy";
+  }
+  return state;
+}
+
+/**
+ * @param {State} state
+ * @param {DragEvent} event
+ * @returns {import("hyperapp").Dispatchable<State>}
+ */
+function ondrop(state, event) {
+  if (!event.dataTransfer || !acceptsDrop(event.dataTransfer)) return state;
+  event.preventDefault();
+
+  const { canvasX, canvasY } = getCanvasCoordinates(event, state);
+  return importDrop(state, event.dataTransfer, canvasX, canvasY);
+}
+
 /**
  * @param {State} state
  * @param {KeyboardEvent} event
@@ -468,11 +516,23 @@ export function onkeydown(state, event) {
   // Handle keyboard shortcuts
   switch (event.key) {
     case "Escape":
-      if (currentPage.editingId !== null) {
+      if (state.isCaptureMode) {
+        event.preventDefault();
+        return exitCaptureMode(state);
+      } else if (state.referencesView) {
+        event.preventDefault();
+        return closeReferencesView(state);
+      } else if (state.mediaLibrary) {
+        event.preventDefault();
+        return closeMediaLibrary(state);
+      } else if (currentPage.editingId !== null) {
         event.preventDefault();
         return updateCurrentPage(state, {
           editingId: null,
         });
+      } else if (currentPage.enteredGroupId !== null) {
+        event.preventDefault();
+        return exitGroup(state);
       } else if (hasSelection(state)) {
         event.preventDefault();
         return deselectAllBlocks(state);
@@ -537,6 +597,20 @@ export function onkeydown(state, event) {
       }
       return state;
 
+    case "g":
+    case "G":
+      // Handle group/ungroup shortcuts
+      if (event.ctrlKey || event.metaKey) {
+        if (currentPage.editingId === null) {
+          event.preventDefault();
+          // Ctrl+Shift+G or Cmd+Shift+G = Ungroup, Ctrl+G or Cmd+G = Group
+          return event.shiftKey
+            ? ungroupSelectedBlocks(state)
+            : groupSelectedBlocks(state);
+        }
+      }
+      return state;
+
     case "y":
       // Handle redo shortcut (Ctrl+Y or Cmd+Y)
       if (event.ctrlKey || event.metaKey) {
@@ -580,6 +654,8 @@ export function viewport(state) {
       onpointermove,
       onpointerup,
       onwheel,
+      ondragover,
+      ondrop,
     },
     [
       h(
@@ -593,10 +669,13 @@ export function viewport(state) {
           },
         },
         [
-          // Render blocks
-          ...getCurrentBlocks(state).map(block(state)),
+          // Render blocks, except those hidden in the layers panel
+          ...getCurrentBlocks(state)
+            .filter((block) => !block.isHidden)
+            .map(block(state)),
           // Render selection bounding box above blocks
           selectionBoundingBox(state),
+          enteredGroupOutline(state),
           // Render selection box during drag
           selectionBoxComponent(state),
         ].filter(Boolean),
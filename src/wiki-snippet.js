@@ -0,0 +1,266 @@
+import { DEFAULT_WIKI_SOURCE } from "./constants.js";
+import { sanitizeArticleHtml } from "./rich-text.js";
+import { findTextAnchor } from "./text-anchor.js";
+import {
+  WIKI_CONTENT_DARK_STYLES,
+  WIKI_CONTENT_STYLES,
+  getWikiLinkTitle,
+  loadWikiPageContent,
+} from "./wiki-viewer.js";
+
+/**
+ * Cuts the passage a source region covers out of an article, from the start of the paragraph
+ * or heading the region starts in to the end of the one it ends in
+ * @param {string} html - Processed article HTML
+ * @param {SourceRegion} region - Region to cut out
+ * @returns {string|null} Sanitized excerpt HTML, or null if the passage isn't in the article
+ */
+export function extractArticleExcerpt(html, region) {
+  // Parsed into its own document so the article's images aren't loaded
+  const article = new DOMParser().parseFromString(html, "text/html");
+  const start = findTextAnchor(article.body, region.start);
+  if (!start) return null;
+
+  let end = findTextAnchor(article.body, region.end) ?? start;
+  // An end before the start, e.g. after the article was rearranged, only leaves the start
+  if (
+    end !== start &&
+    !(start.compareDocumentPosition(end) & Node.DOCUMENT_POSITION_FOLLOWING)
+  ) {
+    end = start;
+  }
+
+  const range = article.createRange();
+  range.setStartBefore(start);
+  range.setEndAfter(end);
+  const excerpt = article.createElement("div");
+  excerpt.appendChild(range.cloneContents());
+  return sanitizeArticleHtml(excerpt.innerHTML);
+}
+
+/**
+ * WikiSnippet Web Component
+ * Shows an excerpt of an article styled like the wiki viewer. Live snippets show the passage in
+ * the latest revision of the article, frozen ones the excerpt captured with the block.
+ */
+class WikiSnippet extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: "open" });
+    this.page = "";
+    this.source = DEFAULT_WIKI_SOURCE;
+    /** @type {SourceRegion|null} */
+    this.region = null;
+    this.capturedHtml = "";
+    this.isLive = false;
+    /** @type {{html: string, revisionId: number|null}|null} */
+    this.latest = null;
+    this.fetchRequestId = 0;
+    this.fetchScheduled = false;
+    /** @type {string|null} */
+    this.renderedHtml = null;
+    this.createShadowContents();
+    this.render();
+    this.setupEventListeners();
+  }
+
+  static get observedAttributes() {
+    return ["page", "source", "region", "html", "live"];
+  }
+
+  /**
+   * @param {string} name - Attribute name
+   * @param {string|null} oldValue - Previous value
+   * @param {string|null} newValue - New value
+   */
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue === newValue) return;
+
+    switch (name) {
+      case "page":
+        this.page = newValue || "";
+        break;
+      case "source":
+        try {
+          this.source = newValue ? JSON.parse(newValue) : DEFAULT_WIKI_SOURCE;
+        } catch (e) {
+          console.warn("Invalid wiki source data:", newValue);
+          this.source = DEFAULT_WIKI_SOURCE;
+        }
+        break;
+      case "region":
+        try {
+          this.region = newValue ? JSON.parse(newValue) : null;
+        } catch (e) {
+          console.warn("Invalid region data:", newValue);
+          this.region = null;
+        }
+        break;
+      case "html":
+        this.capturedHtml = newValue || "";
+        break;
+      case "live":
+        this.isLive = newValue === "true";
+        break;
+    }
+
+    // The latest excerpt depends on everything but the captured one
+    if (name !== "html") {
+      this.latest = null;
+      if (this.isConnected) this.scheduleFetch();
+    }
+    this.render();
+  }
+
+  connectedCallback() {
+    this.scheduleFetch();
+  }
+
+  /**
+   * Fetches the latest excerpt once the current batch of attribute changes has been applied
+   */
+  scheduleFetch() {
+    if (this.fetchScheduled || !this.isLive) return;
+    this.fetchScheduled = true;
+    queueMicrotask(() => {
+      this.fetchScheduled = false;
+      this.fetchLatestExcerpt();
+    });
+  }
+
+  /**
+   * Loads the latest revision of the article and cuts the snippet's passage out of it.
+   * The captured excerpt stays on show if the article can't be loaded or the passage is gone.
+   */
+  async fetchLatestExcerpt() {
+    if (!this.isLive || !this.page || !this.region) return;
+
+    const requestId = ++this.fetchRequestId;
+    try {
+      const loaded = await loadWikiPageContent(this.source, this.page, null);
+      const html = extractArticleExcerpt(loaded.html, this.region);
+
+      // A newer request was made while this one was in flight
+      if (requestId !== this.fetchRequestId) return;
+
+      this.latest = html ? { html, revisionId: loaded.revisionId } : null;
+      this.render();
+    } catch (error) {
+      console.warn("Failed to load latest snippet:", error);
+    }
+  }
+
+  setupEventListeners() {
+    /** @type {ShadowRoot} */ (this.shadowRoot).addEventListener(
+      "click",
+      (event) => {
+        const link = /** @type {Element} */ (event.target).closest("a");
+        if (!link) return;
+
+        // Links open in the wiki viewer rather than navigating the window
+        event.preventDefault();
+        const page = getWikiLinkTitle(link.getAttribute("href"));
+        if (page) {
+          this.dispatchEvent(
+            new CustomEvent("pagechanged", { detail: { page } }),
+          );
+        }
+      },
+    );
+  }
+
+  /**
+   * Describes which revision is shown
+   * @returns {string} Caption text
+   */
+  getCaption() {
+    if (!this.isLive) return "Captured revision";
+    if (!this.latest) return "Captured revision, latest not loaded";
+    return this.latest.revisionId
+      ? `Latest revision ${this.latest.revisionId}`
+      : "Latest revision";
+  }
+
+  /**
+   * Creates the shadow root's styles and elements, which render() fills in
+   */
+  createShadowContents() {
+    /** @type {ShadowRoot} */ (this.shadowRoot).innerHTML = `
+      <style>
+        :host {
+          display: block;
+          box-sizing: border-box;
+          width: 100%;
+          height: 100%;
+          overflow: auto;
+          font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Lato, Helvetica, Arial, sans-serif;
+          background-color: #ffffff;
+          color: #222222;
+        }
+
+        .caption {
+          position: sticky;
+          top: 0;
+          z-index: 1;
+          padding: 2px 12px;
+          border-bottom: 1px solid #eaecf0;
+          background-color: inherit;
+          color: #54595d;
+          font-size: 11px;
+        }
+
+        .content {
+          padding: 4px 12px;
+          line-height: 1.6;
+          font-size: 14px;
+        }
+
+        ${WIKI_CONTENT_STYLES}
+        ${WIKI_CONTENT_DARK_STYLES}
+
+        @media (prefers-color-scheme: dark) {
+          :host {
+            background-color: #0d1117;
+            color: #e6edf3;
+          }
+
+          .caption {
+            border-bottom-color: #30363d;
+            color: #7d8590;
+          }
+        }
+      </style>
+
+      <div class="caption"></div>
+      <div class="content"></div>
+    `;
+  }
+
+  /**
+   * Updates the caption and content. Only what changed is replaced, so selecting text in the
+   * snippet isn't undone by unrelated attribute changes.
+   */
+  render() {
+    const shadowRoot = /** @type {ShadowRoot} */ (this.shadowRoot);
+    const caption = /** @type {HTMLElement} */ (
+      shadowRoot.querySelector(".caption")
+    );
+    const content = /** @type {HTMLElement} */ (
+      shadowRoot.querySelector(".content")
+    );
+
+    const captionText = `${this.page} · ${this.getCaption()}`;
+    if (caption.textContent !== captionText) {
+      caption.textContent = captionText;
+    }
+    const html =
+      this.isLive && this.latest ? this.latest.html : this.capturedHtml;
+    if (html !== this.renderedHtml) {
+      content.innerHTML = html;
+      this.renderedHtml = html;
+    }
+  }
+}
+
+// Register the custom element
+customElements.define("wiki-snippet", WikiSnippet);
@@ -0,0 +1,354 @@
+import { DEFAULT_WIKI_SOURCE } from "./constants.js";
+
+// Namespaces of wiki links that aren't pages a block can be sourced from
+const NON_ARTICLE_NAMESPACES = ["file", "image", "media", "special"];
+
+// -----------------------------
+// ## Wiki Source Providers
+// -----------------------------
+
+/**
+ * REST v1 endpoint (`/api/rest_v1/page/html/<title>`), used by Wikipedia and
+ * any MediaWiki running RESTBase or the core REST handler.
+ * @type {WikiSourceProvider}
+ */
+const restProvider = {
+  label: "REST v1",
+  cacheable: true,
+  async fetchPage(source, title, revisionId) {
+    const revisionPath = revisionId ? `/${revisionId}` : "";
+    const response = await fetch(
+      `${trimTrailingSlash(source.origin)}/api/rest_v1/page/html/${encodeURIComponent(title)}${revisionPath}`,
+    );
+    if (!response.ok) {
+      throw new Error(`REST request failed with status ${response.status}`);
+    }
+    const html = await response.text();
+    return {
+      html,
+      revisionId: parseRestRevisionId(html, response.headers.get("etag")),
+      revisionTimestamp:
+        html.match(/<meta property="dc:modified" content="([^"]+)"/)?.[1] ??
+        null,
+    };
+  },
+  fetchDiff(source, title, revisionId) {
+    // Parsoid has no diff endpoint, but wikis serving it also serve the Action API
+    return fetchActionApiDiff(source, title, revisionId);
+  },
+  getBaseUrl(source) {
+    return `${trimTrailingSlash(source.origin)}/wiki/`;
+  },
+  getArticleUrl: getMediaWikiArticleUrl,
+};
+
+/**
+ * Action API endpoint (`api.php?action=parse`), available on every MediaWiki
+ * install including ones without the REST API enabled.
+ * @type {WikiSourceProvider}
+ */
+const actionProvider = {
+  label: "Action API",
+  cacheable: true,
+  async fetchPage(source, title, revisionId) {
+    const data = await fetchActionApi(source, {
+      action: "parse",
+      // A page and an oldid can't be combined, the oldid already identifies the page
+      ...(revisionId ? { oldid: String(revisionId) } : { page: title }),
+      prop: "text|revid",
+      redirects: "1",
+    });
+    return {
+      html: data.parse.text,
+      revisionId: data.parse.revid ?? null,
+      revisionTimestamp: null, // Not reported by action=parse
+    };
+  },
+  fetchDiff: fetchActionApiDiff,
+  getBaseUrl(source) {
+    return `${trimTrailingSlash(source.origin)}/wiki/`;
+  },
+  getArticleUrl: getMediaWikiArticleUrl,
+};
+
+/**
+ * Local directory of `<title>.html` files, read through the main process.
+ * Useful for offline fixtures and exported wikis.
+ * @type {WikiSourceProvider}
+ */
+const localProvider = {
+  label: "Local directory",
+  cacheable: false, // Already on disk
+  async fetchPage(source, title) {
+    // Local files have no history, so requested revisions are ignored
+    // @ts-ignore
+    const html = await window.fileAPI.readLocalWikiPage(
+      source.directory || "",
+      title,
+    );
+    if (html === null) {
+      throw new Error(`No local page found for "${title}"`);
+    }
+    return { html, revisionId: null, revisionTimestamp: null };
+  },
+  getBaseUrl(source) {
+    return getDirectoryFileUrl(source.directory || "");
+  },
+  getArticleUrl(source, title) {
+    // Same "<Title_with_underscores>.html" naming the main process reads pages from
+    const filename = `${title.replace(/ /g, "_").replace(/[\\/]/g, "_")}.html`;
+    return `${getDirectoryFileUrl(source.directory || "")}${encodeURIComponent(filename)}`;
+  },
+};
+
+/**
+ * Makes an Action API request against a wiki source
+ * @param {WikiSource} source - Wiki source configuration
+ * @param {Record<string, string>} params - Query parameters
+ * @returns {Promise<any>} Parsed JSON response
+ */
+async function fetchActionApi(source, params) {
+  const query = new URLSearchParams({
+    ...params,
+    format: "json",
+    formatversion: "2",
+    origin: "*", // Required for anonymous CORS requests
+  });
+  const response = await fetch(
+    `${trimTrailingSlash(source.origin)}${source.apiPath || "/w/api.php"}?${query}`,
+  );
+  if (!response.ok) {
+    throw new Error(`Action API request failed with status ${response.status}`);
+  }
+  const data = await response.json();
+  if (data.error) {
+    throw new Error(data.error.info || data.error.code);
+  }
+  return data;
+}
+
+/**
+ * Fetches the table rows of a diff from a revision to the latest revision
+ * @param {WikiSource} source - Wiki source configuration
+ * @param {string} title - Page title
+ * @param {number} revisionId - Revision to diff from
+ * @returns {Promise<string>} Diff table rows HTML, empty if nothing changed
+ */
+async function fetchActionApiDiff(source, title, revisionId) {
+  const data = await fetchActionApi(source, {
+    action: "compare",
+    fromrev: String(revisionId),
+    totitle: title,
+    prop: "diff",
+  });
+  return data.compare.body ?? "";
+}
+
+/**
+ * Gets the URL of a page on a MediaWiki site, as a permanent link if a revision is given
+ * @param {WikiSource} source - Wiki source configuration
+ * @param {string} title - Page title
+ * @param {number|null} revisionId - Revision to link to, or null for the latest revision
+ * @returns {string} Article URL
+ */
+function getMediaWikiArticleUrl(source, title, revisionId) {
+  const url = `${trimTrailingSlash(source.origin)}/wiki/${encodeURIComponent(title.replace(/ /g, "_"))}`;
+  return revisionId ? `${url}?oldid=${revisionId}` : url;
+}
+
+/**
+ * Registry of available wiki source providers, keyed by `WikiSource.type`
+ * @type {Record<WikiSourceType, WikiSourceProvider>}
+ */
+export const WIKI_SOURCE_PROVIDERS = {
+  rest: restProvider,
+  action: actionProvider,
+  local: localProvider,
+};
+
+/**
+ * Gets the provider for a wiki source, falling back to the default provider
+ * @param {WikiSource|null|undefined} source - Wiki source configuration
+ * @returns {WikiSourceProvider} Matching provider
+ */
+export function getWikiSourceProvider(source) {
+  return (
+    WIKI_SOURCE_PROVIDERS[source?.type ?? DEFAULT_WIKI_SOURCE.type] ??
+    WIKI_SOURCE_PROVIDERS[DEFAULT_WIKI_SOURCE.type]
+  );
+}
+
+/**
+ * Fetches a page's HTML from the given wiki source
+ * @param {WikiSource|null|undefined} source - Wiki source configuration
+ * @param {string} title - Page title
+ * @param {number|null} [revisionId] - Revision to fetch. Defaults to the latest revision
+ * @returns {Promise<WikiPageResult>} Fetched page
+ */
+export function fetchWikiSourcePage(source, title, revisionId = null) {
+  return getWikiSourceProvider(source).fetchPage(
+    source ?? DEFAULT_WIKI_SOURCE,
+    title,
+    revisionId,
+  );
+}
+
+/**
+ * Fetches a diff from a revision of a page to its latest revision
+ * @param {WikiSource|null|undefined} source - Wiki source configuration
+ * @param {string} title - Page title
+ * @param {number} revisionId - Revision to diff from
+ * @returns {Promise<string>} Diff table rows HTML, empty if nothing changed
+ */
+export function fetchWikiSourceDiff(source, title, revisionId) {
+  const provider = getWikiSourceProvider(source);
+  if (!provider.fetchDiff) {
+    return Promise.reject(new Error(`${provider.label} has no revision diffs`));
+  }
+  return provider.fetchDiff(source ?? DEFAULT_WIKI_SOURCE, title, revisionId);
+}
+
+/**
+ * Gets the URL relative links and images of a source's pages resolve against
+ * @param {WikiSource|null|undefined} source - Wiki source configuration
+ * @returns {string} Base URL ending in a slash
+ */
+export function getWikiSourceBaseUrl(source) {
+  return getWikiSourceProvider(source).getBaseUrl(
+    source ?? DEFAULT_WIKI_SOURCE,
+  );
+}
+
+/**
+ * Gets the URL a page can be opened at in a browser
+ * @param {WikiSource|null|undefined} source - Wiki source configuration
+ * @param {string} title - Page title
+ * @param {number|null} [revisionId] - Revision to link to. Defaults to the latest revision
+ * @returns {string} Article URL
+ */
+export function getWikiArticleUrl(source, title, revisionId = null) {
+  return getWikiSourceProvider(source).getArticleUrl(
+    source ?? DEFAULT_WIKI_SOURCE,
+    title,
+    revisionId,
+  );
+}
+
+/**
+ * Gets the key a page is stored under in the offline article cache
+ * @param {WikiSource|null|undefined} source - Wiki source configuration
+ * @param {string} title - Page title
+ * @param {number|null} [revisionId] - Pinned revision, or null for the latest revision
+ * @returns {string|null} Cache key, or null if the source shouldn't be cached
+ */
+export function getWikiCacheKey(source, title, revisionId = null) {
+  const provider = getWikiSourceProvider(source);
+  if (!provider.cacheable) return null;
+
+  const { type, origin } = source ?? DEFAULT_WIKI_SOURCE;
+  const key = `${type}:${trimTrailingSlash(origin)}:${title.replace(/ /g, "_")}`;
+  return revisionId ? `${key}@${revisionId}` : key;
+}
+
+/**
+ * Gets the page a URL links to, if it's on Wikipedia or the given wiki source.
+ * Links to file and special pages, e.g. from an image dragged out of an article, aren't pages.
+ * @param {string} url - URL to parse
+ * @param {WikiSource|null|undefined} source - Wiki source pages are currently fetched from
+ * @returns {{origin: string, title: string}|null} Wiki origin and page title, or null if the URL isn't a wiki page
+ */
+export function parseWikiArticleUrl(url, source) {
+  /** @type {URL} */
+  let parsed;
+  /** @type {string|null} */
+  let rawTitle;
+  try {
+    parsed = new URL(url);
+    rawTitle = parsed.pathname.startsWith("/wiki/")
+      ? decodeURIComponent(parsed.pathname.slice("/wiki/".length))
+      : parsed.pathname.endsWith("/index.php")
+        ? parsed.searchParams.get("title")
+        : null;
+  } catch {
+    return null; // Not a URL, or a malformed escape in the title
+  }
+
+  const { origin } = source ?? DEFAULT_WIKI_SOURCE;
+  if (
+    !/(^|\.)wikipedia\.org$/.test(parsed.hostname) &&
+    parsed.origin !== trimTrailingSlash(origin)
+  ) {
+    return null;
+  }
+
+  const title = rawTitle?.replace(/_/g, " ").trim();
+  if (!title) return null;
+
+  const namespace = title.includes(":") ? title.split(":")[0] : "";
+  if (NON_ARTICLE_NAMESPACES.includes(namespace.toLowerCase())) return null;
+
+  return { origin: parsed.origin, title };
+}
+
+/**
+ * Fetches the URL of an article's lead image from the REST page summary
+ * @param {string} origin - Wiki origin, e.g. "https://en.wikipedia.org"
+ * @param {string} title - Page title
+ * @returns {Promise<string|null>} Image URL, or null if the article has no lead image
+ */
+export async function fetchWikiLeadImageUrl(origin, title) {
+  const response = await fetch(
+    `${trimTrailingSlash(origin)}/api/rest_v1/page/summary/${encodeURIComponent(title.replace(/ /g, "_"))}`,
+  );
+  if (!response.ok) {
+    throw new Error(`Summary request failed with status ${response.status}`);
+  }
+  const summary = await response.json();
+  return summary.originalimage?.source ?? summary.thumbnail?.source ?? null;
+}
+
+/**
+ * Extracts the revision ID from a Parsoid HTML document, falling back to its ETag
+ * (`"<revision>/<render id>"`)
+ * @param {string} html - Parsoid HTML
+ * @param {string|null} etag - ETag response header
+ * @returns {number|null} Revision ID if found
+ */
+function parseRestRevisionId(html, etag) {
+  const aboutMatch = html.match(/about="[^"]*\/revision\/(\d+)"/);
+  if (aboutMatch) return Number(aboutMatch[1]);
+
+  const etagMatch = etag?.match(/^(?:W\/)?"(\d+)\//);
+  return etagMatch ? Number(etagMatch[1]) : null;
+}
+
+/**
+ * Converts a local directory path to a file URL ending in a slash, for POSIX and Windows paths,
+ * e.g. `C:\wiki` to `file:///C:/wiki/` and `\\server\share` to `file://server/share/`
+ * @param {string} directory - Absolute directory path
+ * @returns {string} Directory file URL
+ */
+function getDirectoryFileUrl(directory) {
+  const urlPath = trimTrailingSlash(directory.replace(/\\/g, "/"))
+    .split("/")
+    // Drive letters stay as they are, everything else is escaped like a URL path
+    .map((segment) =>
+      /^[a-z]:$/i.test(segment) ? segment : encodeURIComponent(segment),
+    )
+    .join("/");
+  // UNC paths keep their server as the URL's host, drive letter paths need a leading slash
+  const prefix = urlPath.startsWith("//")
+    ? "file:"
+    : urlPath.startsWith("/")
+      ? "file://"
+      : "file:///";
+  return `${prefix}${urlPath}${urlPath ? "/" : ""}`;
+}
+
+/**
+ * @param {string} url
+ * @returns {string}
+ */
+function trimTrailingSlash(url) {
+  return url.replace(/\/+$/, "");
+}
@@ -1,21 +1,545 @@
+import { DEFAULT_WIKI_SOURCE, WIKI_CACHE_MAX_AGE_MS } from "./constants.js";
+import {
+  fetchWikiSourceDiff,
+  fetchWikiSourcePage,
+  getWikiCacheKey,
+  getWikiSourceBaseUrl,
+  getWikiSourceProvider,
+} from "./wiki-sources.js";
+import { sanitizeArticleHtml } from "./rich-text.js";
+import {
+  createTextAnchor,
+  findQuoteRange,
+  findTextAnchor,
+  migrateViewportPosition,
+} from "./text-anchor.js";
+
+/**
+ * Styles of article content, shared by the wiki viewer and snippet blocks.
+ * Content is styled inside an element with the "content" class.
+ */
+export const WIKI_CONTENT_STYLES = `
+/* Wikipedia content styles */
+.content h1, .content h2, .content h3, .content h4, .content h5, .content h6 {
+  font-family: "Linux Libertine", "Georgia", "Times", serif;
+  font-weight: normal;
+  margin: 0.5em 0;
+  border-bottom: none;
+  color: #000;
+}
+
+.content h1 {
+  font-size: 2.3em;
+  border-bottom: 3px solid #a2a9b1;
+  padding-bottom: 0.25em;
+  margin-bottom: 0.6em;
+}
+
+.content h2 {
+  font-size: 1.8em;
+  border-bottom: 1px solid #a2a9b1;
+  padding-bottom: 0.25em;
+  margin-top: 1em;
+}
+
+.content h3 {
+  font-size: 1.4em;
+  margin-top: 0.8em;
+}
+
+.content p {
+  margin: 0.5em 0 1em 0;
+}
+
+.content a {
+  color: #0645ad;
+  text-decoration: none;
+}
+
+.content a:hover {
+  text-decoration: underline;
+}
+
+.content a:visited {
+  color: #0b0080;
+}
+
+.content a.new {
+  color: #ba0000;
+}
+
+.content a.external {
+  color: #36b;
+}
+
+.content img {
+  max-width: 100%;
+  height: auto;
+}
+
+.content table {
+  border-collapse: collapse;
+  margin: 1em 0;
+  background-color: #ffffff;
+}
+
+.content th,
+.content td {
+  border: 1px solid #a2a9b1;
+  padding: 0.2em 0.4em;
+  vertical-align: top;
+}
+
+.content th {
+  background-color: #eaecf0;
+  font-weight: bold;
+  text-align: center;
+}
+
+.content .wikitable {
+  border: 1px solid #a2a9b1;
+  border-collapse: collapse;
+  margin: 1em 0;
+  background-color: #f8f9fa;
+}
+
+.content blockquote {
+  border-left: 4px solid #eaecf0;
+  margin: 1em 0;
+  padding-left: 1em;
+  color: #54595d;
+  font-style: italic;
+}
+
+.content pre {
+  background-color: #f6f6f6;
+  border: 1px solid #ddd;
+  padding: 1em;
+  overflow-x: auto;
+  font-family: "Courier New", Courier, monospace;
+  font-size: 13px;
+}
+
+.content code {
+  background-color: #f6f6f6;
+  border: 1px solid #ddd;
+  padding: 1px 4px;
+  font-family: "Courier New", Courier, monospace;
+  font-size: 13px;
+}
+
+.content .infobox {
+  float: right;
+  clear: right;
+  width: 22em;
+  margin: 0 0 1em 1em;
+  border: 1px solid #a2a9b1;
+  background-color: #f8f9fa;
+  padding: 3px;
+  font-size: 88%;
+  line-height: 1.5em;
+}
+
+.content .infobox th {
+  background-color: #ccccff;
+  text-align: center;
+  font-size: 125%;
+}
+
+.content .navbox {
+  border: 1px solid #a2a9b1;
+  clear: both;
+  font-size: 88%;
+  margin: 1em auto 0;
+  padding: 1px;
+  width: 100%;
+  background-color: #f8f9fa;
+}
+
+.content .thumbinner {
+  border: 1px solid #c8ccd1;
+  padding: 3px;
+  background-color: #f8f9fa;
+  font-size: 94%;
+  text-align: center;
+  overflow: hidden;
+  min-width: 100px;
+}
+
+.content .thumb {
+  margin-bottom: 0.5em;
+}
+
+.content .tright {
+  float: right;
+  clear: right;
+  margin: 0.5em 0 1.3em 1.4em;
+}
+
+.content .tleft {
+  float: left;
+  clear: left;
+  margin: 0.5em 1.4em 1.3em 0;
+}
+
+.content .thumbcaption {
+  border: none;
+  line-height: 1.4em;
+  padding: 3px;
+  font-size: 94%;
+  text-align: left;
+}
+
+.content ul, .content ol {
+  margin: 0.3em 0 0 1.6em;
+  padding: 0;
+}
+
+.content li {
+  margin-bottom: 0.1em;
+}
+
+.content .mbox {
+  background-color: #f8f9fa;
+  border: 1px solid #a2a9b1;
+  padding: 0.25em 0.9em;
+  margin: 0.5em 0;
+}
+
+.content .hatnote {
+  font-style: italic;
+  padding-left: 1.6em;
+  margin-bottom: 0.5em;
+}
+
+/* Wikipedia-specific class styling */
+.content .sidebar {
+  float: right;
+  clear: right;
+  margin: 0 0 1em 1em;
+  background: #f8f9fa;
+  border: 1px solid #a2a9b1;
+  padding: 0.2em;
+  width: 22.0em;
+  font-size: 88%;
+  line-height: 1.25em;
+}
+`;
+
+/**
+ * Dark mode styles of article content, see WIKI_CONTENT_STYLES
+ */
+export const WIKI_CONTENT_DARK_STYLES = `
+@media (prefers-color-scheme: dark) {
+  .content {
+    color: #e6edf3;
+  }
+
+  .content h1, .content h2, .content h3, .content h4, .content h5, .content h6 {
+    color: #e6edf3;
+    border-bottom-color: #30363d;
+  }
+
+  .content a {
+    color: #58a6ff;
+  }
+
+  .content a:visited {
+    color: #bc8cff;
+  }
+
+  .content a.new {
+    color: #f85149;
+  }
+
+  .content table {
+    background-color: #161b22;
+  }
+
+  .content th {
+    background-color: #21262d;
+  }
+
+  .content th,
+  .content td {
+    border-color: #30363d;
+  }
+
+  .content .wikitable {
+    background-color: #0d1117;
+    border-color: #30363d;
+  }
+
+  .content pre {
+    background-color: #161b22;
+    border-color: #30363d;
+  }
+
+  .content code {
+    background-color: #161b22;
+    border-color: #30363d;
+  }
+
+  .content .infobox {
+    background-color: #161b22;
+    border-color: #30363d;
+  }
+
+  .content .infobox th {
+    background-color: #1f2937;
+  }
+
+  .content .navbox {
+    border-color: #30363d;
+    background-color: #161b22;
+  }
+
+  .content .thumbinner {
+    background-color: #161b22;
+    border-color: #30363d;
+  }
+
+  .content .mbox {
+    background-color: #161b22;
+    border-color: #30363d;
+  }
+
+  .content .sidebar {
+    background-color: #161b22;
+    border-color: #30363d;
+  }
+}
+`;
+
+/**
+ * Fetches a page from a wiki source and stores it in the offline cache
+ * @param {WikiSource} source - Wiki source to fetch from
+ * @param {string} page - Page title
+ * @param {number|null} requestedRevisionId - Revision to fetch, or null for the latest revision
+ * @param {string|null} cacheKey - Cache key, or null to skip caching
+ * @returns {Promise<WikiPageResult>} Processed page
+ */
+async function fetchAndCachePage(source, page, requestedRevisionId, cacheKey) {
+  const { html, revisionId, revisionTimestamp } = await fetchWikiSourcePage(
+    source,
+    page,
+    requestedRevisionId,
+  );
+  const processedHtml = processWikipediaContent(
+    html,
+    getWikiSourceBaseUrl(source),
+  );
+
+  if (cacheKey) {
+    const imageUrls = Array.from(
+      parseHtml(processedHtml).querySelectorAll("img[src]"),
+      (img) => img.getAttribute("src"),
+    );
+    // @ts-ignore
+    window.fileAPI
+      .cacheWikiPage(cacheKey, {
+        html: processedHtml,
+        revisionId,
+        revisionTimestamp,
+        imageUrls,
+      })
+      .catch((error) => console.error("Failed to cache page:", error));
+  }
+
+  return { html: processedHtml, revisionId, revisionTimestamp };
+}
+
+/**
+ * Points image sources at their cached copies on disk
+ * @param {string} html - Processed HTML from the cache
+ * @param {Record<string, string>} images - Original image URL to cached file URL
+ * @returns {string} HTML with cached image URLs
+ */
+function localizeCachedImages(html, images) {
+  const tempDiv = parseHtml(html);
+  tempDiv.querySelectorAll("img[src]").forEach((img) => {
+    const cachedSrc = images[img.getAttribute("src") ?? ""];
+    if (cachedSrc) {
+      img.setAttribute("src", cachedSrc);
+      img.setAttribute("srcset", cachedSrc);
+    }
+  });
+  return tempDiv.innerHTML;
+}
+
+/**
+ * Parses an HTML string into a detached container element. It's parsed into its own document,
+ * so the article's scripts and event handlers don't run and its images aren't loaded.
+ * @param {string} html - HTML string
+ * @returns {HTMLElement} Container holding the parsed HTML
+ */
+function parseHtml(html) {
+  return new DOMParser().parseFromString(html, "text/html").body;
+}
+
+/**
+ * Process Wikipedia HTML content to fix relative URLs
+ * @param {string} html - Raw Wikipedia HTML
+ * @param {string} baseUrl - URL of the active wiki source that relative URLs resolve against
+ * @returns {string} Processed HTML with absolute URLs
+ */
+export function processWikipediaContent(html, baseUrl) {
+  // Create a temporary DOM to process the content
+  const tempDiv = parseHtml(html);
+
+  // Fix image sources
+  const images = tempDiv.querySelectorAll("img");
+  images.forEach((img) => {
+    const src = img.getAttribute("src");
+    if (src && src.startsWith("//")) {
+      // Protocol-relative URLs
+      img.setAttribute("src", "https:" + src);
+      img.setAttribute("srcset", "https:" + src);
+    } else if (src && !/^[a-z][a-z0-9+.-]*:/i.test(src)) {
+      // Relative URLs - these need to be resolved against the active wiki source
+      const absoluteSrc = new URL(src, baseUrl).href;
+      img.setAttribute("src", absoluteSrc);
+      img.setAttribute("srcset", absoluteSrc);
+    }
+  });
+
+  // Process links to handle navigation properly
+  const links = tempDiv.querySelectorAll("a");
+  links.forEach((link) => {
+    const href = link.getAttribute("href");
+
+    // Remove target attributes to prevent new windows/tabs
+    link.removeAttribute("target");
+
+    // Debug: log href values to understand the format
+    if (href) {
+      // console.log("Link href:", href);
+    }
+
+    // Check if this is a wiki article link
+    const isWikiLink =
+      href &&
+      (href.startsWith("/wiki/") ||
+        href.startsWith("./") ||
+        href.startsWith("../"));
+
+    const isAnchorLink = href && href.startsWith("#");
+
+    // Only disable external links (not wiki links or anchor links)
+    if (href && !isWikiLink && !isAnchorLink) {
+      // Disable external links by removing href and styling them
+      link.removeAttribute("href");
+      link.style.pointerEvents = "none";
+      link.style.color = "#999";
+      link.style.textDecoration = "line-through";
+      link.title = "External link disabled in viewer";
+      // console.log("Disabled external link:", href);
+    } else if (isWikiLink) {
+      // console.log("Keeping wiki link:", href);
+    }
+  });
+
+  return tempDiv.innerHTML;
+}
+
+/**
+ * Gets the article a wiki link points to
+ * @param {string|null} href - Link href, in any of the formats wikis link articles with
+ * @returns {string|null} Article title, or null if the link isn't to an article
+ */
+export function getWikiLinkTitle(href) {
+  if (href && href.startsWith("/wiki/")) {
+    // Format: /wiki/Dog
+    return decodeURIComponent(href.replace("/wiki/", ""));
+  } else if (href && href.startsWith("./")) {
+    // Format: ./Dog
+    return decodeURIComponent(href.replace("./", ""));
+  }
+  // Format: ../wiki/Dog or similar
+  const match = href?.match(/^\.\.\/.*\/(.+)$/);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * Loads a page's processed HTML, serving the offline cache first and falling back to the network.
+ * Used by the wiki viewer and by snippet blocks, so both show articles the same way.
+ * @param {WikiSource} source - Wiki source to load from
+ * @param {string} page - Page title
+ * @param {number|null} revisionId - Revision to load, or null for the latest revision
+ * @returns {Promise<WikiPageResult>} Processed page
+ */
+export async function loadWikiPageContent(source, page, revisionId) {
+  const cacheKey = getWikiCacheKey(source, page, revisionId);
+  /** @type {CachedWikiPage|null} */
+  let cached = null;
+  if (cacheKey) {
+    // @ts-ignore
+    cached = await window.fileAPI.getCachedWikiPage(cacheKey);
+  }
+
+  if (cached) {
+    // Pinned revisions never change, only the latest revision goes stale
+    if (
+      revisionId === null &&
+      navigator.onLine &&
+      Date.now() - cached.fetchedAt > WIKI_CACHE_MAX_AGE_MS
+    ) {
+      // Refresh in the background so the next visit picks up article edits
+      fetchAndCachePage(source, page, null, cacheKey).catch((error) =>
+        console.warn("Failed to refresh cached page:", error),
+      );
+    }
+    return {
+      html: localizeCachedImages(cached.html, cached.images),
+      revisionId: cached.revisionId,
+      revisionTimestamp: cached.revisionTimestamp,
+    };
+  }
+
+  return fetchAndCachePage(source, page, revisionId, cacheKey);
+}
+
 /**
  * WikiViewer Web Component
  * Self-contained Wikipedia viewer with isolated styles and link handling
  */
-class WikiViewer extends HTMLElement {
+export class WikiViewer extends HTMLElement {
   constructor() {
     super();
     this.attachShadow({ mode: "open" });
     this.currentPage = "Cat";
+    this.source = DEFAULT_WIKI_SOURCE;
     this.content = "";
+    this.revisionId = null;
+    this.revisionTimestamp = null;
+    this.pinnedRevision = null;
+    this.revisionMode = "pinned";
+    this.fetchRequestId = 0;
+    this.fetchScheduled = false;
     this.loading = false;
     this.pendingViewportPosition = undefined;
+    this.highlightRegion = null;
+    this.flashHighlight = false;
+    this.pendingHighlightFlash = false;
     this.render();
     this.setupEventListeners();
+
+    // Highlight positions depend on layout, so redraw them when the viewer is resized
+    new ResizeObserver(() => this.drawHighlight()).observe(this);
   }
 
   static get observedAttributes() {
-    return ["page", "content", "loading", "viewportposition"];
+    return [
+      "page",
+      "content",
+      "loading",
+      "viewportposition",
+      "source",
+      "revision",
+      "revisionmode",
+      "highlight",
+      "flashhighlight",
+    ];
   }
 
   attributeChangedCallback(name, oldValue, newValue) {
@@ -25,11 +549,11 @@ class WikiViewer extends HTMLElement {
       case "page":
         this.currentPage = newValue || "Cat";
         if (oldValue && oldValue !== newValue) {
-          this.fetchWikiPage(this.currentPage);
+          this.scheduleFetch();
         }
         break;
       case "content":
-        this.content = newValue || "";
+        this.content = sanitizeArticleHtml(newValue || "");
         break;
       case "loading":
         this.loading = newValue === "true";
@@ -42,6 +566,46 @@ class WikiViewer extends HTMLElement {
           this.pendingViewportPosition = null;
         }
         break;
+      case "source":
+        try {
+          this.source = newValue ? JSON.parse(newValue) : DEFAULT_WIKI_SOURCE;
+        } catch (e) {
+          console.warn("Invalid wiki source data:", newValue);
+          this.source = DEFAULT_WIKI_SOURCE;
+        }
+        if (oldValue && oldValue !== newValue) {
+          this.scheduleFetch();
+        }
+        break;
+      case "revision":
+        try {
+          this.pinnedRevision = newValue ? JSON.parse(newValue) : null;
+        } catch (e) {
+          console.warn("Invalid revision data:", newValue);
+          this.pinnedRevision = null;
+        }
+        if (this.isConnected) {
+          this.scheduleFetch();
+        }
+        break;
+      case "highlight":
+        try {
+          this.highlightRegion = newValue ? JSON.parse(newValue) : null;
+        } catch (e) {
+          console.warn("Invalid highlight data:", newValue);
+          this.highlightRegion = null;
+        }
+        this.pendingHighlightFlash = this.highlightRegion !== null;
+        break;
+      case "flashhighlight":
+        this.flashHighlight = newValue === "true";
+        break;
+      case "revisionmode":
+        this.revisionMode = newValue || "pinned";
+        if (this.isConnected) {
+          this.scheduleFetch();
+        }
+        break;
     }
     this.render();
   }
@@ -53,23 +617,65 @@ class WikiViewer extends HTMLElement {
     }
   }
 
+  /**
+   * Fetches the current page once the current batch of attribute changes has been applied,
+   * so that e.g. a page and revision change arriving together only trigger one request
+   */
+  scheduleFetch() {
+    if (this.fetchScheduled) return;
+    this.fetchScheduled = true;
+    queueMicrotask(() => {
+      this.fetchScheduled = false;
+      this.fetchWikiPage(this.currentPage);
+    });
+  }
+
+  /**
+   * Gets the pinned revision ID to load, or null to load the latest revision
+   * @returns {number|null} Revision ID
+   */
+  getRequestedRevisionId() {
+    if (this.revisionMode === "latest") return null;
+    return this.pinnedRevision?.id ?? null;
+  }
+
+  /**
+   * Gets the revision of the article currently displayed
+   * @returns {PageRevision} Displayed revision, stamped with the current time as capture time
+   */
+  getPageRevision() {
+    return {
+      id: this.revisionId,
+      timestamp: this.revisionTimestamp,
+      capturedAt: new Date().toISOString(),
+    };
+  }
+
   async fetchWikiPage(page) {
+    const requestId = ++this.fetchRequestId;
     this.loading = true;
+    // Only a loaded page sets these, so a failed load or a diff doesn't report the previous page's revision
+    this.revisionId = null;
+    this.revisionTimestamp = null;
     this.render();
 
+    let content;
     try {
-      const response = await fetch(
-        `https://en.wikipedia.org/api/rest_v1/page/html/${encodeURIComponent(page)}`,
-      );
-      const html = await response.text();
-      this.content = this.processWikipediaContent(html);
-      this.loading = false;
+      content =
+        this.revisionMode === "diff" && this.pinnedRevision?.id
+          ? await this.loadDiffContent(page, this.pinnedRevision.id)
+          : await this.loadPageContent(page, this.getRequestedRevisionId());
     } catch (error) {
       console.error("Failed to load Wikipedia page:", error);
-      this.content = "<p>Failed to load page.</p>";
-      this.loading = false;
+      content = "<p>Failed to load page.</p>";
     }
 
+    // A newer request was made while this one was in flight
+    if (requestId !== this.fetchRequestId) return;
+
+    // Articles come from whichever wiki the source points at, so they're sanitized like snippets
+    this.content = sanitizeArticleHtml(content);
+    this.loading = false;
     this.render();
 
     // Apply pending viewport position after content is rendered
@@ -85,6 +691,7 @@ class WikiViewer extends HTMLElement {
         detail: {
           page: this.currentPage,
           content: this.content,
+          revisionId: this.revisionId,
           getViewportPosition: () => this.saveViewportPosition(),
         },
       }),
@@ -92,221 +699,226 @@ class WikiViewer extends HTMLElement {
   }
 
   /**
-   * Process Wikipedia HTML content to fix relative URLs
-   * @param {string} html - Raw Wikipedia HTML
-   * @returns {string} Processed HTML with absolute URLs
+   * Loads a page's processed HTML and remembers which revision it is
+   * @param {string} page - Page title
+   * @param {number|null} revisionId - Revision to load, or null for the latest revision
+   * @returns {Promise<string>} Processed HTML
    */
-  processWikipediaContent(html) {
-    // Create a temporary DOM to process the content
-    const tempDiv = document.createElement("div");
-    tempDiv.innerHTML = html;
-
-    // Fix image sources
-    const images = tempDiv.querySelectorAll("img");
-    images.forEach((img) => {
-      const src = img.getAttribute("src");
-      if (src && src.startsWith("//")) {
-        // Protocol-relative URLs
-        img.setAttribute("src", "https:" + src);
-        img.setAttribute("srcset", "https:" + src);
-      } else if (src && src.startsWith("/")) {
-        // Relative URLs - these need to be converted to Wikipedia URLs
-        img.setAttribute("src", "https://en.wikipedia.org" + src);
-        img.setAttribute("srcset", "https://en.wikipedia.org" + src);
-      }
-    });
-
-    // Process links to handle navigation properly
-    const links = tempDiv.querySelectorAll("a");
-    links.forEach((link) => {
-      const href = link.getAttribute("href");
-
-      // Remove target attributes to prevent new windows/tabs
-      link.removeAttribute("target");
-
-      // Debug: log href values to understand the format
-      if (href) {
-        // console.log("Link href:", href);
-      }
+  async loadPageContent(page, revisionId) {
+    const loaded = await loadWikiPageContent(this.source, page, revisionId);
+    this.revisionId = loaded.revisionId;
+    this.revisionTimestamp = loaded.revisionTimestamp;
+    return loaded.html;
+  }
 
-      // Check if this is a wiki article link
-      const isWikiLink =
-        href &&
-        (href.startsWith("/wiki/") ||
-          href.startsWith("./") ||
-          href.startsWith("../"));
-
-      const isAnchorLink = href && href.startsWith("#");
-
-      // Only disable external links (not wiki links or anchor links)
-      if (href && !isWikiLink && !isAnchorLink) {
-        // Disable external links by removing href and styling them
-        link.removeAttribute("href");
-        link.style.pointerEvents = "none";
-        link.style.color = "#999";
-        link.style.textDecoration = "line-through";
-        link.title = "External link disabled in viewer";
-        // console.log("Disabled external link:", href);
-      } else if (isWikiLink) {
-        // console.log("Keeping wiki link:", href);
-      }
-    });
+  /**
+   * Loads a diff between a pinned revision and the latest revision of a page
+   * @param {string} page - Page title
+   * @param {number} revisionId - Pinned revision ID
+   * @returns {Promise<string>} Diff table HTML
+   */
+  async loadDiffContent(page, revisionId) {
+    const diffHtml = await fetchWikiSourceDiff(this.source, page, revisionId);
+    if (!diffHtml.trim()) {
+      return "<p>No changes since the captured revision.</p>";
+    }
+    return `
+      <table class="diff">
+        <colgroup>
+          <col class="diff-marker"><col class="diff-content">
+          <col class="diff-marker"><col class="diff-content">
+        </colgroup>
+        ${diffHtml}
+      </table>
+    `;
+  }
 
-    return tempDiv.innerHTML;
+  /**
+   * Gets the client Y coordinate where article content becomes visible below the sticky header
+   * @returns {number} Top of the visible content area
+   */
+  getViewTop() {
+    const header = this.shadowRoot.querySelector(".header");
+    return header
+      ? header.getBoundingClientRect().bottom
+      : this.getBoundingClientRect().top;
   }
 
   /**
-   * Saves the current viewport position based on visible elements
-   * @returns {Object|null} Viewport position data
+   * Saves the current viewport position as a text anchor on the passage at the top of the view
+   * @returns {ViewportAnchor|null} Viewport position data
    */
   saveViewportPosition() {
     const container = this.shadowRoot.querySelector(".content");
     if (!container) return null;
 
-    const elements = container.querySelectorAll("h1, h2, h3, h4, h5, h6, p");
+    const maxScroll = this.scrollHeight - this.clientHeight;
+    return createTextAnchor(
+      container,
+      this.getViewTop(),
+      maxScroll > 0 ? this.scrollTop / maxScroll : 0,
+    );
+  }
+
+  /**
+   * Restores viewport position from saved data
+   * @param {ViewportAnchor|Object|null} viewportPosition - Saved viewport position data, in any saved format
+   */
+  restoreViewportPosition(viewportPosition) {
+    const anchor = migrateViewportPosition(viewportPosition);
+    if (!anchor) return;
 
-    for (const el of elements) {
-      const rect = el.getBoundingClientRect();
-      const containerRect = this.getBoundingClientRect();
+    const container = this.shadowRoot.querySelector(".content");
+    const targetElement = container ? findTextAnchor(container, anchor) : null;
 
-      // Check if element is visible in the top portion of the viewport
-      if (
-        rect.top >= containerRect.top &&
-        rect.top <= containerRect.top + window.innerHeight * 0.3
-      ) {
-        const selector = this.getElementSelector(el);
-        if (selector) {
-          return {
-            type: "element",
-            selector: selector,
-            offsetFromTop: rect.top - containerRect.top,
-            scrollPosition: this.scrollTop, // Fallback
-          };
-        }
-      }
+    if (targetElement) {
+      const rect = targetElement.getBoundingClientRect();
+      this.scrollTop +=
+        rect.top + anchor.offset * rect.height - this.getViewTop();
+      return;
     }
 
-    // Fallback to scroll position if no suitable element found
-    return {
-      type: "scroll",
-      scrollPosition: this.scrollTop,
-    };
+    // Fall back to the relative scroll position, then the absolute one from older saves
+    if (anchor.scrollFraction !== null) {
+      this.scrollTop =
+        anchor.scrollFraction * (this.scrollHeight - this.clientHeight);
+    } else if (anchor.scrollPosition !== undefined) {
+      this.scrollTop = anchor.scrollPosition;
+    }
   }
 
   /**
-   * Generates a unique selector for an element
-   * @param {Element} element - The element to generate a selector for
-   * @returns {string|null} CSS selector or null if unable to generate
+   * Saves the passage a capture was taken from: the given bounds if the capture was a region of
+   * the viewer, the selected text if there is a selection in the viewer, otherwise the visible part
+   * of the article
+   * @param {{top: number, bottom: number}|null} [bounds] - Client Y bounds of a captured region
+   * @returns {SourceRegion|null} Captured region
    */
-  getElementSelector(element) {
-    if (!element) return null;
+  saveSourceRegion(bounds = null) {
+    const container = this.shadowRoot.querySelector(".content");
+    if (!container) return null;
 
-    // Try ID first
-    if (element.id) {
-      return `#${element.id}`;
-    }
+    const maxScroll = this.scrollHeight - this.clientHeight;
+    const scrollFraction = maxScroll > 0 ? this.scrollTop / maxScroll : 0;
 
-    // Use tag name + text content for headings
-    if (element.tagName.match(/^H[1-6]$/)) {
-      const textContent = element.textContent.trim().substring(0, 50);
-      if (textContent) {
-        return `${element.tagName.toLowerCase()}:contains("${textContent.replace(/"/g, '\\"')}")`;
-      }
+    if (bounds) {
+      return {
+        kind: "viewport",
+        quote: "",
+        start: createTextAnchor(
+          container,
+          Math.max(bounds.top, this.getViewTop()),
+          scrollFraction,
+        ),
+        end: createTextAnchor(container, bounds.bottom - 1, scrollFraction),
+      };
     }
 
-    // For paragraphs, use first 30 characters of text
-    if (element.tagName === "P") {
-      const textContent = element.textContent.trim().substring(0, 30);
-      if (textContent) {
-        return `p:contains("${textContent.replace(/"/g, '\\"')}")`;
-      }
+    // @ts-ignore Chromium exposes selections inside shadow roots on the shadow root
+    const selection = this.shadowRoot.getSelection?.();
+    const range =
+      selection && selection.rangeCount > 0 ? selection.getRangeAt(0) : null;
+    if (
+      range &&
+      !range.collapsed &&
+      container.contains(range.commonAncestorContainer)
+    ) {
+      const rect = range.getBoundingClientRect();
+      return {
+        kind: "selection",
+        quote: selection.toString().trim().slice(0, 1000),
+        start: createTextAnchor(container, rect.top, scrollFraction),
+        end: createTextAnchor(container, rect.bottom - 1, scrollFraction),
+      };
     }
 
-    return null;
+    return {
+      kind: "viewport",
+      quote: "",
+      start: createTextAnchor(container, this.getViewTop(), scrollFraction),
+      end: createTextAnchor(
+        container,
+        this.getBoundingClientRect().bottom - 1,
+        scrollFraction,
+      ),
+    };
   }
 
   /**
-   * Restores viewport position from saved data
-   * @param {Object|null} viewportPosition - Saved viewport position data
+   * Draws the highlight overlay over the captured region, flashing it if it was just set
    */
-  restoreViewportPosition(viewportPosition) {
-    if (!viewportPosition) return;
+  drawHighlight() {
+    const container = this.shadowRoot.querySelector(".content");
+    if (!container) return;
+    container.querySelector(".region-highlights")?.remove();
 
-    if (viewportPosition.type === "element" && viewportPosition.selector) {
-      // Try to find element using text content matching since :contains() is not standard CSS
-      const container = this.shadowRoot.querySelector(".content");
-      if (!container) return;
+    const region = this.highlightRegion;
+    if (!region || this.loading) return;
 
-      let targetElement = null;
+    const startElement = findTextAnchor(container, region.start);
+    const endElement = findTextAnchor(container, region.end) ?? startElement;
+    if (!startElement || !endElement) return;
 
-      // Extract text from selector for manual matching
-      const containsMatch = viewportPosition.selector.match(
-        /:contains\("([^"]+)"\)$/,
-      );
-      if (containsMatch) {
-        const searchText = containsMatch[1];
-        const tagName = viewportPosition.selector.split(":")[0].toUpperCase();
-
-        const elements = container.querySelectorAll(tagName);
-        for (const el of elements) {
-          if (el.textContent.includes(searchText)) {
-            targetElement = el;
-            break;
-          }
-        }
-      } else {
-        // Try direct selector (for IDs)
-        targetElement = container.querySelector(viewportPosition.selector);
-      }
+    const containerRect = container.getBoundingClientRect();
+    /** @type {{top: number, left: number, width: number, height: number}[]} */
+    let rects = [];
 
-      if (targetElement) {
-        targetElement.scrollIntoView({ behavior: "instant", block: "start" });
-        // Adjust for the saved offset
-        if (viewportPosition.offsetFromTop) {
-          this.scrollTop = Math.max(
-            0,
-            this.scrollTop - viewportPosition.offsetFromTop,
-          );
-        }
-        return;
-      }
+    const quoteRange =
+      region.kind === "selection"
+        ? findQuoteRange(startElement, endElement, region.quote)
+        : null;
+    if (quoteRange) {
+      rects = Array.from(quoteRange.getClientRects(), (rect) => ({
+        top: rect.top - containerRect.top,
+        left: rect.left - containerRect.left,
+        width: rect.width,
+        height: rect.height,
+      }));
+    } else {
+      // Highlight the band between the start and end anchors
+      const startRect = startElement.getBoundingClientRect();
+      const endRect = endElement.getBoundingClientRect();
+      const top =
+        startRect.top +
+        region.start.offset * startRect.height -
+        containerRect.top;
+      const bottom =
+        endRect.top + region.end.offset * endRect.height - containerRect.top;
+      rects = [
+        {
+          top,
+          left: 0,
+          width: containerRect.width,
+          height: Math.max(bottom - top, startRect.height),
+        },
+      ];
     }
 
-    // Fallback to scroll position
-    if (viewportPosition.scrollPosition !== undefined) {
-      this.scrollTop = viewportPosition.scrollPosition;
+    const overlay = document.createElement("div");
+    overlay.className = "region-highlights";
+    if (this.flashHighlight && this.pendingHighlightFlash) {
+      overlay.classList.add("flash");
+      this.pendingHighlightFlash = false;
     }
+    for (const rect of rects) {
+      const highlight = document.createElement("div");
+      highlight.className = `region-highlight ${region.kind}`;
+      Object.assign(highlight.style, {
+        top: `${rect.top}px`,
+        left: `${rect.left}px`,
+        width: `${rect.width}px`,
+        height: `${rect.height}px`,
+      });
+      overlay.appendChild(highlight);
+    }
+    container.appendChild(overlay);
   }
 
   setupEventListeners() {
-    // Log current viewport position on every scroll (for debugging)
-    this.addEventListener("scroll", (event) => {
-      const position = this.saveViewportPosition();
-      console.log("Current viewport position:", position);
-    });
-
     this.shadowRoot.addEventListener("click", (event) => {
       const link = event.target.closest("a");
       if (link) {
-        const href = link.getAttribute("href");
-
-        // Match wiki links in various formats
-        let newPage = null;
-
-        if (href && href.startsWith("/wiki/")) {
-          // Format: /wiki/Dog
-          newPage = decodeURIComponent(href.replace("/wiki/", ""));
-        } else if (href && href.startsWith("./")) {
-          // Format: ./Dog
-          newPage = decodeURIComponent(href.replace("./", ""));
-        } else if (href && href.match(/^\.\.\/.*\/(.+)$/)) {
-          // Format: ../wiki/Dog or similar
-          const match = href.match(/^\.\.\/.*\/(.+)$/);
-          if (match) {
-            newPage = decodeURIComponent(match[1]);
-          }
-        }
-
+        const newPage = getWikiLinkTitle(link.getAttribute("href"));
         if (newPage) {
           event.preventDefault();
           // console.log("Navigating to wiki page:", newPage);
@@ -323,6 +935,16 @@ class WikiViewer extends HTMLElement {
         return;
       }
 
+      // Handle revision mode toggle click
+      if (event.target.classList.contains("revision-mode-btn")) {
+        this.dispatchEvent(
+          new CustomEvent("revisionmodechanged", {
+            detail: { mode: event.target.dataset.mode },
+          }),
+        );
+        return;
+      }
+
       // Handle navigate button click
       if (event.target.classList.contains("navigate-btn")) {
         const input = this.shadowRoot.querySelector(".page-input");
@@ -365,6 +987,37 @@ class WikiViewer extends HTMLElement {
     });
   }
 
+  /**
+   * Renders the toggle between a block's captured revision, the latest revision and their diff
+   * @returns {string} Revision bar HTML, empty if no revision is pinned
+   */
+  renderRevisionBar() {
+    if (!this.pinnedRevision?.id) return "";
+
+    const capturedDate = new Date(
+      this.pinnedRevision.timestamp ?? this.pinnedRevision.capturedAt,
+    ).toLocaleDateString();
+    const modes = [
+      { mode: "pinned", label: "Captured revision" },
+      { mode: "latest", label: "Latest" },
+      ...(getWikiSourceProvider(this.source).fetchDiff
+        ? [{ mode: "diff", label: "Diff against latest" }]
+        : []),
+    ];
+
+    return `
+      <div class="revision-bar">
+        <span>Revision ${this.pinnedRevision.id} (${capturedDate})</span>
+        ${modes
+          .map(
+            ({ mode, label }) =>
+              `<button class="revision-mode-btn${mode === this.revisionMode ? " active" : ""}" data-mode="${mode}">${label}</button>`,
+          )
+          .join("")}
+      </div>
+    `;
+  }
+
   render() {
     this.shadowRoot.innerHTML = `
       <style>
@@ -440,243 +1093,133 @@ class WikiViewer extends HTMLElement {
           background-color: #0b0080;
         }
         
-        .content {
-          line-height: 1.6;
-          font-size: 14px;
-          position: relative;
-        }
-        
-        .content.loading {
-          opacity: 0.5;
-          pointer-events: none;
-        }
-        
-        .content.loading::after {
-          content: '';
-          position: absolute;
-          top: 50%;
-          left: 50%;
-          transform: translate(-50%, -50%);
-          width: 24px;
-          height: 24px;
-          border: 3px solid #ccc;
-          border-radius: 50%;
-          border-top-color: #0645ad;
-          animation: spin 1s linear infinite;
-          z-index: 10;
-        }
-        
-        @keyframes spin {
-          to {
-            transform: translate(-50%, -50%) rotate(360deg);
-          }
-        }
-        
-        /* Wikipedia content styles */
-        .content h1, .content h2, .content h3, .content h4, .content h5, .content h6 {
-          font-family: "Linux Libertine", "Georgia", "Times", serif;
-          font-weight: normal;
-          margin: 0.5em 0;
-          border-bottom: none;
-          color: #000;
-        }
-        
-        .content h1 {
-          font-size: 2.3em;
-          border-bottom: 3px solid #a2a9b1;
-          padding-bottom: 0.25em;
-          margin-bottom: 0.6em;
-        }
-        
-        .content h2 {
-          font-size: 1.8em;
-          border-bottom: 1px solid #a2a9b1;
-          padding-bottom: 0.25em;
-          margin-top: 1em;
-        }
-        
-        .content h3 {
-          font-size: 1.4em;
-          margin-top: 0.8em;
+        .revision-bar {
+          display: flex;
+          align-items: center;
+          gap: 0.5em;
+          flex-wrap: wrap;
+          font-size: 12px;
+          color: #54595d;
         }
         
-        .content p {
-          margin: 0.5em 0 1em 0;
+        .revision-mode-btn {
+          padding: 0.2em 0.6em;
+          background-color: #f8f9fa;
+          color: #202122;
+          border: 1px solid #a2a9b1;
+          border-radius: 2px;
+          font-size: 12px;
+          cursor: pointer;
         }
         
-        .content a {
-          color: #0645ad;
-          text-decoration: none;
+        .revision-mode-btn.active {
+          background-color: #0645ad;
+          border-color: #0645ad;
+          color: white;
         }
         
-        .content a:hover {
-          text-decoration: underline;
+        .content {
+          line-height: 1.6;
+          font-size: 14px;
+          position: relative;
         }
         
-        .content a:visited {
-          color: #0b0080;
+        /* Revision diff styles */
+        .content table.diff {
+          width: 100%;
+          table-layout: fixed;
+          background-color: transparent;
         }
         
-        .content a.new {
-          color: #ba0000;
+        .content table.diff td {
+          border: none;
+          font-size: 12px;
+          white-space: pre-wrap;
+          word-wrap: break-word;
         }
         
-        .content a.external {
-          color: #36b;
+        .content table.diff col.diff-marker {
+          width: 2%;
         }
         
-        .content img {
-          max-width: 100%;
-          height: auto;
+        .content table.diff col.diff-content {
+          width: 48%;
         }
         
-        .content table {
-          border-collapse: collapse;
-          margin: 1em 0;
-          background-color: #ffffff;
+        .content .diff-deletedline {
+          background-color: #ffe49c;
         }
         
-        .content th,
-        .content td {
-          border: 1px solid #a2a9b1;
-          padding: 0.2em 0.4em;
-          vertical-align: top;
+        .content .diff-addedline {
+          background-color: #a3d3ff;
         }
         
-        .content th {
-          background-color: #eaecf0;
+        .content .diff-deletedline del,
+        .content .diff-addedline ins {
           font-weight: bold;
-          text-align: center;
-        }
-        
-        .content .wikitable {
-          border: 1px solid #a2a9b1;
-          border-collapse: collapse;
-          margin: 1em 0;
-          background-color: #f8f9fa;
-        }
-        
-        .content blockquote {
-          border-left: 4px solid #eaecf0;
-          margin: 1em 0;
-          padding-left: 1em;
-          color: #54595d;
-          font-style: italic;
-        }
-        
-        .content pre {
-          background-color: #f6f6f6;
-          border: 1px solid #ddd;
-          padding: 1em;
-          overflow-x: auto;
-          font-family: "Courier New", Courier, monospace;
-          font-size: 13px;
-        }
-        
-        .content code {
-          background-color: #f6f6f6;
-          border: 1px solid #ddd;
-          padding: 1px 4px;
-          font-family: "Courier New", Courier, monospace;
-          font-size: 13px;
-        }
-        
-        .content .infobox {
-          float: right;
-          clear: right;
-          width: 22em;
-          margin: 0 0 1em 1em;
-          border: 1px solid #a2a9b1;
-          background-color: #f8f9fa;
-          padding: 3px;
-          font-size: 88%;
-          line-height: 1.5em;
-        }
-        
-        .content .infobox th {
-          background-color: #ccccff;
-          text-align: center;
-          font-size: 125%;
-        }
-        
-        .content .navbox {
-          border: 1px solid #a2a9b1;
-          clear: both;
-          font-size: 88%;
-          margin: 1em auto 0;
-          padding: 1px;
-          width: 100%;
-          background-color: #f8f9fa;
+          text-decoration: none;
         }
         
-        .content .thumbinner {
-          border: 1px solid #c8ccd1;
-          padding: 3px;
-          background-color: #f8f9fa;
-          font-size: 94%;
-          text-align: center;
-          overflow: hidden;
-          min-width: 100px;
+        .content .diff-lineno {
+          font-weight: bold;
         }
         
-        .content .thumb {
-          margin-bottom: 0.5em;
+        .region-highlights {
+          position: absolute;
+          inset: 0;
+          pointer-events: none;
+          z-index: 5;
         }
         
-        .content .tright {
-          float: right;
-          clear: right;
-          margin: 0.5em 0 1.3em 1.4em;
+        .region-highlight {
+          position: absolute;
+          background-color: rgba(255, 213, 0, 0.35);
+          mix-blend-mode: multiply;
         }
         
-        .content .tleft {
-          float: left;
-          clear: left;
-          margin: 0.5em 1.4em 1.3em 0;
+        .region-highlight.viewport {
+          background-color: rgba(255, 213, 0, 0.15);
+          outline: 2px solid rgba(255, 170, 0, 0.8);
         }
         
-        .content .thumbcaption {
-          border: none;
-          line-height: 1.4em;
-          padding: 3px;
-          font-size: 94%;
-          text-align: left;
+        .region-highlights.flash {
+          animation: highlight-flash 0.5s ease-in-out 3;
         }
         
-        .content ul, .content ol {
-          margin: 0.3em 0 0 1.6em;
-          padding: 0;
+        @keyframes highlight-flash {
+          50% {
+            opacity: 0;
+          }
         }
         
-        .content li {
-          margin-bottom: 0.1em;
+        .content.loading {
+          opacity: 0.5;
+          pointer-events: none;
         }
         
-        .content .mbox {
-          background-color: #f8f9fa;
-          border: 1px solid #a2a9b1;
-          padding: 0.25em 0.9em;
-          margin: 0.5em 0;
+        .content.loading::after {
+          content: '';
+          position: absolute;
+          top: 50%;
+          left: 50%;
+          transform: translate(-50%, -50%);
+          width: 24px;
+          height: 24px;
+          border: 3px solid #ccc;
+          border-radius: 50%;
+          border-top-color: #0645ad;
+          animation: spin 1s linear infinite;
+          z-index: 10;
         }
         
-        .content .hatnote {
-          font-style: italic;
-          padding-left: 1.6em;
-          margin-bottom: 0.5em;
+        @keyframes spin {
+          to {
+            transform: translate(-50%, -50%) rotate(360deg);
+          }
         }
         
-        /* Wikipedia-specific class styling */
-        .content .sidebar {
-          float: right;
-          clear: right;
-          margin: 0 0 1em 1em;
-          background: #f8f9fa;
-          border: 1px solid #a2a9b1;
-          padding: 0.2em;
-          width: 22.0em;
-          font-size: 88%;
-          line-height: 1.25em;
-        }
+        ${WIKI_CONTENT_STYLES}
+        ${WIKI_CONTENT_DARK_STYLES}
         
         /* Dark mode support */
         @media (prefers-color-scheme: dark) {
@@ -712,82 +1255,32 @@ class WikiViewer extends HTMLElement {
             background-color: #bc8cff;
           }
           
-          .content {
-            color: #e6edf3;
-          }
-          
-          .content h1, .content h2, .content h3, .content h4, .content h5, .content h6 {
-            color: #e6edf3;
-            border-bottom-color: #30363d;
-          }
-          
-          .content a {
-            color: #58a6ff;
-          }
-          
-          .content a:visited {
-            color: #bc8cff;
-          }
-          
-          .content a.new {
-            color: #f85149;
-          }
-          
-          .content table {
-            background-color: #161b22;
+          .revision-bar {
+            color: #7d8590;
           }
           
-          .content th {
+          .revision-mode-btn {
             background-color: #21262d;
-          }
-          
-          .content th,
-          .content td {
             border-color: #30363d;
+            color: #e6edf3;
           }
           
-          .content .wikitable {
-            background-color: #0d1117;
-            border-color: #30363d;
-          }
-          
-          .content pre {
-            background-color: #161b22;
-            border-color: #30363d;
-          }
-          
-          .content code {
-            background-color: #161b22;
-            border-color: #30363d;
-          }
-          
-          .content .infobox {
-            background-color: #161b22;
-            border-color: #30363d;
-          }
-          
-          .content .infobox th {
-            background-color: #1f2937;
-          }
-          
-          .content .navbox {
-            border-color: #30363d;
-            background-color: #161b22;
+          .revision-mode-btn.active {
+            background-color: #58a6ff;
+            border-color: #58a6ff;
           }
           
-          .content .thumbinner {
-            background-color: #161b22;
-            border-color: #30363d;
+          .region-highlight {
+            mix-blend-mode: normal;
+            background-color: rgba(255, 213, 0, 0.25);
           }
           
-          .content .mbox {
-            background-color: #161b22;
-            border-color: #30363d;
+          .content .diff-deletedline {
+            background-color: #4d3d1a;
           }
           
-          .content .sidebar {
-            background-color: #161b22;
-            border-color: #30363d;
+          .content .diff-addedline {
+            background-color: #1a3a5c;
           }
         }
       </style>
@@ -800,10 +1293,12 @@ class WikiViewer extends HTMLElement {
             <input type="text" class="page-input" value="${this.currentPage}" placeholder="Enter Wikipedia page name">
             <button class="navigate-btn">Go</button>
           </div>
+          ${this.renderRevisionBar()}
         </div>
         <div class="content${this.loading ? " loading" : ""}">${this.content}</div>
       </div>
     `;
+    this.drawHighlight();
   }
 }
 
@@ -0,0 +1,75 @@
+//@ts-nocheck
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { createZip, readZip } = require("../src/archive.js");
+
+// Offset of the first central directory header of an archive without a comment
+function getCentralDirectoryOffset(zip) {
+  return zip.readUInt32LE(zip.length - 22 + 16);
+}
+
+test("reads back stored and deflated entries", () => {
+  const text = Buffer.from("hello ".repeat(100));
+  const image = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+  const zip = createZip([
+    { name: "document.json", data: text },
+    { name: "media/cat.png", data: image, compress: false },
+  ]);
+
+  const entries = readZip(zip);
+  assert.deepStrictEqual(
+    [...entries.keys()],
+    ["document.json", "media/cat.png"],
+  );
+  assert.deepStrictEqual(entries.get("document.json"), text);
+  assert.deepStrictEqual(entries.get("media/cat.png"), image);
+});
+
+test("rejects data that isn't an archive", () => {
+  assert.throws(() => readZip(Buffer.from("not a zip")), /Not a ZIP archive/);
+  assert.throws(() => readZip(Buffer.alloc(0)), /Not a ZIP archive/);
+});
+
+test("rejects entries that inflate to more than their stated size", () => {
+  const zip = createZip([
+    { name: "document.json", data: Buffer.alloc(1024 * 1024) },
+  ]);
+  // Claim the megabyte of zeros unpacks to 10 bytes
+  zip.writeUInt32LE(10, getCentralDirectoryOffset(zip) + 24);
+
+  assert.throws(() => readZip(zip), /Corrupt ZIP entry document\.json/);
+});
+
+test("rejects archives larger than the limit", () => {
+  const zip = createZip([
+    { name: "a.json", data: Buffer.alloc(600) },
+    { name: "b.json", data: Buffer.alloc(600) },
+  ]);
+
+  assert.doesNotThrow(() => readZip(zip, { maxUncompressedSize: 1200 }));
+  assert.throws(
+    () => readZip(zip, { maxUncompressedSize: 1000 }),
+    /too large to open/,
+  );
+});
+
+test("rejects entries whose offsets point past the end", () => {
+  const zip = createZip([{ name: "document.json", data: Buffer.from("{}") }]);
+  zip.writeUInt32LE(zip.length, getCentralDirectoryOffset(zip) + 42);
+
+  assert.throws(() => readZip(zip), /Truncated ZIP archive/);
+});
+
+test("rejects entries whose data is cut off", () => {
+  const zip = createZip([{ name: "document.json", data: Buffer.from("{}") }]);
+  zip.writeUInt32LE(zip.length, getCentralDirectoryOffset(zip) + 20);
+
+  assert.throws(() => readZip(zip), /Truncated ZIP archive/);
+});
+
+test("rejects a central directory that points past the end", () => {
+  const zip = createZip([{ name: "document.json", data: Buffer.from("{}") }]);
+  zip.writeUInt32LE(zip.length - 10, zip.length - 22 + 16);
+
+  assert.throws(() => readZip(zip), /Truncated ZIP archive/);
+});
@@ -0,0 +1,101 @@
+//@ts-nocheck
+const { test } = require("node:test");
+const assert = require("node:assert");
+const path = require("node:path");
+const fs = require("node:fs");
+const { readImageDimensions } = require("../src/image-size.js");
+
+// The fixtures are minimal files with valid headers but little or no image data,
+// which is all the parser reads
+const FIXTURES_PATH = path.join(__dirname, "fixtures", "images");
+
+// Helper function to read a fixture's dimensions
+function readFixture(name) {
+  return readImageDimensions(fs.readFileSync(path.join(FIXTURES_PATH, name)));
+}
+
+test("reads lossy WebP (VP8) dimensions", () => {
+  assert.deepStrictEqual(readFixture("vp8.webp"), { width: 300, height: 200 });
+});
+
+test("reads lossless WebP (VP8L) dimensions", () => {
+  assert.deepStrictEqual(readFixture("vp8l.webp"), { width: 123, height: 45 });
+});
+
+test("reads extended WebP (VP8X) canvas dimensions", () => {
+  assert.deepStrictEqual(readFixture("vp8x.webp"), { width: 640, height: 480 });
+});
+
+test("reads the primary item's size from AVIF, not its thumbnail's", () => {
+  assert.deepStrictEqual(readFixture("image.avif"), {
+    width: 320,
+    height: 240,
+  });
+});
+
+test("applies irot quarter turns to AVIF and HEIC", () => {
+  assert.deepStrictEqual(readFixture("rotated.avif"), {
+    width: 240,
+    height: 320,
+  });
+  assert.deepStrictEqual(readFixture("rotated.heic"), {
+    width: 300,
+    height: 400,
+  });
+  // A half turn keeps the width and height
+  assert.deepStrictEqual(readFixture("upside-down.heic"), {
+    width: 400,
+    height: 300,
+  });
+});
+
+test("reads SVG width and height over the viewBox", () => {
+  assert.deepStrictEqual(readFixture("size.svg"), { width: 120, height: 80 });
+});
+
+test("reads SVG size from the viewBox alone", () => {
+  assert.deepStrictEqual(readFixture("viewbox.svg"), { width: 50, height: 25 });
+});
+
+test("fills in a missing SVG height from the viewBox's aspect ratio", () => {
+  assert.deepStrictEqual(readFixture("width-only.svg"), {
+    width: 192,
+    height: 96,
+  });
+});
+
+test("reads baseline and progressive JPEG dimensions", () => {
+  assert.deepStrictEqual(readFixture("baseline.jpg"), {
+    width: 200,
+    height: 100,
+  });
+  assert.deepStrictEqual(readFixture("progressive.jpg"), {
+    width: 160,
+    height: 90,
+  });
+});
+
+test("swaps JPEG dimensions for EXIF orientations 5-8 only", () => {
+  assert.deepStrictEqual(readFixture("orientation-3.jpg"), {
+    width: 200,
+    height: 100,
+  });
+  assert.deepStrictEqual(readFixture("orientation-6.jpg"), {
+    width: 100,
+    height: 200,
+  });
+  // Big-endian EXIF in a progressive JPEG
+  assert.deepStrictEqual(readFixture("progressive-orientation-8.jpg"), {
+    width: 90,
+    height: 160,
+  });
+});
+
+test("returns null for truncated and unrecognized files", () => {
+  const jpeg = fs.readFileSync(path.join(FIXTURES_PATH, "baseline.jpg"));
+  assert.strictEqual(readImageDimensions(jpeg.subarray(0, 30)), null);
+  assert.strictEqual(
+    readImageDimensions(Buffer.from("not an image file")),
+    null,
+  );
+});
@@ -0,0 +1,46 @@
+//@ts-nocheck
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { isSafeUrl } = require("../src/rich-text.js");
+
+test("keeps web and mail links", () => {
+  assert.strictEqual(isSafeUrl("https://en.wikipedia.org/wiki/Cat"), true);
+  assert.strictEqual(isSafeUrl("HTTP://example.com"), true);
+  assert.strictEqual(isSafeUrl("mailto:someone@example.com"), true);
+});
+
+test("keeps relative, protocol-relative and fragment URLs", () => {
+  assert.strictEqual(isSafeUrl("./Cat"), true);
+  assert.strictEqual(isSafeUrl("/wiki/Cat"), true);
+  assert.strictEqual(isSafeUrl("//upload.wikimedia.org/cat.jpg"), true);
+  assert.strictEqual(isSafeUrl("#cite_note-1"), true);
+  assert.strictEqual(isSafeUrl("?action=edit"), true);
+  assert.strictEqual(isSafeUrl(""), true);
+});
+
+test("rejects javascript: URLs", () => {
+  assert.strictEqual(isSafeUrl("javascript:alert(1)"), false);
+  assert.strictEqual(isSafeUrl("JavaScript:alert(1)"), false);
+  assert.strictEqual(isSafeUrl("  javascript:alert(1)"), false);
+});
+
+test("rejects javascript: URLs with whitespace browsers ignore", () => {
+  assert.strictEqual(isSafeUrl("java\tscript:alert(1)"), false);
+  assert.strictEqual(isSafeUrl("java\nscript:alert(1)"), false);
+  assert.strictEqual(isSafeUrl("javascript\r:alert(1)"), false);
+});
+
+test("rejects javascript: URLs with leading control characters", () => {
+  assert.strictEqual(isSafeUrl("\x01javascript:alert(1)"), false);
+  assert.strictEqual(isSafeUrl("\x00\x1fjavascript:alert(1)"), false);
+  assert.strictEqual(isSafeUrl("\x7fjavascript:alert(1)"), false);
+});
+
+test("rejects other schemes", () => {
+  assert.strictEqual(
+    isSafeUrl("data:text/html,<script>alert(1)</script>"),
+    false,
+  );
+  assert.strictEqual(isSafeUrl("vbscript:msgbox(1)"), false);
+  assert.strictEqual(isSafeUrl("file:///etc/passwd"), false);
+});
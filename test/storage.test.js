@@ -0,0 +1,139 @@
+//@ts-nocheck
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const path = require("node:path");
+const os = require("node:os");
+const fs = require("node:fs").promises;
+const { createStorage, STORAGE_ERRORS } = require("../src/storage.js");
+
+let tempDir;
+let root;
+let outside;
+let storage;
+
+beforeEach(async () => {
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "wikicollage-storage-"));
+  root = path.join(tempDir, "userData");
+  outside = path.join(tempDir, "outside");
+  await fs.mkdir(path.join(root, "user"), { recursive: true });
+  await fs.mkdir(outside);
+  await fs.writeFile(path.join(outside, "secret.txt"), "secret");
+  storage = createStorage(root);
+});
+
+afterEach(async () => {
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+test("reads back what it writes inside the root", async () => {
+  const written = await storage.write("user/data.json", { a: 1 }, "json");
+  assert.strictEqual(written.success, true);
+  assert.strictEqual(written.path, path.join(root, "user", "data.json"));
+
+  const read = await storage.read("user/data.json", "json");
+  assert.deepStrictEqual(read, { success: true, data: { a: 1 } });
+});
+
+test("allows .. segments that stay inside the root", async () => {
+  await storage.write("user/../user/notes.txt", "hello", "text");
+  const read = await storage.read("user/notes.txt", "text");
+  assert.deepStrictEqual(read, { success: true, data: "hello" });
+});
+
+test("rejects .. segments that escape the root", async () => {
+  for (const relativePath of [
+    "..",
+    "../outside/secret.txt",
+    "user/../../outside/secret.txt",
+    "user/../../../etc/passwd",
+  ]) {
+    const read = await storage.read(relativePath, "text");
+    assert.strictEqual(read.code, STORAGE_ERRORS.OUTSIDE_ROOT, relativePath);
+    const written = await storage.write(relativePath, "x", "text");
+    assert.strictEqual(written.code, STORAGE_ERRORS.OUTSIDE_ROOT, relativePath);
+  }
+  assert.throws(() => storage.resolve("user/../../outside"), {
+    code: STORAGE_ERRORS.OUTSIDE_ROOT,
+  });
+});
+
+test("rejects absolute paths, including Windows ones", async () => {
+  for (const absolutePath of [
+    path.join(outside, "secret.txt"),
+    path.join(root, "user", "data.json"),
+    "/etc/passwd",
+    "C:\\Windows\\win.ini",
+    "C:/Windows/win.ini",
+    "\\\\server\\share\\file.txt",
+  ]) {
+    const read = await storage.read(absolutePath, "text");
+    assert.strictEqual(read.code, STORAGE_ERRORS.OUTSIDE_ROOT, absolutePath);
+    assert.throws(() => storage.resolve(absolutePath), {
+      code: STORAGE_ERRORS.OUTSIDE_ROOT,
+    });
+  }
+});
+
+test("rejects empty paths and paths with NUL bytes", async () => {
+  for (const invalidPath of ["", "  ", "user/a\0.txt", undefined]) {
+    const read = await storage.read(invalidPath, "text");
+    assert.strictEqual(read.code, STORAGE_ERRORS.INVALID_PATH);
+  }
+});
+
+test("rejects symlinks inside the root that point outside it", async (t) => {
+  try {
+    await fs.symlink(outside, path.join(root, "user", "link"), "dir");
+    await fs.symlink(
+      path.join(outside, "secret.txt"),
+      path.join(root, "user", "secret-link.txt"),
+      "file",
+    );
+  } catch (error) {
+    // Creating symlinks needs extra privileges on Windows
+    t.skip(`Can't create symlinks: ${error.message}`);
+    return;
+  }
+
+  for (const relativePath of ["user/link/secret.txt", "user/secret-link.txt"]) {
+    const read = await storage.read(relativePath, "text");
+    assert.strictEqual(read.code, STORAGE_ERRORS.OUTSIDE_ROOT, relativePath);
+  }
+
+  const written = await storage.write("user/link/new.txt", "x", "text");
+  assert.strictEqual(written.code, STORAGE_ERRORS.OUTSIDE_ROOT);
+  await assert.rejects(fs.access(path.join(outside, "new.txt")));
+
+  const listed = await storage.list("user/link");
+  assert.strictEqual(listed.code, STORAGE_ERRORS.OUTSIDE_ROOT);
+
+  const deleted = await storage.delete("user/link/secret.txt");
+  assert.strictEqual(deleted.code, STORAGE_ERRORS.OUTSIDE_ROOT);
+  assert.strictEqual(
+    await fs.readFile(path.join(outside, "secret.txt"), "utf8"),
+    "secret",
+  );
+});
+
+test("follows symlinks that stay inside the root", async (t) => {
+  await fs.mkdir(path.join(root, "user", "media"));
+  try {
+    await fs.symlink(
+      path.join(root, "user", "media"),
+      path.join(root, "user", "media-link"),
+      "dir",
+    );
+  } catch (error) {
+    t.skip(`Can't create symlinks: ${error.message}`);
+    return;
+  }
+
+  await storage.write("user/media-link/a.txt", "inside", "text");
+  const read = await storage.read("user/media/a.txt", "text");
+  assert.deepStrictEqual(read, { success: true, data: "inside" });
+});
+
+test("reports missing files as NOT_FOUND", async () => {
+  const read = await storage.read("user/missing/file.json", "json");
+  assert.strictEqual(read.code, STORAGE_ERRORS.NOT_FOUND);
+});